@@ -7,11 +7,32 @@ interface NodeLxContent {
   [key: string]: string;
 }
 
+type NodeLxStage = 'draft' | 'published';
+
+// The NodeLx split-view preview loads the site with ?nodelxStage=draft
+function getDefaultStage(): NodeLxStage {
+  if (typeof window === 'undefined') return 'published';
+  const stage = new URLSearchParams(window.location.search).get('nodelxStage');
+  return stage === 'draft' ? 'draft' : 'published';
+}
+
+// The preview passes the locale being edited as ?nodelxLocale=es
+function getDefaultLocale(): string | null {
+  if (typeof window === 'undefined') return null;
+  return new URLSearchParams(window.location.search).get('nodelxLocale');
+}
+
 /**
  * Hook to fetch content from NodeLx API
  * Usage: const content = useNodeLxContent('austin-crate-home')
+ * Localized: useNodeLxContent('austin-crate-home', {}, 'published', 'es-MX') - untranslated fields fall back
  */
-export function useNodeLxContent(pageId: string, fallback: NodeLxContent = {}) {
+export function useNodeLxContent(
+  pageId: string,
+  fallback: NodeLxContent = {},
+  stage: NodeLxStage = getDefaultStage(),
+  locale: string | null = getDefaultLocale()
+) {
   const [content, setContent] = useState<NodeLxContent>(fallback);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
@@ -19,8 +40,9 @@ export function useNodeLxContent(pageId: string, fallback: NodeLxContent = {}) {
   useEffect(() => {
     const NODELX_API = process.env.NEXT_PUBLIC_NODELX_API || 'http://localhost:3001';
     
-    // Fetch initial content
-    fetch(`${NODELX_API}/api/content/${pageId}`)
+    const query = locale ? `stage=${stage}&locale=${encodeURIComponent(locale)}` : `stage=${stage}`;
+
+    const load = () => fetch(`${NODELX_API}/api/content/${pageId}?${query}`)
       .then(res => res.json())
       .then(data => {
         setContent(data.content);
@@ -33,32 +55,92 @@ export function useNodeLxContent(pageId: string, fallback: NodeLxContent = {}) {
         // Use fallback content if API fails
       });
 
-    // Setup WebSocket for live updates
-    try {
-      const ws = new WebSocket(`ws://${NODELX_API.replace('http://', '')}`);
-      
+    // Fetch initial content
+    load();
+
+    // Setup WebSocket for live updates, reconnecting with backoff
+    let ws: WebSocket | null = null;
+    let reconnectTimeout: ReturnType<typeof setTimeout> | null = null;
+    let reconnectAttempts = 0;
+    let closed = false;
+    // Last event seen, to resume after a dropped connection
+    let lastSeq: number | null = null;
+    let serverId: string | null = null;
+
+    const connect = () => {
+      try {
+        ws = new WebSocket(NODELX_API.replace(/^http/, 'ws'));
+      } catch (err) {
+        console.warn('[NodeLx] WebSocket not available');
+        return;
+      }
+
       ws.onopen = () => {
         console.log('[NodeLx] Connected - live updates enabled');
+        reconnectAttempts = 0;
+        // Only receive updates for this page, in this locale (and the locales it falls back to)
+        ws?.send(JSON.stringify({ type: 'set-locale', locale }));
+        ws?.send(JSON.stringify({ type: 'subscribe', topics: [`page:${pageId}`] }));
+
+        // Reconnected - get the updates sent while we were away
+        if (lastSeq !== null) {
+          ws?.send(JSON.stringify({ type: 'resume', lastSeq, serverId }));
+        }
       };
-      
+
       ws.onmessage = (event) => {
         const data = JSON.parse(event.data);
-        
-        if (data.type === 'content-store-update' && data.event.pageId === pageId) {
+
+        // Track the event numbering (a resume answers the connected message's seq)
+        if (data.type === 'connected') {
+          serverId = data.serverId;
+          if (lastSeq === null) {
+            lastSeq = data.seq;
+          }
+        } else if (typeof data.seq === 'number') {
+          lastSeq = Math.max(lastSeq ?? 0, data.seq);
+        }
+
+        // The event carries the page as stored ($refs unresolved, no drafts) -
+        // refetch to get it resolved, in this stage and locale
+        if (data.type === 'content-store-update' && data.pageId === pageId) {
           console.log('[NodeLx] Content updated, reloading...');
-          setContent(data.event.data.content);
+          load();
+        }
+
+        // Missed too many updates while disconnected to replay them
+        if (data.type === 'resync-required') {
+          lastSeq = data.seq;
+          serverId = data.serverId;
+          load();
         }
       };
 
       ws.onerror = () => {
-        console.warn('[NodeLx] WebSocket connection failed - live updates disabled');
+        console.warn('[NodeLx] WebSocket connection failed');
       };
 
-      return () => ws.close();
-    } catch (err) {
-      console.warn('[NodeLx] WebSocket not available');
-    }
-  }, [pageId]);
+      ws.onclose = () => {
+        if (closed || reconnectAttempts >= 5) {
+          return;
+        }
+        reconnectAttempts++;
+        const delay = Math.min(1000 * Math.pow(2, reconnectAttempts), 30000);
+        console.log(`[NodeLx] Disconnected - reconnecting in ${delay}ms`);
+        reconnectTimeout = setTimeout(connect, delay);
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      if (reconnectTimeout) {
+        clearTimeout(reconnectTimeout);
+      }
+      ws?.close();
+    };
+  }, [pageId, stage, locale]);
 
   return { content, loading, error };
 }
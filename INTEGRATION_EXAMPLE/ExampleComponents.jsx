@@ -6,7 +6,7 @@
  */
 
 import React from 'react';
-import { useNodeLxContent } from '../hooks/useNodeLxContent';
+import { useNodeLxContent, renderRichText } from '../hooks/useNodeLxContent';
 
 /**
  * EXAMPLE 1: Basic Usage
@@ -273,7 +273,7 @@ export function FullPageExample() {
       <main style={{ padding: '40px 20px' }}>
         <section style={{ maxWidth: '800px', margin: '0 auto' }}>
           <h2 data-editable="heroSubtitle">{content.heroSubtitle}</h2>
-          <p data-editable="heroDescription">{content.heroDescription}</p>
+          <div data-editable="heroDescription">{renderRichText(content.heroDescription)}</div>
           
           {content.heroImage && (
             <img 
@@ -18,18 +18,49 @@
  *     <div>
  *       <h1 data-editable="heroTitle">{content.heroTitle}</h1>
  *       <p data-editable="heroSubtitle">{content.heroSubtitle}</p>
+ *       <div data-editable="heroDescription">{renderRichText(content.heroDescription)}</div>
  *     </div>
  *   );
  * }
  * ```
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { createElement, Fragment, useState, useEffect, useCallback } from 'react';
 
 // Configuration
 const NODELX_API_URL = process.env.NEXT_PUBLIC_NODELX_API || 'http://localhost:3001';
 const NODELX_WS_URL = NODELX_API_URL.replace('http', 'ws');
 
+/**
+ * Pick the content stage to show
+ * The NodeLx split-view preview loads the site with ?nodelxStage=draft,
+ * everywhere else only published content is shown
+ */
+function getDefaultStage() {
+  if (typeof window === 'undefined') return 'published';
+  const stage = new URLSearchParams(window.location.search).get('nodelxStage');
+  return stage === 'draft' ? 'draft' : 'published';
+}
+
+/**
+ * Pick the locale to show
+ * The split-view preview passes the locale being edited as ?nodelxLocale=es,
+ * otherwise the server's default locale is used
+ */
+function getDefaultLocale() {
+  if (typeof window === 'undefined') return null;
+  return new URLSearchParams(window.location.search).get('nodelxLocale');
+}
+
+/**
+ * Query string for a content request
+ */
+function buildContentQuery(stage, locale) {
+  const params = new URLSearchParams({ stage });
+  if (locale) params.set('locale', locale);
+  return params.toString();
+}
+
 /**
  * React hook for fetching and syncing content with NodeLx
  * @param {string} pageId - The ID of the page/content to fetch
@@ -46,6 +77,8 @@ export function useNodeLxContent(pageId, options = {}) {
     enableWebSocket = true,
     onUpdate = null,
     onError = null,
+    stage = getDefaultStage(),
+    locale = getDefaultLocale(), // e.g. 'es-MX' - missing fields fall back (es-MX -> es -> en)
   } = options;
 
   /**
@@ -56,19 +89,19 @@ export function useNodeLxContent(pageId, options = {}) {
       setLoading(true);
       setError(null);
 
-      const response = await fetch(`${NODELX_API_URL}/api/content/${pageId}`);
+      const response = await fetch(`${NODELX_API_URL}/api/content/${pageId}?${buildContentQuery(stage, locale)}`);
       
       if (!response.ok) {
         throw new Error(`Failed to fetch content: ${response.statusText}`);
       }
 
       const data = await response.json();
-      setContent(data);
+      setContent(data.content);
       setLoading(false);
 
-      console.log(`[NodeLx] Fetched content for "${pageId}"`, data);
+      console.log(`[NodeLx] Fetched content for "${pageId}"`, data.content);
       
-      return data;
+      return data.content;
     } catch (err) {
       console.error(`[NodeLx] Error fetching content for "${pageId}":`, err);
       setError(err);
@@ -80,14 +113,16 @@ export function useNodeLxContent(pageId, options = {}) {
       
       throw err;
     }
-  }, [pageId, onError]);
+  }, [pageId, stage, locale, onError]);
 
   /**
    * Update content via NodeLx API
+   * Edits go to the draft, so a hook showing published content won't show them until they are published
    */
   const updateContent = useCallback(async (updates) => {
     try {
-      const response = await fetch(`${NODELX_API_URL}/api/content/${pageId}`, {
+      const query = locale ? `?locale=${encodeURIComponent(locale)}` : '';
+      const response = await fetch(`${NODELX_API_URL}/api/content/${pageId}${query}`, {
         method: 'PATCH',
         headers: {
           'Content-Type': 'application/json',
@@ -99,18 +134,16 @@ export function useNodeLxContent(pageId, options = {}) {
         throw new Error(`Failed to update content: ${response.statusText}`);
       }
 
-      const result = await response.json();
-      setContent(result.content);
+      console.log(`[NodeLx] Updated content for "${pageId}"`);
 
-      console.log(`[NodeLx] Updated content for "${pageId}"`, result.content);
-      
-      return result.content;
+      // The PATCH answers with the draft - show the page at this hook's stage instead
+      return await fetchContent();
     } catch (err) {
       console.error(`[NodeLx] Error updating content for "${pageId}":`, err);
       setError(err);
       throw err;
     }
-  }, [pageId]);
+  }, [pageId, locale, fetchContent]);
 
   /**
    * Set up WebSocket connection for live updates
@@ -122,6 +155,17 @@ export function useNodeLxContent(pageId, options = {}) {
     let reconnectTimeout = null;
     let reconnectAttempts = 0;
     const maxReconnectAttempts = 5;
+    // Last event seen, to resume after a dropped connection
+    let lastSeq = null;
+    let serverId = null;
+
+    const refetch = () => {
+      fetchContent().then((data) => {
+        if (onUpdate) {
+          onUpdate(data);
+        }
+      }).catch(() => {});
+    };
 
     const connect = () => {
       try {
@@ -132,20 +176,44 @@ export function useNodeLxContent(pageId, options = {}) {
           console.log(`[NodeLx] WebSocket connected`);
           setIsConnected(true);
           reconnectAttempts = 0; // Reset on successful connection
+
+          // Only receive updates for this page, in this locale (and the locales it falls back to)
+          ws.send(JSON.stringify({ type: 'set-locale', locale }));
+          ws.send(JSON.stringify({ type: 'subscribe', topics: [`page:${pageId}`] }));
+
+          // Reconnected - get the updates sent while we were away
+          if (lastSeq !== null) {
+            ws.send(JSON.stringify({ type: 'resume', lastSeq, serverId }));
+          }
         };
 
         ws.onmessage = (event) => {
           try {
             const message = JSON.parse(event.data);
+
+            // Track the event numbering (a resume answers the connected message's seq)
+            if (message.type === 'connected') {
+              serverId = message.serverId;
+              if (lastSeq === null) {
+                lastSeq = message.seq;
+              }
+            } else if (typeof message.seq === 'number') {
+              lastSeq = Math.max(lastSeq ?? 0, message.seq);
+            }
             
             // Handle content updates for this page
+            // The event carries the raw page, refetch to get it in this stage and locale
             if (message.type === 'content-store-update' && message.pageId === pageId) {
-              console.log(`[NodeLx] Real-time update received for "${pageId}"`, message.content);
-              setContent(message.content);
-              
-              if (onUpdate) {
-                onUpdate(message.content);
-              }
+              console.log(`[NodeLx] Real-time update received for "${pageId}"`);
+              refetch();
+            }
+
+            // Missed too many updates while disconnected to replay them
+            if (message.type === 'resync-required') {
+              console.log(`[NodeLx] Resync required, refetching "${pageId}"`);
+              lastSeq = message.seq;
+              serverId = message.serverId;
+              refetch();
             }
 
             // Handle reload requests
@@ -194,7 +262,7 @@ export function useNodeLxContent(pageId, options = {}) {
         ws.close();
       }
     };
-  }, [pageId, enableWebSocket, fetchContent, onUpdate]);
+  }, [pageId, stage, locale, enableWebSocket, fetchContent, onUpdate]);
 
   /**
    * Initial content fetch
@@ -216,8 +284,8 @@ export function useNodeLxContent(pageId, options = {}) {
 /**
  * Simple fetch function for server-side or one-time use
  */
-export async function getNodeLxContent(pageId) {
-  const response = await fetch(`${NODELX_API_URL}/api/content/${pageId}`);
+export async function getNodeLxContent(pageId, stage = 'published', locale = null) {
+  const response = await fetch(`${NODELX_API_URL}/api/content/${pageId}?${buildContentQuery(stage, locale)}`);
   
   if (!response.ok) {
     throw new Error(`Failed to fetch content: ${response.statusText}`);
@@ -226,4 +294,93 @@ export async function getNodeLxContent(pageId) {
   return response.json();
 }
 
+/**
+ * Rich-text fields are stored as Portable Text blocks:
+ * [{ _type: 'block', style: 'normal' | 'h1'-'h4' | 'blockquote', listItem?: 'bullet' | 'number', level?,
+ *    children: [{ _type: 'span', text, marks: ['strong' | 'em' | 'underline' | 'code' | 'strike-through' | <link _key>] }],
+ *    markDefs: [{ _key, _type: 'link', href }] }]
+ * (or ask the API for ?format=html|markdown to get them rendered on the server)
+ */
+const BLOCK_ELEMENTS = { normal: 'p', h1: 'h1', h2: 'h2', h3: 'h3', h4: 'h4', blockquote: 'blockquote' };
+const MARK_ELEMENTS = { strong: 'strong', em: 'em', underline: 'u', code: 'code', 'strike-through': 's' };
+
+function isRichText(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(block => block?._type === 'block');
+}
+
+/**
+ * Only web, mail, phone and relative links are rendered (no javascript: URLs)
+ */
+function safeHref(href) {
+  if (typeof href !== 'string') return null;
+  const compact = href.replace(/[\u0000- \u007F]+/g, '');
+  return !/^[^/?#]*:/.test(compact) || /^(https?:|mailto:|tel:)/i.test(compact) ? href.trim() : null;
+}
+
+function renderSpans(block) {
+  return (block.children || []).filter(span => typeof span?.text === 'string').map((span, index) => {
+    let node = span.text.split('\n').flatMap((line, i) => (i === 0 ? [line] : [createElement('br', { key: i }), line]));
+
+    for (const mark of [...(span.marks || [])].reverse()) {
+      const def = (block.markDefs || []).find(item => item?._key === mark);
+      const href = def?._type === 'link' ? safeHref(def.href) : null;
+
+      if (MARK_ELEMENTS[mark]) {
+        node = createElement(MARK_ELEMENTS[mark], null, node);
+      } else if (href) {
+        node = createElement('a', { href }, node);
+      }
+    }
+
+    return createElement(Fragment, { key: span._key || index }, node);
+  });
+}
+
+/**
+ * Render a rich-text field as React elements (no dangerouslySetInnerHTML)
+ * Plain strings are returned as they are, so a field can be switched to rich text later
+ * @param {Array|string} value - Portable Text blocks, or plain text
+ */
+export function renderRichText(value) {
+  if (!isRichText(value)) return value;
+
+  const nodes = [];
+  let lists = []; // open lists, outermost first: { tag, level, items }
+
+  value.forEach((block, index) => {
+    const key = block._key || index;
+
+    if (!block.listItem) {
+      lists = [];
+      nodes.push(createElement(BLOCK_ELEMENTS[block.style] || 'p', { key }, renderSpans(block)));
+      return;
+    }
+
+    const level = Math.max(1, Number(block.level) || 1);
+    const tag = block.listItem === 'number' ? 'ol' : 'ul';
+
+    while (lists.length > 0 && (lists[lists.length - 1].level > level ||
+      (lists[lists.length - 1].level === level && lists[lists.length - 1].tag !== tag))) {
+      lists.pop();
+    }
+
+    let list = lists[lists.length - 1];
+    if (!list || list.level < level) {
+      const nested = { tag, level, items: [], key };
+      // A nested list goes inside the last item of the list around it
+      (list ? list.items[list.items.length - 1].children : nodes).push(nested);
+      lists.push(nested);
+      list = nested;
+    }
+
+    list.items.push({ key, children: [renderSpans(block)] });
+  });
+
+  const toElement = (node) => (node.items
+    ? createElement(node.tag, { key: node.key }, node.items.map(item => createElement('li', { key: item.key }, item.children.map(toElement))))
+    : node);
+
+  return nodes.map(toElement);
+}
+
 export default useNodeLxContent;
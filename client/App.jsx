@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import HomePage from './components/HomePage';
 import ContentEditor from './components/ContentEditor';
 import SplitViewEditor from './components/SplitViewEditor';
@@ -22,6 +22,9 @@ function App() {
     const saved = localStorage.getItem('nodelx-server-url');
     return saved || 'http://localhost:3001';
   });
+  // Last event seen, to resume after a dropped connection
+  const lastSeq = useRef(null);
+  const serverId = useRef(null);
 
   useEffect(() => {
     loadContent();
@@ -47,10 +50,19 @@ function App() {
     ws.onopen = () => {
       console.log('[WebSocket] Connected to server');
       setConnected(true);
+
+      // Only this page's content changes
+      ws.send(JSON.stringify({ type: 'subscribe', topics: ['page:home'] }));
+
+      // Reconnected - get the updates sent while we were away
+      if (lastSeq.current !== null) {
+        ws.send(JSON.stringify({ type: 'resume', lastSeq: lastSeq.current, serverId: serverId.current }));
+      }
     };
 
     ws.onmessage = (event) => {
       const data = JSON.parse(event.data);
+      trackSeq(data);
       handleWebSocketMessage(data);
     };
 
@@ -67,14 +79,26 @@ function App() {
     };
   };
 
+  const trackSeq = (data) => {
+    if (data.type === 'connected') {
+      serverId.current = data.serverId;
+      // A resume is on its way - keep the seq it starts from
+      if (lastSeq.current === null) {
+        lastSeq.current = data.seq;
+      }
+    } else if (typeof data.seq === 'number') {
+      lastSeq.current = Math.max(lastSeq.current ?? 0, data.seq);
+    }
+  };
+
   const handleWebSocketMessage = (data) => {
     console.log('[WebSocket] Received:', data.type);
 
     switch (data.type) {
       case 'content-store-update':
-        // Reload content when it changes
+        // Reload content when it changes (the event's copy has its references unresolved)
         if (data.event.type === 'update' && data.event.pageId === 'home') {
-          setContent(data.event.data.content);
+          loadContent();
         }
         break;
 
@@ -89,6 +113,13 @@ function App() {
         window.location.reload();
         break;
 
+      case 'resync-required':
+        // Missed too much to replay - load the content again
+        lastSeq.current = data.seq;
+        serverId.current = data.serverId;
+        loadContent();
+        break;
+
       default:
         break;
     }
@@ -0,0 +1,264 @@
+import * as Y from 'yjs';
+
+/**
+ * NodeLx collaborative text client
+ * One content string field edited together with others (see server/collab.js).
+ * It only needs a function that sends messages to the server and to be handed the messages
+ * that come back, so it runs in the browser and, headless, in Node (.mjs):
+ *
+ *   const text = new CollabText({ pageId: 'home', field: 'heroTitle', send: m => ws.send(JSON.stringify(m)) });
+ *   ws.on('message', data => text.handleMessage(JSON.parse(data)));
+ *   text.join();
+ *   text.setText('Hello');
+ */
+export default class CollabText {
+  /**
+   * @param {Object} options - { pageId, field, locale, send: (message) => void }
+   */
+  constructor({ pageId, field, locale = null, send }) {
+    this.target = { pageId, field, locale };
+    this.send = send;
+    this.ydoc = null;
+    this.ytext = null;
+    this.docId = null;
+    this.synced = false;
+    this.error = null;
+    this.cursors = new Map(); // user id -> { user, anchor, head } (relative positions)
+    this.listeners = new Set();
+  }
+
+  /**
+   * Open the field - again after a reconnect, to merge the edits made meanwhile
+   */
+  join() {
+    this.send({ type: 'collab-join', ...this.target });
+  }
+
+  /**
+   * Close the field
+   */
+  leave() {
+    this.send({ type: 'collab-leave', ...this.target });
+    this.synced = false;
+    this.ydoc?.destroy();
+    this.ydoc = null;
+    this.ytext = null;
+  }
+
+  /**
+   * Handle a message from the server
+   * @returns {boolean} Whether it was about this field
+   */
+  handleMessage(message) {
+    if (!message.type?.startsWith('collab-') || !this.isTarget(message)) {
+      return false;
+    }
+
+    switch (message.type) {
+      case 'collab-sync':
+        this.sync(message);
+        break;
+
+      case 'collab-update':
+        if (this.ydoc) {
+          Y.applyUpdate(this.ydoc, fromBase64(message.update), 'remote');
+        }
+        break;
+
+      case 'collab-cursor': {
+        const id = message.user.id || message.user.name;
+        if (message.anchor === null) {
+          this.cursors.delete(id);
+        } else {
+          this.cursors.set(id, { user: message.user, anchor: message.anchor, head: message.head });
+        }
+        this.emit({ remote: true, delta: [] });
+        break;
+      }
+
+      case 'collab-error':
+        this.error = message.error;
+        this.emit({ remote: true, delta: [] });
+        break;
+
+      default:
+        break;
+    }
+
+    return true;
+  }
+
+  /**
+   * The field's current text
+   */
+  getText() {
+    return this.ytext ? this.ytext.toString() : '';
+  }
+
+  /**
+   * Make a local edit - the new text of the field (e.g. a textarea's value after typing)
+   */
+  setText(value) {
+    if (!this.ytext) {
+      return;
+    }
+    this.ydoc.transact(() => replaceText(this.ytext, value), 'local');
+  }
+
+  /**
+   * Show the others where the caret (or selection) is, null when the field loses focus
+   */
+  setSelection(anchor, head = anchor) {
+    if (!this.ytext) {
+      return;
+    }
+
+    this.send({
+      type: 'collab-cursor',
+      ...this.target,
+      anchor: anchor === null ? null : Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(this.ytext, anchor)),
+      head: anchor === null ? null : Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(this.ytext, head))
+    });
+  }
+
+  /**
+   * The other editors' carets as indexes in the current text
+   * @returns {Array<{user: Object, anchor: number, head: number}>}
+   */
+  getCursors() {
+    if (!this.ydoc) {
+      return [];
+    }
+
+    return [...this.cursors.values()]
+      .map(cursor => ({
+        user: cursor.user,
+        anchor: this.toIndex(cursor.anchor),
+        head: this.toIndex(cursor.head)
+      }))
+      .filter(cursor => cursor.anchor !== null && cursor.head !== null);
+  }
+
+  /**
+   * Listen for changes: ({ text, remote, delta }) - delta is the Yjs text delta of the change
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // ---- internals ----
+
+  isTarget(message) {
+    return message.pageId === this.target.pageId &&
+      message.field === this.target.field &&
+      (message.locale || null) === (this.target.locale || null);
+  }
+
+  /**
+   * Take the server's document - or, rejoining the same one, merge it with what we have
+   */
+  sync(message) {
+    const update = fromBase64(message.update);
+
+    if (this.ydoc && message.docId === this.docId) {
+      Y.applyUpdate(this.ydoc, update, 'remote');
+      // Edits made while disconnected
+      this.send({ type: 'collab-update', ...this.target, update: toBase64(Y.encodeStateAsUpdate(this.ydoc)) });
+    } else {
+      this.ydoc?.destroy();
+      this.ydoc = new Y.Doc();
+      this.ytext = this.ydoc.getText('text');
+      this.docId = message.docId;
+
+      this.ydoc.on('update', (change, origin) => {
+        if (origin !== 'remote') {
+          this.send({ type: 'collab-update', ...this.target, update: toBase64(change) });
+        }
+      });
+      this.ytext.observe(event => {
+        this.emit({ remote: event.transaction.origin !== 'local', delta: event.delta });
+      });
+
+      Y.applyUpdate(this.ydoc, update, 'remote');
+    }
+
+    this.cursors = new Map(message.cursors.map(cursor => [cursor.user.id || cursor.user.name, cursor]));
+    this.synced = true;
+    this.error = null;
+    this.emit({ remote: true, delta: [] });
+  }
+
+  toIndex(position) {
+    const absolute = position && Y.createAbsolutePositionFromRelativePosition(Y.createRelativePositionFromJSON(position), this.ydoc);
+    return absolute ? absolute.index : null;
+  }
+
+  emit(change) {
+    const text = this.getText();
+    this.listeners.forEach(listener => listener({ text, ...change }));
+  }
+}
+
+/**
+ * Where an index ends up after a change (a Yjs text delta) - to keep the local caret in place
+ */
+export function transformIndex(index, delta) {
+  let position = 0; // in the text before the change
+  let result = index;
+
+  for (const op of delta) {
+    if (op.retain) {
+      position += op.retain;
+    } else if (op.insert) {
+      // Text typed right at the caret goes after it
+      if (position < index) {
+        result += typeof op.insert === 'string' ? op.insert.length : 1;
+      }
+    } else if (op.delete) {
+      if (position < index) {
+        result -= Math.min(op.delete, index - position);
+      }
+      position += op.delete;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Turn the text into another with as small an edit as possible (common start and end kept)
+ */
+function replaceText(ytext, value) {
+  const current = ytext.toString();
+  let start = 0;
+  while (start < current.length && start < value.length && current[start] === value[start]) {
+    start++;
+  }
+
+  let end = 0;
+  while (end < current.length - start && end < value.length - start &&
+    current[current.length - 1 - end] === value[value.length - 1 - end]) {
+    end++;
+  }
+
+  if (current.length - start - end > 0) {
+    ytext.delete(start, current.length - start - end);
+  }
+  if (value.length - start - end > 0) {
+    ytext.insert(start, value.slice(start, value.length - end));
+  }
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import { getServerUrl } from '../config';
+
+const PAGE_SIZE = 25;
+
+const EMPTY_FILTERS = { actor: '', action: '', pageId: '', field: '' };
+
+/**
+ * Show a changed value in one line
+ */
+function formatValue(value) {
+  if (value === undefined) return '∅';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+/**
+ * Describe what an entry changed: page (and stage/locale), or file and element
+ */
+function formatTarget(target = {}) {
+  if (target.pageId) {
+    const details = [target.stage, target.locale].filter(Boolean).join(', ');
+    const page = target.oldPageId ? `${target.oldPageId} → ${target.pageId}` : target.pageId;
+    return details ? `${page} (${details})` : page;
+  }
+  return [target.filePath, target.elementId && `#${target.elementId}`].filter(Boolean).join(' ');
+}
+
+/**
+ * Audit Panel
+ * Browses the server's audit log (GET /api/audit) inside the Debug Console:
+ * who changed what, from where, and the before/after value of each field
+ */
+function AuditPanel() {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [applied, setApplied] = useState(EMPTY_FILTERS);
+  const [offset, setOffset] = useState(0);
+  const [result, setResult] = useState({ total: 0, entries: [] });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadEntries = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const params = new URLSearchParams({ limit: PAGE_SIZE, offset });
+      for (const [key, value] of Object.entries(applied)) {
+        if (value.trim()) params.set(key, value.trim());
+      }
+
+      const response = await fetch(`${getServerUrl()}/api/audit?${params}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      setResult(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadEntries();
+  }, [applied, offset]);
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setOffset(0);
+    setApplied(filters);
+  };
+
+  const resetFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setOffset(0);
+    setApplied(EMPTY_FILTERS);
+  };
+
+  const lastShown = Math.min(offset + PAGE_SIZE, result.total);
+
+  return (
+    <div className="audit-panel">
+      <form className="audit-filters" onSubmit={applyFilters}>
+        {Object.keys(EMPTY_FILTERS).map(key => (
+          <input
+            key={key}
+            type="text"
+            className="audit-filter"
+            placeholder={key === 'action' ? 'action (content.*)' : key}
+            value={filters[key]}
+            onChange={(e) => setFilters(prev => ({ ...prev, [key]: e.target.value }))}
+          />
+        ))}
+        <button type="submit" className="debug-btn">Filter</button>
+        <button type="button" className="debug-btn" onClick={resetFilters}>Reset</button>
+        <button type="button" className="debug-btn" onClick={loadEntries} disabled={loading}>
+          🔄 Refresh
+        </button>
+
+        <span className="audit-pagination">
+          <button
+            type="button"
+            className="debug-btn"
+            onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+            disabled={loading || offset === 0}
+          >
+            ◀
+          </button>
+          <span>{result.total === 0 ? 0 : offset + 1}-{lastShown} of {result.total}</span>
+          <button
+            type="button"
+            className="debug-btn"
+            onClick={() => setOffset(offset + PAGE_SIZE)}
+            disabled={loading || lastShown >= result.total}
+          >
+            ▶
+          </button>
+        </span>
+      </form>
+
+      <div className="debug-logs">
+        {error && <div className="audit-error">⚠️ {error}</div>}
+
+        {!error && result.entries.length === 0 ? (
+          <div className="debug-empty">
+            <p>{loading ? 'Loading...' : 'No audit entries'}</p>
+            <small>Content, theme and source changes will appear here</small>
+          </div>
+        ) : (
+          result.entries.map(entry => (
+            <div key={entry.id} className="audit-entry">
+              <div className="audit-summary">
+                <span className="log-timestamp">{new Date(entry.timestamp).toLocaleString()}</span>
+                <span className="audit-actor">{entry.actor}</span>
+                <span className="audit-action">{entry.action}</span>
+                <span className="audit-target">{formatTarget(entry.target)}</span>
+                {entry.route && (
+                  <span className="audit-route" title={entry.ip || ''}>{entry.route}</span>
+                )}
+              </div>
+
+              {entry.changes.length > 0 && (
+                <ul className="audit-changes">
+                  {entry.changes.map((change, index) => (
+                    <li key={index}>
+                      <span className="audit-field">{change.field || '(value)'}</span>
+                      <span className="audit-before">{formatValue(change.before)}</span>
+                      {' → '}
+                      <span className="audit-after">{formatValue(change.after)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AuditPanel;
@@ -0,0 +1,189 @@
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
+import { getWebSocketUrl, getUserName } from '../config';
+import CollabText, { transformIndex } from '../collabText.mjs';
+import './CollabTextField.css';
+
+/**
+ * Split the text at the other editors' carets, for the mirror drawn over the textarea
+ */
+function splitAtCarets(text, cursors) {
+  const carets = [...cursors].sort((a, b) => a.head - b.head);
+  const parts = [];
+  let position = 0;
+
+  for (const cursor of carets) {
+    parts.push({ text: text.slice(position, cursor.head) });
+    parts.push({ cursor });
+    position = cursor.head;
+  }
+  parts.push({ text: text.slice(position) });
+
+  return parts;
+}
+
+/**
+ * Collaborative Text Field
+ * A textarea several editors type in at once (see collabText.mjs and server/collab.js).
+ * Edits are merged character by character and saved by the server when typing pauses;
+ * the other editors' carets are drawn in their presence colour
+ */
+function CollabTextField({ pageId, field, locale = null, onClose }) {
+  const [text, setText] = useState('');
+  const [cursors, setCursors] = useState([]);
+  const [status, setStatus] = useState('connecting'); // 'connecting', 'synced', 'offline'
+  const [error, setError] = useState(null);
+
+  const textareaRef = useRef(null);
+  const mirrorRef = useRef(null);
+  const collabRef = useRef(null);
+  const selectionRef = useRef(null); // local selection to restore after a remote edit
+
+  useEffect(() => {
+    let ws = null;
+    let reconnectTimer = null;
+    let closed = false;
+
+    const collab = new CollabText({
+      pageId,
+      field,
+      locale,
+      send: (message) => {
+        if (ws && ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify(message));
+        }
+      }
+    });
+    collabRef.current = collab;
+
+    const unsubscribe = collab.subscribe(({ text: value, remote, delta }) => {
+      const textarea = textareaRef.current;
+
+      // Keep the local caret where it was in the text around it
+      if (remote && textarea && document.activeElement === textarea) {
+        selectionRef.current = [
+          transformIndex(textarea.selectionStart, delta),
+          transformIndex(textarea.selectionEnd, delta)
+        ];
+      }
+
+      setText(value);
+      setCursors(collab.getCursors());
+      setError(collab.error);
+      if (collab.synced) setStatus('synced');
+    });
+
+    const connect = () => {
+      ws = new WebSocket(getWebSocketUrl());
+
+      ws.onopen = () => {
+        ws.send(JSON.stringify({ type: 'presence', name: getUserName(), pageId }));
+        collab.join();
+      };
+
+      ws.onmessage = (event) => {
+        collab.handleMessage(JSON.parse(event.data));
+      };
+
+      ws.onclose = () => {
+        if (closed) return;
+        setStatus('offline');
+        reconnectTimer = setTimeout(connect, 2000);
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      unsubscribe();
+      collab.leave();
+      ws.close();
+    };
+  }, [pageId, field, locale]);
+
+  // Put the local caret back after a remote edit re-rendered the text
+  useLayoutEffect(() => {
+    if (selectionRef.current && textareaRef.current) {
+      textareaRef.current.setSelectionRange(...selectionRef.current);
+      selectionRef.current = null;
+    }
+  }, [text]);
+
+  const handleChange = (e) => {
+    collabRef.current.setText(e.target.value);
+    setText(e.target.value);
+    shareSelection();
+  };
+
+  const shareSelection = () => {
+    const textarea = textareaRef.current;
+    if (textarea) {
+      collabRef.current.setSelection(textarea.selectionStart, textarea.selectionEnd);
+    }
+  };
+
+  // The final text, or null if the field never loaded
+  const close = () => {
+    const collab = collabRef.current;
+    onClose(collab.synced ? collab.getText() : null);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape' || (e.key === 'Enter' && (e.metaKey || e.ctrlKey))) {
+      e.preventDefault();
+      close();
+    }
+  };
+
+  const syncScroll = () => {
+    if (mirrorRef.current && textareaRef.current) {
+      mirrorRef.current.scrollTop = textareaRef.current.scrollTop;
+    }
+  };
+
+  return (
+    <div className="collab-field">
+      <div className="collab-input">
+        <div ref={mirrorRef} className="collab-mirror field-textarea" aria-hidden="true">
+          {splitAtCarets(text, cursors).map((part, index) => part.cursor ? (
+            <span key={index} className="collab-caret" style={{ borderColor: part.cursor.user.color || '#888' }}>
+              <span className="collab-caret-label" style={{ background: part.cursor.user.color || '#888' }}>
+                {part.cursor.user.name}
+              </span>
+            </span>
+          ) : (
+            <span key={index}>{part.text}</span>
+          ))}
+          {/* A trailing newline needs something after it to take up a line */}
+          {'\u200b'}
+        </div>
+        <textarea
+          ref={textareaRef}
+          className="field-textarea collab-textarea"
+          value={text}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onSelect={shareSelection}
+          onBlur={() => collabRef.current.setSelection(null)}
+          onScroll={syncScroll}
+          readOnly={status === 'connecting'}
+          autoFocus
+          rows={Math.min(10, Math.max(3, text.split('\n').length + 1))}
+        />
+      </div>
+
+      {error && <div className="collab-error">⚠️ {error}</div>}
+
+      <div className="field-actions">
+        <button className="btn-save" onClick={close}>✓ Done</button>
+        <span className={`collab-status ${status}`}>
+          {status === 'connecting' ? 'Connecting...' : status === 'offline' ? '○ Offline - reconnecting' : '● Live'}
+        </span>
+      </div>
+      <div className="field-hint">Changes save automatically and others see them as you type • Esc to close</div>
+    </div>
+  );
+}
+
+export default CollabTextField;
@@ -1,13 +1,56 @@
 import React, { useState, useEffect } from 'react';
 import { getServerUrl } from '../config';
+import StructuredField, { toPointer } from './StructuredField';
+import { MediaField, isImageField } from './MediaPicker';
+import RichTextField, { isRichText } from './RichTextField';
 import './ContentEditor.css';
 
+/**
+ * Lists and objects are edited with StructuredField instead of a textarea
+ */
+function isStructured(value) {
+  return value !== null && typeof value === 'object';
+}
+
+/**
+ * Fields linked to shared content ({ "$ref": "globals#/phoneNumber" }) are edited where they point
+ */
+function isReference(value) {
+  return isStructured(value) && typeof value.$ref === 'string';
+}
+
+/**
+ * Widget a field is edited with: its content type's hint, else guessed from the value
+ * Boolean and select fields save as soon as they change, the rest open an editor
+ */
+function getWidget(field, value, spec) {
+  if (spec) return spec.widget;
+  if (isRichText(value)) return 'richtext';
+  return isImageField(field, value) ? 'image' : 'textarea';
+}
+
+/**
+ * Select options are plain values or { value, label }
+ */
+function toOption(option) {
+  return option !== null && typeof option === 'object' ? option : { value: option, label: String(option) };
+}
+
+/**
+ * Fields of the page's content type first, in the type's order, then any others the page has
+ */
+function listFields(content, contentType) {
+  const typeFields = contentType ? Object.keys(contentType.fields) : [];
+  return [...typeFields, ...Object.keys(content).filter(field => !typeFields.includes(field))];
+}
+
 /**
  * Visual Content Editor
  * Allows click-to-edit functionality for content fields
  */
 function ContentEditor({ pageId = 'home' }) {
   const [content, setContent] = useState(null);
+  const [contentType, setContentType] = useState(null);
   const [editingField, setEditingField] = useState(null);
   const [editValue, setEditValue] = useState('');
   const [saving, setSaving] = useState(false);
@@ -19,18 +62,25 @@ function ContentEditor({ pageId = 'home' }) {
 
   const loadContent = async () => {
     try {
-      const response = await fetch(`${getServerUrl()}/api/content/${pageId}`);
+      const response = await fetch(`${getServerUrl()}/api/content/${pageId}?stage=draft&resolve=false`);
       const data = await response.json();
       setContent(data.content);
+      setContentType(data.type ? await loadContentType(data.type) : null);
     } catch (error) {
       console.error('Error loading content:', error);
       setMessage('Failed to load content');
     }
   };
 
+  // Pages of an unknown type are edited like untyped ones
+  const loadContentType = async (type) => {
+    const response = await fetch(`${getServerUrl()}/api/content/_types/${type}`);
+    return response.ok ? response.json() : null;
+  };
+
   const startEditing = (field, value) => {
     setEditingField(field);
-    setEditValue(value);
+    setEditValue(value ?? '');
   };
 
   const cancelEditing = () => {
@@ -38,21 +88,22 @@ function ContentEditor({ pageId = 'home' }) {
     setEditValue('');
   };
 
-  const saveField = async () => {
-    if (!editingField) return;
+  // field/value default to the open text editor, image fields pass them directly
+  const saveField = async (field = editingField, value = editValue) => {
+    if (!field) return;
 
     setSaving(true);
     setMessage('');
 
     try {
-      const response = await fetch(`${getServerUrl()}/api/content/${pageId}`, {
+      const response = await fetch(`${getServerUrl()}/api/content/${pageId}?resolve=false`, {
         method: 'PATCH',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
           content: {
-            [editingField]: editValue
+            [field]: value
           }
         }),
       });
@@ -60,7 +111,7 @@ function ContentEditor({ pageId = 'home' }) {
       if (response.ok) {
         const updated = await response.json();
         setContent(updated.content);
-        setMessage(`✓ Saved: ${editingField}`);
+        setMessage(`✓ Saved draft: ${field}`);
         setEditingField(null);
         setEditValue('');
         
@@ -77,10 +128,47 @@ function ContentEditor({ pageId = 'home' }) {
     }
   };
 
+  // Apply JSON Patch operations from the list/object field editors
+  const applyPatch = async (operations) => {
+    setSaving(true);
+    setMessage('');
+
+    try {
+      const response = await fetch(`${getServerUrl()}/api/content/${pageId}?resolve=false`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json-patch+json',
+        },
+        body: JSON.stringify(operations),
+      });
+
+      if (response.ok) {
+        const updated = await response.json();
+        setContent(updated.content);
+        setMessage('✓ Saved draft');
+        setTimeout(() => setMessage(''), 3000);
+      } else {
+        const body = await response.json();
+        setMessage(body.error || 'Failed to save changes');
+      }
+    } catch (error) {
+      console.error('Error saving:', error);
+      setMessage('Error saving changes');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Number fields are typed as text, save them as numbers
+  const saveEditing = () => {
+    const widget = contentType?.fields[editingField]?.widget;
+    saveField(editingField, widget === 'number' && editValue !== '' ? Number(editValue) : editValue);
+  };
+
   const handleKeyDown = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
-      saveField();
+      saveEditing();
     } else if (e.key === 'Escape') {
       cancelEditing();
     }
@@ -108,57 +196,131 @@ function ContentEditor({ pageId = 'home' }) {
 
       <div className="editor-content">
         <div className="editor-fields">
-          {Object.entries(content).map(([field, value]) => (
-            <div key={field} className="editor-field">
-              <div className="editor-field-header">
-                <label className="editor-field-label">{field}</label>
-                {editingField !== field && (
-                  <button
-                    className="editor-edit-btn"
-                    onClick={() => startEditing(field, value)}
-                  >
-                    Edit
-                  </button>
-                )}
-              </div>
+          {listFields(content, contentType).map((field) => {
+            const value = content[field];
+            const spec = contentType?.fields[field];
+            const widget = getWidget(field, value, spec);
+            const editable = !isStructured(value) && ['text', 'textarea', 'url', 'number'].includes(widget);
 
-              {editingField === field ? (
-                <div className="editor-field-editing">
-                  <textarea
-                    className="editor-textarea"
-                    value={editValue}
-                    onChange={(e) => setEditValue(e.target.value)}
-                    onKeyDown={handleKeyDown}
-                    autoFocus
-                    rows={3}
-                  />
-                  <div className="editor-field-actions">
+            return (
+              <div key={field} className="editor-field">
+                <div className="editor-field-header">
+                  <label className="editor-field-label">
+                    {spec?.label || field}
+                    {spec?.required && <span className="editor-field-required"> *</span>}
+                  </label>
+                  {editingField !== field && editable && (
                     <button
-                      className="editor-save-btn"
-                      onClick={saveField}
-                      disabled={saving}
+                      className="editor-edit-btn"
+                      onClick={() => startEditing(field, value)}
                     >
-                      {saving ? 'Saving...' : 'Save'}
+                      Edit
                     </button>
-                    <button
-                      className="editor-cancel-btn"
-                      onClick={cancelEditing}
+                  )}
+                </div>
+                {spec?.help && <div className="editor-field-help">{spec.help}</div>}
+
+                {isReference(value) ? (
+                  <div className="editor-field-reference">
+                    Linked to <code>{value.$ref}</code>
+                  </div>
+                ) : widget === 'richtext' ? (
+                  <RichTextField
+                    value={value}
+                    onChange={(blocks) => saveField(field, blocks)}
+                    disabled={saving}
+                  />
+                ) : isStructured(value) ? (
+                  <StructuredField
+                    path={toPointer([field])}
+                    value={value}
+                    onPatch={applyPatch}
+                    disabled={saving}
+                  />
+                ) : widget === 'image' ? (
+                  <MediaField
+                    value={value}
+                    onChange={(url) => saveField(field, url)}
+                    disabled={saving}
+                  />
+                ) : widget === 'boolean' ? (
+                  <label className="editor-checkbox">
+                    <input
+                      type="checkbox"
+                      checked={value === true}
+                      onChange={(e) => saveField(field, e.target.checked)}
                       disabled={saving}
-                    >
-                      Cancel
-                    </button>
+                    />
+                    {value ? 'Yes' : 'No'}
+                  </label>
+                ) : widget === 'select' ? (
+                  <select
+                    className="editor-select"
+                    value={value ?? ''}
+                    onChange={(e) => {
+                      const option = spec.options.map(toOption).find(o => String(o.value) === e.target.value);
+                      saveField(field, option.value);
+                    }}
+                    disabled={saving}
+                  >
+                    {value === undefined && <option value="">Choose...</option>}
+                    {spec.options.map(toOption).map(option => (
+                      <option key={String(option.value)} value={String(option.value)}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                ) : editingField === field ? (
+                  <div className="editor-field-editing">
+                    {widget === 'textarea' ? (
+                      <textarea
+                        className="editor-textarea"
+                        value={editValue}
+                        onChange={(e) => setEditValue(e.target.value)}
+                        onKeyDown={handleKeyDown}
+                        autoFocus
+                        rows={3}
+                      />
+                    ) : (
+                      <input
+                        className="editor-input"
+                        type={widget === 'number' ? 'number' : widget === 'url' ? 'url' : 'text'}
+                        min={spec?.min}
+                        max={spec?.max}
+                        value={editValue}
+                        onChange={(e) => setEditValue(e.target.value)}
+                        onKeyDown={handleKeyDown}
+                        autoFocus
+                      />
+                    )}
+                    <div className="editor-field-actions">
+                      <button
+                        className="editor-save-btn"
+                        onClick={saveEditing}
+                        disabled={saving}
+                      >
+                        {saving ? 'Saving...' : 'Save'}
+                      </button>
+                      <button
+                        className="editor-cancel-btn"
+                        onClick={cancelEditing}
+                        disabled={saving}
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                    <div className="editor-hint">
+                      Press Enter to save, Esc to cancel
+                    </div>
                   </div>
-                  <div className="editor-hint">
-                    Press Enter to save, Esc to cancel
+                ) : (
+                  <div className="editor-field-value">
+                    {widget === 'url' && value ? <a href={value} target="_blank" rel="noreferrer">{value}</a> : value}
                   </div>
-                </div>
-              ) : (
-                <div className="editor-field-value">
-                  {value}
-                </div>
-              )}
-            </div>
-          ))}
+                )}
+              </div>
+            );
+          })}
         </div>
       </div>
     </div>
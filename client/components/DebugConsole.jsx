@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
+import AuditPanel from './AuditPanel';
 import './DebugConsole.css';
 
 /**
@@ -9,12 +10,14 @@ import './DebugConsole.css';
  * - Content updates
  * - Errors
  * - Component lifecycle
+ * The Audit view lists the changes recorded in the server's audit log
  */
 function DebugConsole() {
   const [logs, setLogs] = useState([]);
   const [isExpanded, setIsExpanded] = useState(true);
   const [filter, setFilter] = useState('all'); // all, error, info, success, warning
   const [autoScroll, setAutoScroll] = useState(true);
+  const [view, setView] = useState('logs'); // logs, audit
   const logsEndRef = useRef(null);
   const consoleRef = useRef(null);
 
@@ -189,49 +192,71 @@ function DebugConsole() {
         </div>
         
         <div className="debug-controls">
-          {/* Filter Buttons */}
+          {/* View Switch */}
           <div className="debug-filters">
             <button 
-              className={`filter-btn ${filter === 'all' ? 'active' : ''}`}
-              onClick={() => setFilter('all')}
-            >
-              All
-            </button>
-            <button 
-              className={`filter-btn ${filter === 'error' ? 'active' : ''}`}
-              onClick={() => setFilter('error')}
-            >
-              Errors
-            </button>
-            <button 
-              className={`filter-btn ${filter === 'success' ? 'active' : ''}`}
-              onClick={() => setFilter('success')}
+              className={`filter-btn ${view === 'logs' ? 'active' : ''}`}
+              onClick={() => setView('logs')}
             >
-              Success
+              Logs
             </button>
             <button 
-              className={`filter-btn ${filter === 'info' ? 'active' : ''}`}
-              onClick={() => setFilter('info')}
+              className={`filter-btn ${view === 'audit' ? 'active' : ''}`}
+              onClick={() => setView('audit')}
             >
-              Info
+              Audit
             </button>
           </div>
 
+          {/* Filter Buttons */}
+          {view === 'logs' && (
+            <div className="debug-filters">
+              <button 
+                className={`filter-btn ${filter === 'all' ? 'active' : ''}`}
+                onClick={() => setFilter('all')}
+              >
+                All
+              </button>
+              <button 
+                className={`filter-btn ${filter === 'error' ? 'active' : ''}`}
+                onClick={() => setFilter('error')}
+              >
+                Errors
+              </button>
+              <button 
+                className={`filter-btn ${filter === 'success' ? 'active' : ''}`}
+                onClick={() => setFilter('success')}
+              >
+                Success
+              </button>
+              <button 
+                className={`filter-btn ${filter === 'info' ? 'active' : ''}`}
+                onClick={() => setFilter('info')}
+              >
+                Info
+              </button>
+            </div>
+          )}
+
           {/* Action Buttons */}
-          <button className="debug-btn" onClick={clearLogs} title="Clear Logs">
-            🗑️ Clear
-          </button>
-          <button className="debug-btn" onClick={exportLogs} title="Export Logs">
-            💾 Export
-          </button>
-          <label className="debug-checkbox">
-            <input 
-              type="checkbox" 
-              checked={autoScroll}
-              onChange={(e) => setAutoScroll(e.target.checked)}
-            />
-            Auto-scroll
-          </label>
+          {view === 'logs' && (
+            <>
+              <button className="debug-btn" onClick={clearLogs} title="Clear Logs">
+                🗑️ Clear
+              </button>
+              <button className="debug-btn" onClick={exportLogs} title="Export Logs">
+                💾 Export
+              </button>
+              <label className="debug-checkbox">
+                <input 
+                  type="checkbox" 
+                  checked={autoScroll}
+                  onChange={(e) => setAutoScroll(e.target.checked)}
+                />
+                Auto-scroll
+              </label>
+            </>
+          )}
           <button 
             className="debug-toggle" 
             onClick={() => setIsExpanded(!isExpanded)}
@@ -243,7 +268,13 @@ function DebugConsole() {
       </div>
 
       {/* Console Body */}
-      {isExpanded && (
+      {isExpanded && view === 'audit' && (
+        <div className="debug-body">
+          <AuditPanel />
+        </div>
+      )}
+
+      {isExpanded && view === 'logs' && (
         <div className="debug-body" ref={consoleRef}>
           <div className="debug-logs">
             {filteredLogs.length === 0 ? (
@@ -0,0 +1,221 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { getServerUrl } from '../config';
+import './MediaPicker.css';
+
+/**
+ * Media Picker
+ * Browse, search and upload assets from the NodeLx media library (/api/media)
+ * and pick one for an image field.
+ */
+
+const IMAGE_FIELD_PATTERN = /(image|img|photo|picture|logo|icon|avatar|thumbnail|banner)$/i;
+const IMAGE_VALUE_PATTERN = /\.(png|jpe?g|gif|webp|svg|avif)(\?.*)?$/i;
+
+/**
+ * Should a field be edited with the image picker instead of a text box
+ */
+export function isImageField(field, value) {
+  return typeof value === 'string' && (IMAGE_FIELD_PATTERN.test(field) || IMAGE_VALUE_PATTERN.test(value));
+}
+
+/**
+ * Asset URLs are server-relative ("/media/hero.png") - load them from the NodeLx server
+ */
+export function resolveMediaUrl(url) {
+  return url && url.startsWith('/') ? `${getServerUrl()}${url}` : url;
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Modal listing the media library
+ * @param {string} value - URL currently in the field (highlighted)
+ * @param {Function} onSelect - Receives the chosen asset
+ * @param {Function} onClose
+ */
+function MediaPicker({ value, onSelect, onClose }) {
+  const [assets, setAssets] = useState([]);
+  const [search, setSearch] = useState('');
+  const [alt, setAlt] = useState('');
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+  const API_URL = getServerUrl();
+
+  useEffect(() => {
+    const timer = setTimeout(loadAssets, 200);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const loadAssets = async () => {
+    try {
+      const params = new URLSearchParams({ type: 'image/' });
+      if (search) params.set('q', search);
+
+      const response = await fetch(`${API_URL}/api/media?${params}`);
+      if (!response.ok) throw new Error('Failed to load media');
+
+      const data = await response.json();
+      setAssets(data.assets);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const uploadFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setUploading(true);
+    setError(null);
+
+    try {
+      const form = new FormData();
+      form.append('file', file);
+      form.append('alt', alt);
+
+      const response = await fetch(`${API_URL}/api/media`, { method: 'POST', body: form });
+      const body = await response.json();
+
+      if (!response.ok) throw new Error(body.error || 'Upload failed');
+
+      setAlt('');
+      setAssets(current => [{ ...body, usedBy: [] }, ...current]);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setUploading(false);
+      e.target.value = '';
+    }
+  };
+
+  const deleteAsset = async (asset) => {
+    setError(null);
+
+    const response = await fetch(`${API_URL}/api/media/${encodeURIComponent(asset.id)}`, { method: 'DELETE' });
+
+    if (!response.ok) {
+      // 409 - still used by pages
+      const body = await response.json();
+      setError(body.error);
+      return;
+    }
+
+    setAssets(current => current.filter(a => a.id !== asset.id));
+  };
+
+  return (
+    <div className="media-picker-overlay" onClick={onClose}>
+      <div className="media-picker" onClick={(e) => e.stopPropagation()}>
+        <div className="media-picker-header">
+          <h3>Media Library</h3>
+          <button className="media-picker-close" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="media-picker-toolbar">
+          <input
+            type="text"
+            className="media-picker-search"
+            placeholder="Search by name or alt text..."
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+          <input
+            type="text"
+            className="media-picker-alt"
+            placeholder="Alt text for upload"
+            value={alt}
+            onChange={(e) => setAlt(e.target.value)}
+          />
+          <button
+            className="media-picker-upload"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={uploading}
+          >
+            {uploading ? 'Uploading...' : '⬆ Upload'}
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/*"
+            onChange={uploadFile}
+            hidden
+          />
+        </div>
+
+        {error && <div className="media-picker-error">{error}</div>}
+
+        <div className="media-picker-grid">
+          {assets.length === 0 ? (
+            <div className="media-picker-empty">{search ? `No images match "${search}"` : 'No images uploaded yet'}</div>
+          ) : (
+            assets.map(asset => (
+              <div
+                key={asset.id}
+                className={`media-picker-item ${asset.url === value ? 'selected' : ''}`}
+                onClick={() => onSelect(asset)}
+                title={asset.alt || asset.filename}
+              >
+                <img src={resolveMediaUrl(asset.url)} alt={asset.alt} loading="lazy" />
+                <div className="media-picker-info">
+                  <span className="media-picker-name">{asset.filename}</span>
+                  <span className="media-picker-meta">
+                    {asset.width}×{asset.height} · {formatSize(asset.size)}
+                  </span>
+                  {asset.usedBy.length > 0 && (
+                    <span className="media-picker-meta">Used by {asset.usedBy.join(', ')}</span>
+                  )}
+                </div>
+                <button
+                  className="media-picker-delete"
+                  onClick={(e) => { e.stopPropagation(); deleteAsset(asset); }}
+                  disabled={asset.usedBy.length > 0}
+                  title={asset.usedBy.length > 0 ? 'In use - remove it from those pages first' : 'Delete'}
+                >🗑</button>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Image field - a preview with a button that opens the media picker
+ * @param {string} value - Image URL
+ * @param {Function} onChange - Receives the new URL
+ */
+export function MediaField({ value, onChange, disabled = false }) {
+  const [picking, setPicking] = useState(false);
+
+  const select = (asset) => {
+    setPicking(false);
+    if (asset.url !== value) {
+      onChange(asset.url);
+    }
+  };
+
+  return (
+    <div className="media-field">
+      {value ? (
+        <img className="media-field-preview" src={resolveMediaUrl(value)} alt="" />
+      ) : (
+        <div className="media-field-preview empty">No image</div>
+      )}
+      <div className="media-field-details">
+        <code className="media-field-url">{value || '(none)'}</code>
+        <button className="media-field-btn" onClick={() => setPicking(true)} disabled={disabled}>
+          🖼 Choose image
+        </button>
+      </div>
+      {picking && <MediaPicker value={value} onSelect={select} onClose={() => setPicking(false)} />}
+    </div>
+  );
+}
+
+export default MediaPicker;
@@ -0,0 +1,333 @@
+import React, { useState, useRef } from 'react';
+import './RichTextField.css';
+
+/**
+ * Rich Text Field
+ * Edits a rich-text field stored as Portable Text blocks (see server/richText.js) with a formatting toolbar.
+ * The blocks are rendered as React elements into an editable area and read back from it on save,
+ * so no stored HTML is ever inserted into the page.
+ */
+
+const BLOCK_ELEMENTS = { normal: 'p', h1: 'h1', h2: 'h2', h3: 'h3', h4: 'h4', blockquote: 'blockquote' };
+const MARK_ELEMENTS = { strong: 'strong', em: 'em', underline: 'u', code: 'code', 'strike-through': 's' };
+
+// Elements the browser produces while editing -> block styles and marks
+const STYLE_OF_TAG = { H1: 'h1', H2: 'h2', H3: 'h3', H4: 'h4', BLOCKQUOTE: 'blockquote' };
+const MARK_OF_TAG = {
+  B: 'strong', STRONG: 'strong', I: 'em', EM: 'em', U: 'underline', CODE: 'code', S: 'strike-through', STRIKE: 'strike-through', DEL: 'strike-through'
+};
+const CONTAINER_TAGS = ['P', 'DIV'];
+
+const SAFE_HREF_PATTERN = /^(https?:|mailto:|tel:)/i;
+
+const TOOLBAR = [
+  { label: 'B', title: 'Bold', command: 'bold', className: 'bold' },
+  { label: 'I', title: 'Italic', command: 'italic', className: 'italic' },
+  { label: 'U', title: 'Underline', command: 'underline', className: 'underline' },
+  { label: 'S', title: 'Strikethrough', command: 'strikeThrough', className: 'strike' },
+  { label: 'H2', title: 'Heading', command: 'formatBlock', value: 'h2' },
+  { label: 'H3', title: 'Subheading', command: 'formatBlock', value: 'h3' },
+  { label: '¶', title: 'Paragraph', command: 'formatBlock', value: 'p' },
+  { label: '❝', title: 'Quote', command: 'formatBlock', value: 'blockquote' },
+  { label: '•', title: 'Bulleted list', command: 'insertUnorderedList' },
+  { label: '1.', title: 'Numbered list', command: 'insertOrderedList' },
+  { label: '🔗', title: 'Link', command: 'createLink' },
+  { label: '⛓̸', title: 'Remove link', command: 'unlink' },
+  { label: '⌫', title: 'Clear formatting', command: 'removeFormat' }
+];
+
+function newKey() {
+  return Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Is a value a rich-text document (a non-empty list of Portable Text blocks)
+ */
+export function isRichText(value) {
+  return Array.isArray(value) && value.length > 0 &&
+    value.every(block => block !== null && typeof block === 'object' && block._type === 'block');
+}
+
+/**
+ * Turn plain text into rich text, one paragraph per blank-line separated chunk
+ */
+export function textToRichText(text = '') {
+  return String(text).split(/\n\s*\n/).filter(chunk => chunk.trim()).map(chunk => ({
+    _type: 'block',
+    _key: newKey(),
+    style: 'normal',
+    markDefs: [],
+    children: [{ _type: 'span', _key: newKey(), text: chunk.trim(), marks: [] }]
+  }));
+}
+
+/**
+ * Keep web, mail, phone and relative links, drop the rest (javascript:...)
+ */
+function safeHref(href) {
+  if (typeof href !== 'string') return null;
+  const compact = href.replace(/[\u0000- \u007F]+/g, '');
+  return !/^[^/?#]*:/.test(compact) || SAFE_HREF_PATTERN.test(compact) ? href.trim() : null;
+}
+
+/**
+ * Group list items into nested lists: { block } or { list: { tag, level, items: [{ block, lists }] } }
+ */
+function nestLists(blocks) {
+  const nodes = [];
+  let stack = [];
+
+  for (const block of blocks) {
+    if (!block || block._type !== 'block') continue;
+
+    if (!block.listItem) {
+      stack = [];
+      nodes.push({ block });
+      continue;
+    }
+
+    const level = Math.max(1, Number(block.level) || 1);
+    const tag = block.listItem === 'number' ? 'ol' : 'ul';
+
+    while (stack.length > 0 && (stack[stack.length - 1].level > level ||
+      (stack[stack.length - 1].level === level && stack[stack.length - 1].tag !== tag))) {
+      stack.pop();
+    }
+
+    let list = stack[stack.length - 1];
+    if (!list || list.level < level) {
+      const nested = { tag, level, items: [] };
+      if (list && list.items.length > 0) {
+        list.items[list.items.length - 1].lists.push(nested);
+      } else {
+        nodes.push({ list: nested });
+      }
+      stack.push(nested);
+      list = nested;
+    }
+
+    list.items.push({ block, lists: [] });
+  }
+
+  return nodes;
+}
+
+function renderSpans(block) {
+  return (block.children || []).filter(span => typeof span?.text === 'string').map((span, index) => {
+    const lines = span.text.split('\n');
+    let node = lines.flatMap((line, i) => (i === 0 ? [line] : [<br key={i} />, line]));
+
+    for (const mark of [...(span.marks || [])].reverse()) {
+      if (MARK_ELEMENTS[mark]) {
+        node = React.createElement(MARK_ELEMENTS[mark], null, node);
+        continue;
+      }
+      const def = (block.markDefs || []).find(item => item?._key === mark);
+      const href = def?._type === 'link' ? safeHref(def.href) : null;
+      if (href) {
+        node = <a href={href}>{node}</a>;
+      }
+    }
+
+    return <React.Fragment key={span._key || index}>{node}</React.Fragment>;
+  });
+}
+
+function renderList(list, key) {
+  return React.createElement(list.tag, { key }, list.items.map((item, index) => (
+    <li key={item.block._key || index}>
+      {renderSpans(item.block)}
+      {item.lists.map((nested, i) => renderList(nested, i))}
+    </li>
+  )));
+}
+
+/**
+ * Render rich-text blocks as React elements
+ */
+export function renderRichText(blocks = []) {
+  return nestLists(blocks).map((node, index) => (node.list
+    ? renderList(node.list, index)
+    : React.createElement(BLOCK_ELEMENTS[node.block.style] || 'p', { key: node.block._key || index }, renderSpans(node.block))
+  ));
+}
+
+/**
+ * Read the edited area back into blocks
+ */
+function richTextFromDOM(root) {
+  const blocks = [];
+  let current = null; // block collecting text that is not inside a block element
+
+  const startBlock = (props) => {
+    current = { _type: 'block', _key: newKey(), style: 'normal', markDefs: [], children: [], ...props };
+    blocks.push(current);
+    return current;
+  };
+
+  const addText = (block, text, marks) => {
+    const last = block.children[block.children.length - 1];
+    if (last && last.marks.join() === marks.join()) {
+      last.text += text;
+    } else {
+      block.children.push({ _type: 'span', _key: newKey(), text, marks });
+    }
+  };
+
+  const walkInline = (node, block, marks) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      if (node.textContent) addText(block, node.textContent, marks);
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    if (node.tagName === 'BR') {
+      addText(block, '\n', marks);
+      return;
+    }
+
+    let inner = marks;
+    const mark = MARK_OF_TAG[node.tagName];
+    if (mark && !marks.includes(mark)) {
+      inner = [...marks, mark];
+    } else if (node.tagName === 'A' && node.getAttribute('href')) {
+      const link = { _type: 'link', _key: newKey(), href: node.getAttribute('href') };
+      block.markDefs.push(link);
+      inner = [...marks, link._key];
+    }
+
+    node.childNodes.forEach(child => walkInline(child, block, inner));
+  };
+
+  const walkList = (listElement, level) => {
+    const listItem = listElement.tagName === 'OL' ? 'number' : 'bullet';
+
+    listElement.childNodes.forEach(item => {
+      if (item.tagName !== 'LI') return;
+      let block = startBlock({ listItem, level });
+
+      item.childNodes.forEach(child => {
+        if (child.tagName === 'UL' || child.tagName === 'OL') {
+          walkList(child, level + 1);
+          block = null;
+        } else {
+          // Text after a nested list continues as another item of this list
+          walkInline(child, block || (block = startBlock({ listItem, level })), []);
+        }
+      });
+    });
+    current = null;
+  };
+
+  const walkBlocks = (parent, style) => {
+    parent.childNodes.forEach(node => {
+      const tag = node.nodeType === Node.ELEMENT_NODE ? node.tagName : null;
+
+      if (tag === 'UL' || tag === 'OL') {
+        walkList(node, 1);
+      } else if (tag && (STYLE_OF_TAG[tag] || CONTAINER_TAGS.includes(tag))) {
+        current = null;
+        walkBlocks(node, STYLE_OF_TAG[tag] || style);
+        current = null;
+      } else {
+        walkInline(node, current || startBlock({ style }), []);
+      }
+    });
+  };
+
+  walkBlocks(root, 'normal');
+
+  // Editing leaves empty paragraphs and trailing line breaks behind
+  return blocks
+    .map(block => {
+      const last = block.children[block.children.length - 1];
+      if (last) last.text = last.text.replace(/\n+$/, '');
+      return { ...block, children: block.children.filter(span => span.text !== '') };
+    })
+    .filter(block => block.children.some(span => span.text.trim()));
+}
+
+/**
+ * Rich-text editor with a formatting toolbar
+ * @param {Array|string} value - Blocks, or plain text to start from
+ * @param {Function} onChange - Called with the edited blocks on save
+ */
+function RichTextField({ value, onChange, disabled = false }) {
+  const [dirty, setDirty] = useState(false);
+  const [version, setVersion] = useState(0); // remounts the editable area to drop unsaved edits
+  const editorRef = useRef(null);
+
+  const blocks = isRichText(value) ? value : textToRichText(typeof value === 'string' ? value : '');
+
+  const runCommand = (command, commandValue) => {
+    editorRef.current?.focus();
+
+    if (command === 'createLink') {
+      commandValue = window.prompt('Link URL');
+      if (!commandValue) return;
+      if (!safeHref(commandValue)) {
+        window.alert('Links must be web, mail or phone links');
+        return;
+      }
+    }
+
+    document.execCommand(command, false, commandValue);
+    setDirty(true);
+  };
+
+  const save = async () => {
+    await onChange(richTextFromDOM(editorRef.current));
+    setDirty(false);
+    setVersion(v => v + 1);
+  };
+
+  const cancel = () => {
+    setDirty(false);
+    setVersion(v => v + 1);
+  };
+
+  return (
+    <div className="richtext-field">
+      <div className="richtext-toolbar">
+        {TOOLBAR.map(button => (
+          <button
+            key={button.title}
+            type="button"
+            className={`richtext-tool ${button.className || ''}`}
+            title={button.title}
+            // Keep the selection in the editable area
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => runCommand(button.command, button.value)}
+            disabled={disabled}
+          >
+            {button.label}
+          </button>
+        ))}
+      </div>
+
+      <div
+        key={version}
+        ref={editorRef}
+        className="richtext-editable"
+        contentEditable={!disabled}
+        suppressContentEditableWarning
+        onFocus={() => document.execCommand('defaultParagraphSeparator', false, 'p')}
+        onInput={() => setDirty(true)}
+      >
+        {renderRichText(blocks)}
+      </div>
+
+      {dirty && (
+        <div className="richtext-actions">
+          <button type="button" className="richtext-save" onClick={save} disabled={disabled}>
+            Save
+          </button>
+          <button type="button" className="richtext-cancel" onClick={cancel} disabled={disabled}>
+            Cancel
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RichTextField;
@@ -1,7 +1,79 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { getServerUrl } from '../config';
+import StructuredField, { toPointer } from './StructuredField';
+import { MediaField, isImageField } from './MediaPicker';
+import RichTextField, { isRichText } from './RichTextField';
+import CollabTextField from './CollabTextField';
 import './SplitViewEditor.css';
 
+/**
+ * Build the preview iframe URL - the site is asked to render draft content in the edited locale
+ */
+function buildPreviewSrc(url, locale = null, cacheBust = false) {
+  try {
+    const previewUrl = new URL(url);
+    previewUrl.searchParams.set('nodelxStage', 'draft');
+    if (locale) {
+      previewUrl.searchParams.set('nodelxLocale', locale);
+    }
+    if (cacheBust) {
+      previewUrl.searchParams.set('_t', Date.now());
+    }
+    return previewUrl.toString();
+  } catch (e) {
+    // Not a full URL yet (still being typed) - load it as-is
+    return url;
+  }
+}
+
+/**
+ * Query string for the editor's reads and writes: the locale being edited (none for the default locale),
+ * and unresolved references so a save never turns a linked field into a copy
+ */
+function editorQuery(locale, prefix = '?') {
+  return `${prefix}resolve=false${locale ? `&locale=${encodeURIComponent(locale)}` : ''}`;
+}
+
+/**
+ * Lists and objects are edited with StructuredField instead of a textarea
+ */
+function isStructured(value) {
+  return value !== null && typeof value === 'object';
+}
+
+/**
+ * Fields linked to shared content ({ "$ref": "globals#/phoneNumber" }) are edited where they point
+ */
+function isReference(value) {
+  return isStructured(value) && typeof value.$ref === 'string';
+}
+
+/**
+ * Copy of content with a field (dotted path, as listed by the merge endpoint) set - or removed if undefined
+ */
+function withField(content, field, value) {
+  const [key, ...rest] = field.split('.');
+  const result = Array.isArray(content) ? [...content] : { ...content };
+
+  if (rest.length > 0) {
+    result[key] = withField(isStructured(content?.[key]) ? content[key] : {}, rest.join('.'), value);
+  } else if (value === undefined) {
+    delete result[key];
+  } else {
+    result[key] = value;
+  }
+
+  return result;
+}
+
+/**
+ * Show a field value in the conflict view
+ */
+function formatValue(value) {
+  if (value === undefined) return '(removed)';
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
 function SplitViewEditor({ 
   pageId = 'austin-crate-home', 
   previewUrl = 'http://localhost:3000',
@@ -13,6 +85,13 @@ function SplitViewEditor({
   const [editingField, setEditingField] = useState(null);
   const [editValue, setEditValue] = useState('');
   const [saving, setSaving] = useState(false);
+  const [publishing, setPublishing] = useState(false);
+  const [hasUnpublishedChanges, setHasUnpublishedChanges] = useState(false);
+  const [etag, setEtag] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const [locales, setLocales] = useState(null);
+  const [locale, setLocale] = useState(null);
+  const [missingFields, setMissingFields] = useState([]);
   const [message, setMessage] = useState({ text: '', type: '' });
   const [currentUrl, setCurrentUrl] = useState(previewUrl);
   const [viewportSize, setViewportSize] = useState('desktop');
@@ -26,7 +105,11 @@ function SplitViewEditor({
   useEffect(() => {
     console.log('[SplitViewEditor] Mounting with pageId:', pageId);
     loadContent();
-  }, [pageId]);
+  }, [pageId, locale]);
+
+  useEffect(() => {
+    loadLocales();
+  }, []);
 
   useEffect(() => {
     if (message.text) {
@@ -35,12 +118,29 @@ function SplitViewEditor({
     }
   }, [message]);
 
+  // Locale settings for the switcher - null locale means the default one
+  const loadLocales = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/content/_locales`);
+      if (response.ok) {
+        setLocales(await response.json());
+      }
+    } catch (err) {
+      console.error('[SplitViewEditor] Error loading locales:', err);
+    }
+  };
+
+  const switchLocale = (newLocale) => {
+    cancelEditing();
+    setLocale(newLocale === locales?.defaultLocale ? null : newLocale);
+  };
+
   const loadContent = async () => {
     setLoading(true);
     setError(null);
     
     try {
-      const response = await fetch(`${API_URL}/api/content/${pageId}`);
+      const response = await fetch(`${API_URL}/api/content/${pageId}?stage=draft${editorQuery(locale, '&')}`);
       
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -49,6 +149,9 @@ function SplitViewEditor({
       const data = await response.json();
       const contentData = data.content || data;
       setContent(contentData);
+      setMissingFields(data.missingFields || []);
+      setHasUnpublishedChanges(Boolean(data.hasUnpublishedChanges));
+      setEtag(response.headers.get('ETag'));
       setLoading(false);
     } catch (err) {
       console.error('[SplitViewEditor] Error:', err);
@@ -57,22 +160,44 @@ function SplitViewEditor({
     }
   };
 
-  const saveField = async () => {
-    if (!editingField || saving) return;
+  // ifMatch is the ETag of the copy being edited - the server rejects the save if the page moved on
+  // field/value default to the open text editor, image fields pass them directly
+  const saveField = async (ifMatch = etag, field = editingField, value = editValue) => {
+    if (!field || saving) return;
     setSaving(true);
 
     try {
-      const response = await fetch(`${API_URL}/api/content/${pageId}`, {
+      const response = await fetch(`${API_URL}/api/content/${pageId}${editorQuery(locale)}`, {
         method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ content: { [editingField]: editValue } }),
+        headers: {
+          'Content-Type': 'application/json',
+          ...(ifMatch ? { 'If-Match': ifMatch } : {})
+        },
+        body: JSON.stringify({ content: { [field]: value } }),
       });
 
+      if (response.status === 412) {
+        // Someone else saved first - merge both edits, the user only settles fields we both changed
+        await mergeWithServer(field, { ...content, [field]: value });
+        return;
+      }
+
+      if (response.status === 422) {
+        // Schema validation failed - show what is wrong with each field
+        const { errors } = await response.json();
+        throw new Error(Object.entries(errors)
+          .map(([invalidField, problems]) => `${invalidField} ${problems.join(', ')}`)
+          .join('; '));
+      }
+
       if (!response.ok) throw new Error('Failed to save');
 
       const updated = await response.json();
       setContent(updated.content || updated);
-      setMessage({ text: `✓ Saved "${editingField}"`, type: 'success' });
+      setMissingFields(updated.missingFields || []);
+      setHasUnpublishedChanges(Boolean(updated.hasUnpublishedChanges));
+      setEtag(response.headers.get('ETag'));
+      setMessage({ text: `✓ Saved draft "${field}"`, type: 'success' });
       setEditingField(null);
       setEditValue('');
       setTimeout(() => refreshPreview(), 500);
@@ -83,6 +208,148 @@ function SplitViewEditor({
     }
   };
 
+  const publishDraft = async () => {
+    if (publishing) return;
+    setPublishing(true);
+
+    try {
+      const response = await fetch(`${API_URL}/api/content/${pageId}/publish`, {
+        method: 'POST',
+      });
+
+      if (!response.ok) throw new Error('Failed to publish');
+
+      setHasUnpublishedChanges(false);
+      setEtag(response.headers.get('ETag'));
+      setMessage({ text: '✓ Published', type: 'success' });
+    } catch (err) {
+      setMessage({ text: `Error: ${err.message}`, type: 'error' });
+    } finally {
+      setPublishing(false);
+    }
+  };
+
+  // Send JSON Patch operations to the draft and show the saved copy
+  // Returns false if the page changed since ifMatch - the latest copy is loaded instead
+  const sendPatch = async (operations, ifMatch) => {
+    const response = await fetch(`${API_URL}/api/content/${pageId}${editorQuery(locale)}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json-patch+json',
+        ...(ifMatch ? { 'If-Match': ifMatch } : {})
+      },
+      body: JSON.stringify(operations),
+    });
+
+    if (response.status === 412) {
+      setMessage({ text: 'Page was changed by someone else - loaded the latest copy', type: 'error' });
+      await loadContent();
+      return false;
+    }
+
+    if (!response.ok) {
+      const body = await response.json();
+      throw new Error(body.error || 'Failed to save');
+    }
+
+    const updated = await response.json();
+    setContent(updated.content);
+    setMissingFields(updated.missingFields || []);
+    setHasUnpublishedChanges(Boolean(updated.hasUnpublishedChanges));
+    setEtag(response.headers.get('ETag'));
+    setTimeout(() => refreshPreview(), 500);
+    return true;
+  };
+
+  // Apply JSON Patch operations from the structured (list/object) field editors
+  const applyPatch = async (operations) => {
+    if (saving) return;
+    setSaving(true);
+
+    try {
+      if (await sendPatch(operations, etag)) {
+        setMessage({ text: '✓ Saved draft', type: 'success' });
+      }
+    } catch (err) {
+      setMessage({ text: `Error: ${err.message}`, type: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Save merged content over the server copy it was merged with (every field, so nothing of it is lost)
+  const saveMerged = async (merged, ifMatch, field) => {
+    const operations = Object.entries(merged).map(([key, value]) => ({ op: 'add', path: toPointer([key]), value }));
+
+    if (await sendPatch(operations, ifMatch)) {
+      setMessage({ text: `✓ Saved draft "${field}" with the other editor's changes`, type: 'success' });
+      cancelEditing();
+    }
+  };
+
+  // Three-way merge of my edit with the copy saved meanwhile - `content` is still the copy my edit started from
+  const mergeWithServer = async (field, mine) => {
+    const response = await fetch(`${API_URL}/api/content/${pageId}/merge`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        base: { content },
+        ours: { content: mine },
+        theirs: { stage: 'draft', ...(locale ? { locale } : {}) }
+      }),
+    });
+
+    if (!response.ok) throw new Error('Failed to merge with the latest copy');
+
+    const { content: merged, conflicts } = await response.json();
+    const mergedEtag = response.headers.get('ETag');
+
+    if (conflicts.length === 0) {
+      await saveMerged(merged, mergedEtag, field);
+      return;
+    }
+
+    setConflict({
+      field,
+      merged,
+      conflicts,
+      etag: mergedEtag,
+      choices: Object.fromEntries(conflicts.map(c => [c.field, 'ours']))
+    });
+  };
+
+  // Conflict resolution: pick their or my value of a field
+  const chooseVersion = (field, choice) => {
+    setConflict(prev => ({ ...prev, choices: { ...prev.choices, [field]: choice } }));
+  };
+
+  // Conflict resolution: save the merged page with the picked values
+  const saveResolution = async () => {
+    const { merged, conflicts, choices, etag: mergedEtag, field } = conflict;
+    const resolved = conflicts.reduce(
+      (result, c) => withField(result, c.field, choices[c.field] === 'theirs' ? c.theirs : c.ours),
+      merged
+    );
+
+    setConflict(null);
+    setSaving(true);
+
+    try {
+      await saveMerged(resolved, mergedEtag, field);
+    } catch (err) {
+      setMessage({ text: `Error: ${err.message}`, type: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Conflict resolution: drop my edit and take the server copy
+  const useTheirs = () => {
+    setConflict(null);
+    cancelEditing();
+    loadContent();
+  };
+
   const startEditing = (field, value) => {
     setEditingField(field);
     setEditValue(value || '');
@@ -93,6 +360,16 @@ function SplitViewEditor({
     setEditValue('');
   };
 
+  // Text edited together with others is saved by the server - show the final text and move on
+  const finishCollabEditing = (field, text) => {
+    if (text !== null && text !== content[field]) {
+      setContent(prev => withField(prev, field, text));
+      setHasUnpublishedChanges(true);
+      setTimeout(() => refreshPreview(), 500);
+    }
+    cancelEditing();
+  };
+
   const handleKeyDown = (e) => {
     if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
       e.preventDefault();
@@ -105,7 +382,7 @@ function SplitViewEditor({
   const refreshPreview = () => {
     if (iframeRef.current) {
       setIframeLoading(true);
-      iframeRef.current.src = currentUrl + '?_t=' + Date.now();
+      iframeRef.current.src = buildPreviewSrc(currentUrl, locale, true);
     }
   };
 
@@ -161,6 +438,9 @@ function SplitViewEditor({
           {onBack && <button onClick={onBack} className="header-back-btn">←</button>}
           <h1 className="header-title">NodeLx Editor</h1>
           <span className="header-page-badge">{pageId}</span>
+          {hasUnpublishedChanges && (
+            <span className="header-draft-badge">Unpublished changes</span>
+          )}
         </div>
         
         <div className="header-center">
@@ -170,6 +450,20 @@ function SplitViewEditor({
         </div>
 
         <div className="header-right">
+          {locales?.supported.length > 1 && (
+            <select
+              className="locale-select"
+              value={locale || locales.defaultLocale}
+              onChange={(e) => switchLocale(e.target.value)}
+              title="Locale being edited"
+            >
+              {locales.supported.map(code => (
+                <option key={code} value={code}>
+                  {code}{code === locales.defaultLocale ? ' (default)' : ''}
+                </option>
+              ))}
+            </select>
+          )}
           <div className="viewport-controls">
             <button 
               className={`viewport-btn ${viewportSize === 'mobile' ? 'active' : ''}`}
@@ -182,9 +476,56 @@ function SplitViewEditor({
               onClick={() => setViewportSize('desktop')} title="Desktop">🖥️</button>
           </div>
           <button onClick={refreshPreview} className="refresh-btn" title="Refresh">↻</button>
+          <button
+            onClick={publishDraft}
+            className="publish-btn"
+            disabled={!hasUnpublishedChanges || publishing}
+            title="Publish draft to live site"
+          >
+            {publishing ? 'Publishing...' : 'Publish'}
+          </button>
         </div>
       </header>
 
+      {conflict && (
+        <div className="conflict-overlay">
+          <div className="conflict-dialog">
+            <h3>Someone else changed this page</h3>
+            <p>
+              Another editor saved while you were editing <strong>{conflict.field}</strong>. Their other changes
+              were merged with yours - pick the version to keep where you both changed the same field.
+            </p>
+            <div className="conflict-fields">
+              {conflict.conflicts.map(c => (
+                <div key={c.field} className="conflict-field">
+                  <div className="conflict-field-name">{c.field}</div>
+                  <div className="conflict-values">
+                    <button
+                      className={`conflict-value ${conflict.choices[c.field] === 'theirs' ? 'selected' : ''}`}
+                      onClick={() => chooseVersion(c.field, 'theirs')}
+                    >
+                      <label>Their version</label>
+                      <pre>{formatValue(c.theirs)}</pre>
+                    </button>
+                    <button
+                      className={`conflict-value ${conflict.choices[c.field] === 'ours' ? 'selected' : ''}`}
+                      onClick={() => chooseVersion(c.field, 'ours')}
+                    >
+                      <label>Your version</label>
+                      <pre>{formatValue(c.ours)}</pre>
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+            <div className="conflict-actions">
+              <button className="btn-save" onClick={saveResolution}>Save merged</button>
+              <button className="btn-cancel" onClick={useTheirs}>Discard my edit</button>
+            </div>
+          </div>
+        </div>
+      )}
+
       <div className="split-editor-main">
         <div className="editor-panel" style={{ width: `${splitPosition}%` }}>
           <div className="editor-toolbar">
@@ -212,12 +553,49 @@ function SplitViewEditor({
                 <div key={field} className={`field-item ${editingField === field ? 'editing' : ''}`}>
                   <div className="field-header">
                     <label className="field-name">{field}</label>
-                    {editingField !== field && (
+                    {missingFields.some(missing => missing === field || missing.startsWith(`${field}.`)) && (
+                      <span className="field-untranslated" title={`Showing the ${locales?.defaultLocale} text until it is translated`}>
+                        Not translated
+                      </span>
+                    )}
+                    {editingField !== field && !isStructured(value) && !isImageField(field, value) && (
                       <button className="field-edit-btn" onClick={() => startEditing(field, value)}>✎ Edit</button>
                     )}
                   </div>
 
-                  {editingField === field ? (
+                  {isReference(value) ? (
+                    <div className="field-reference">
+                      Linked to <code>{value.$ref}</code>
+                    </div>
+                  ) : isRichText(value) ? (
+                    <RichTextField
+                      value={value}
+                      onChange={(blocks) => saveField(etag, field, blocks)}
+                      disabled={saving}
+                    />
+                  ) : isStructured(value) ? (
+                    <StructuredField
+                      path={toPointer([field])}
+                      value={value}
+                      onPatch={applyPatch}
+                      disabled={saving}
+                    />
+                  ) : isImageField(field, value) ? (
+                    <MediaField
+                      value={value}
+                      onChange={(url) => saveField(etag, field, url)}
+                      disabled={saving}
+                    />
+                  ) : editingField === field && typeof value === 'string' ? (
+                    <div className="field-editor">
+                      <CollabTextField
+                        pageId={pageId}
+                        field={field}
+                        locale={locale}
+                        onClose={(text) => finishCollabEditing(field, text)}
+                      />
+                    </div>
+                  ) : editingField === field ? (
                     <div className="field-editor">
                       <textarea
                         className="field-textarea"
@@ -228,7 +606,7 @@ function SplitViewEditor({
                         rows={Math.min(10, Math.max(3, (editValue || '').split('\n').length + 1))}
                       />
                       <div className="field-actions">
-                        <button className="btn-save" onClick={saveField} disabled={saving}>
+                        <button className="btn-save" onClick={() => saveField()} disabled={saving}>
                           {saving ? 'Saving...' : '✓ Save'}
                         </button>
                         <button className="btn-cancel" onClick={cancelEditing} disabled={saving}>✕ Cancel</button>
@@ -298,7 +676,7 @@ function SplitViewEditor({
             }}>
               <iframe
                 ref={iframeRef}
-                src={currentUrl}
+                src={buildPreviewSrc(currentUrl, locale)}
                 className="preview-frame"
                 title="Live Preview"
                 onLoad={() => setIframeLoading(false)}
@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import './StructuredField.css';
+
+/**
+ * Structured Field Editor
+ * Renders nested objects and repeatable lists in the content editors.
+ * Every change is reported as RFC 6902 JSON Patch operations through onPatch.
+ */
+
+/**
+ * Build a JSON Pointer from path tokens
+ * @param {Array<string|number>} tokens
+ * @returns {string}
+ */
+export function toPointer(tokens) {
+  return tokens
+    .map(token => `/${String(token).replace(/~/g, '~0').replace(/\//g, '~1')}`)
+    .join('');
+}
+
+/**
+ * Empty value with the same shape as an example (used for new list items)
+ */
+function blankLike(value) {
+  if (Array.isArray(value)) return [];
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).map(key => [key, blankLike(value[key])]));
+  }
+  if (typeof value === 'number') return 0;
+  if (typeof value === 'boolean') return false;
+  return '';
+}
+
+function LeafField({ path, value, onPatch, disabled }) {
+  const [editing, setEditing] = useState(false);
+  const [editValue, setEditValue] = useState('');
+
+  const startEditing = () => {
+    setEditValue(value === null || value === undefined ? '' : String(value));
+    setEditing(true);
+  };
+
+  const save = () => {
+    let newValue = editValue;
+    if (typeof value === 'number') newValue = Number(editValue);
+    if (typeof value === 'boolean') newValue = editValue === 'true';
+
+    onPatch([{ op: 'replace', path, value: newValue }]);
+    setEditing(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+      e.preventDefault();
+      save();
+    } else if (e.key === 'Escape') {
+      setEditing(false);
+    }
+  };
+
+  if (editing) {
+    return (
+      <div className="structured-leaf editing">
+        <textarea
+          className="structured-textarea"
+          value={editValue}
+          onChange={(e) => setEditValue(e.target.value)}
+          onKeyDown={handleKeyDown}
+          rows={2}
+          autoFocus
+        />
+        <div className="structured-actions">
+          <button className="structured-btn save" onClick={save} disabled={disabled}>✓</button>
+          <button className="structured-btn" onClick={() => setEditing(false)}>✕</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="structured-leaf" onClick={disabled ? undefined : startEditing} title="Click to edit">
+      {value === '' ? <span className="structured-empty">(empty)</span> : String(value)}
+    </div>
+  );
+}
+
+function ListField({ path, value, onPatch, disabled }) {
+  const move = (from, to) => {
+    onPatch([{ op: 'move', from: `${path}/${from}`, path: `${path}/${to}` }]);
+  };
+
+  const addItem = () => {
+    onPatch([{ op: 'add', path: `${path}/-`, value: blankLike(value[0] ?? '') }]);
+  };
+
+  return (
+    <div className="structured-list">
+      {value.map((item, index) => (
+        <div key={index} className="structured-list-item">
+          <div className="structured-list-header">
+            <span className="structured-index">#{index + 1}</span>
+            <div className="structured-actions">
+              <button
+                className="structured-btn"
+                onClick={() => move(index, index - 1)}
+                disabled={disabled || index === 0}
+                title="Move up"
+              >↑</button>
+              <button
+                className="structured-btn"
+                onClick={() => move(index, index + 1)}
+                disabled={disabled || index === value.length - 1}
+                title="Move down"
+              >↓</button>
+              <button
+                className="structured-btn remove"
+                onClick={() => onPatch([{ op: 'remove', path: `${path}/${index}` }])}
+                disabled={disabled}
+                title="Remove item"
+              >✕</button>
+            </div>
+          </div>
+          <StructuredField path={`${path}/${index}`} value={item} onPatch={onPatch} disabled={disabled} />
+        </div>
+      ))}
+      <button className="structured-add" onClick={addItem} disabled={disabled}>+ Add item</button>
+    </div>
+  );
+}
+
+function ObjectField({ path, value, onPatch, disabled }) {
+  return (
+    <div className="structured-object">
+      {Object.entries(value).map(([key, child]) => (
+        <div key={key} className="structured-object-field">
+          <label className="structured-key">{key}</label>
+          <StructuredField
+            path={`${path}${toPointer([key])}`}
+            value={child}
+            onPatch={onPatch}
+            disabled={disabled}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Editor for any content value - lists and objects recurse, scalars edit inline
+ * @param {string} path - JSON Pointer of the value inside the page content
+ * @param {*} value - Current value
+ * @param {Function} onPatch - Receives an array of JSON Patch operations
+ */
+function StructuredField({ path, value, onPatch, disabled = false }) {
+  if (Array.isArray(value)) {
+    return <ListField path={path} value={value} onPatch={onPatch} disabled={disabled} />;
+  }
+
+  if (value && typeof value === 'object') {
+    return <ObjectField path={path} value={value} onPatch={onPatch} disabled={disabled} />;
+  }
+
+  return <LeafField path={path} value={value} onPatch={onPatch} disabled={disabled} />;
+}
+
+export default StructuredField;
@@ -5,6 +5,7 @@
 
 const DEFAULT_SERVER_URL = 'http://localhost:3001';
 const STORAGE_KEY = 'nodelx-server-url';
+const USER_NAME_KEY = 'nodelx-user-name';
 
 /**
  * Get the configured server URL
@@ -49,6 +50,30 @@ export function resetServerUrl() {
   localStorage.removeItem(STORAGE_KEY);
 }
 
+/**
+ * Get the name shown to collaborators, picking a guest name the first time
+ * @returns {string} User name
+ */
+export function getUserName() {
+  if (typeof window === 'undefined') return 'anonymous';
+
+  let name = localStorage.getItem(USER_NAME_KEY);
+  if (!name) {
+    name = `Guest ${Math.floor(1000 + Math.random() * 9000)}`;
+    localStorage.setItem(USER_NAME_KEY, name);
+  }
+  return name;
+}
+
+/**
+ * Set the name shown to collaborators
+ * @param {string} name - User name
+ */
+export function setUserName(name) {
+  if (typeof window === 'undefined') return;
+  localStorage.setItem(USER_NAME_KEY, name.trim());
+}
+
 /**
  * Check if using custom (non-localhost) server
  * @returns {boolean}
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { getServerUrl, getWebSocketUrl } from '../config';
+import { getServerUrl, getWebSocketUrl, getUserName } from '../config';
 import './VisualEditor.css';
 
 /**
@@ -14,6 +14,15 @@ import './VisualEditor.css';
 
 const API_BASE = getServerUrl();
 
+// Source file the editor changes
+const SOURCE_FILE = 'app/page.tsx'; // TODO: Make dynamic
+
+// Locks last 30s on the server (locks.ttl) - renew well before that
+const LOCK_RENEW_INTERVAL = 10000;
+
+// Initials shown in a collaborator's avatar
+const getInitials = (name) => name.split(/\s+/).filter(Boolean).slice(0, 2).map(word => word[0].toUpperCase()).join('');
+
 export default function VisualEditor({ targetUrl = 'http://localhost:3000', projectPath }) {
   // State
   const [selectedElement, setSelectedElement] = useState(null);
@@ -27,11 +36,16 @@ export default function VisualEditor({ targetUrl = 'http://localhost:3000', proj
   const [dragState, setDragState] = useState(null);
   const [textEditValue, setTextEditValue] = useState('');
   const [saving, setSaving] = useState(false);
+  const [collaborators, setCollaborators] = useState([]); // other editors connected (presence)
+  const [locks, setLocks] = useState({}); // "elementId" -> lock held by another editor
   
   // Refs
   const iframeRef = useRef(null);
   const overlayRef = useRef(null);
   const wsRef = useRef(null);
+  const selectedIdRef = useRef(null);
+  const presenceIdRef = useRef(null);
+  const lockTokenRef = useRef(null);
 
   // Initialize connection and project path
   useEffect(() => {
@@ -45,6 +59,52 @@ export default function VisualEditor({ targetUrl = 'http://localhost:3000', proj
     };
   }, []);
 
+  // Tell collaborators what is selected, and lock it while it is selected
+  useEffect(() => {
+    const elementId = selectedElement?.id || null;
+    selectedIdRef.current = elementId;
+    sendMessage({ type: 'presence', elementId });
+
+    if (!elementId) return;
+
+    sendMessage({ type: 'lock-acquire', filePath: SOURCE_FILE, elementId });
+    const renew = setInterval(() => {
+      sendMessage({ type: 'lock-acquire', filePath: SOURCE_FILE, elementId });
+    }, LOCK_RENEW_INTERVAL);
+
+    return () => {
+      clearInterval(renew);
+      sendMessage({ type: 'lock-release', filePath: SOURCE_FILE, elementId });
+    };
+  }, [selectedElement?.id]);
+
+  const sendMessage = (message) => {
+    const ws = wsRef.current;
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  };
+
+  // Headers for AST changes - the lock token lets us change the elements we have locked
+  const astHeaders = () => ({
+    'Content-Type': 'application/json',
+    'X-NodeLx-Author': getUserName(),
+    ...(lockTokenRef.current ? { 'X-NodeLx-Lock-Token': lockTokenRef.current } : {})
+  });
+
+  // Locks other editors already hold
+  const loadLocks = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/api/locks?filePath=${encodeURIComponent(SOURCE_FILE)}`);
+      const data = await response.json();
+      setLocks(Object.fromEntries(data.locks
+        .filter(lock => !lock.owner.id || lock.owner.id !== presenceIdRef.current)
+        .map(lock => [lock.elementId, lock])));
+    } catch (error) {
+      console.error('Failed to load locks:', error);
+    }
+  };
+
   // Initialize connection to backend
   const initializeConnection = async () => {
     try {
@@ -73,6 +133,17 @@ export default function VisualEditor({ targetUrl = 'http://localhost:3000', proj
     
     ws.onopen = () => {
       console.log('[VisualEditor] WebSocket connected');
+      // Source changes refresh the preview, presence and locks show who else is editing
+      ws.send(JSON.stringify({ type: 'subscribe', topics: ['ast:*', 'file:*', 'presence', `lock:${SOURCE_FILE}`] }));
+      ws.send(JSON.stringify({
+        type: 'presence',
+        name: getUserName(),
+        filePath: SOURCE_FILE,
+        elementId: selectedIdRef.current
+      }));
+      if (selectedIdRef.current) {
+        ws.send(JSON.stringify({ type: 'lock-acquire', filePath: SOURCE_FILE, elementId: selectedIdRef.current }));
+      }
     };
     
     ws.onmessage = (event) => {
@@ -80,11 +151,30 @@ export default function VisualEditor({ targetUrl = 'http://localhost:3000', proj
       if (data.type === 'ast-modified' || data.type === 'file-changed') {
         // Refresh iframe when code changes
         refreshIframe();
+      } else if (data.type === 'presence-state') {
+        presenceIdRef.current = data.you;
+        setCollaborators(data.users.filter(user => user.id !== data.you));
+        loadLocks();
+      } else if (data.type === 'lock-acquired') {
+        lockTokenRef.current = data.token;
+      } else if (data.type === 'lock') {
+        setLocks(prev => {
+          const { [data.lock.elementId]: removed, ...others } = prev;
+          return data.action === 'acquired' ? { ...others, [data.lock.elementId]: data.lock } : others;
+        });
+      } else if (data.type === 'presence') {
+        setCollaborators(prev => {
+          const others = prev.filter(user => user.id !== data.user.id);
+          return data.action === 'leave' ? others : [...others, data.user];
+        });
       }
     };
     
     ws.onclose = () => {
       console.log('[VisualEditor] WebSocket disconnected');
+      setCollaborators([]);
+      setLocks({});
+      lockTokenRef.current = null;
       // Attempt reconnect after 2 seconds
       setTimeout(setupWebSocket, 2000);
     };
@@ -166,7 +256,7 @@ export default function VisualEditor({ targetUrl = 'http://localhost:3000', proj
 
   // Handle drag start
   const handleDragStart = (elementId, e) => {
-    if (editMode !== 'drag') return;
+    if (editMode !== 'drag' || locks[elementId]) return;
     
     setDragState({
       elementId,
@@ -189,9 +279,9 @@ export default function VisualEditor({ targetUrl = 'http://localhost:3000', proj
         
         await fetch(`${API_BASE}${endpoint}`, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: astHeaders(),
           body: JSON.stringify({
-            filePath: 'app/page.tsx', // TODO: Make dynamic
+            filePath: SOURCE_FILE,
             targetId: dragState.elementId
           })
         });
@@ -216,9 +306,9 @@ export default function VisualEditor({ targetUrl = 'http://localhost:3000', proj
       
       await fetch(`${API_BASE}/api/ast/text`, {
         method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
+        headers: astHeaders(),
         body: JSON.stringify({
-          filePath: 'app/page.tsx', // TODO: Make dynamic
+          filePath: SOURCE_FILE,
           targetId: selectedElement.id,
           text: textEditValue
         })
@@ -242,9 +332,9 @@ export default function VisualEditor({ targetUrl = 'http://localhost:3000', proj
       
       await fetch(`${API_BASE}/api/ast/spacing`, {
         method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
+        headers: astHeaders(),
         body: JSON.stringify({
-          filePath: 'app/page.tsx',
+          filePath: SOURCE_FILE,
           targetId: selectedElement.id,
           spacingType,
           value
@@ -268,9 +358,9 @@ export default function VisualEditor({ targetUrl = 'http://localhost:3000', proj
       
       await fetch(`${API_BASE}/api/ast/element`, {
         method: 'DELETE',
-        headers: { 'Content-Type': 'application/json' },
+        headers: astHeaders(),
         body: JSON.stringify({
-          filePath: 'app/page.tsx',
+          filePath: SOURCE_FILE,
           targetId: selectedElement.id
         })
       });
@@ -335,6 +425,20 @@ export default function VisualEditor({ targetUrl = 'http://localhost:3000', proj
         </div>
         
         <div className="toolbar-right">
+          {collaborators.length > 0 && (
+            <div className="presence-avatars">
+              {collaborators.map(user => (
+                <span
+                  key={user.id}
+                  className="presence-avatar"
+                  style={{ background: user.color }}
+                  title={user.elementId ? `${user.name} - editing ${user.elementId}` : user.name}
+                >
+                  {getInitials(user.name)}
+                </span>
+              ))}
+            </div>
+          )}
           <button className="toolbar-btn" onClick={refreshIframe} title="Refresh">
             🔄
           </button>
@@ -374,7 +478,7 @@ export default function VisualEditor({ targetUrl = 'http://localhost:3000', proj
                       selectedElement?.id === id ? 'selected' : ''
                     } ${hoveredElement === id ? 'hovered' : ''} ${
                       editMode === 'drag' ? 'draggable' : ''
-                    }`}
+                    } ${locks[id] ? 'locked' : ''}`}
                     style={{
                       top: rect.top,
                       left: rect.left,
@@ -386,12 +490,38 @@ export default function VisualEditor({ targetUrl = 'http://localhost:3000', proj
                     onMouseLeave={() => setHoveredElement(null)}
                     onMouseDown={(e) => handleDragStart(id, e)}
                   >
-                    <div className="element-label">{id}</div>
+                    <div className="element-label">
+                      {locks[id] ? `🔒 ${id} - ${locks[id].owner.name}` : id}
+                    </div>
                     {editMode === 'drag' && (
                       <div className="drag-handle">⋮⋮</div>
                     )}
                   </div>
                 ))}
+
+                {/* Collaborators' selections */}
+                {collaborators
+                  .filter(user => user.filePath === SOURCE_FILE && elementRects[user.elementId])
+                  .map(user => {
+                    const rect = elementRects[user.elementId];
+                    return (
+                      <div
+                        key={user.id}
+                        className="collaborator-outline"
+                        style={{
+                          top: rect.top,
+                          left: rect.left,
+                          width: rect.width,
+                          height: rect.height,
+                          borderColor: user.color
+                        }}
+                      >
+                        <div className="collaborator-label" style={{ background: user.color }}>
+                          {user.name}
+                        </div>
+                      </div>
+                    );
+                  })}
               </div>
             )}
             
@@ -429,103 +559,112 @@ export default function VisualEditor({ targetUrl = 'http://localhost:3000', proj
                   </div>
                 </div>
                 
-                {/* Text Content */}
-                <div className="property-section">
-                  <h4>Content</h4>
-                  <textarea
-                    value={textEditValue}
-                    onChange={(e) => setTextEditValue(e.target.value)}
-                    placeholder="Enter text content..."
-                    rows={4}
-                  />
-                  <button 
-                    className="save-btn"
-                    onClick={handleSaveText}
-                    disabled={saving}
-                  >
-                    {saving ? 'Saving...' : 'Save Text'}
-                  </button>
-                </div>
-                
-                {/* Spacing */}
-                <div className="property-section">
-                  <h4>Spacing</h4>
-                  <div className="spacing-grid">
-                    <div className="spacing-row">
-                      <label>Margin Top</label>
-                      <select onChange={(e) => handleSpacingChange('marginTop', e.target.value)}>
-                        <option value="">None</option>
-                        <option value="0.5rem">0.5rem</option>
-                        <option value="1rem">1rem</option>
-                        <option value="1.5rem">1.5rem</option>
-                        <option value="2rem">2rem</option>
-                        <option value="3rem">3rem</option>
-                        <option value="4rem">4rem</option>
-                      </select>
-                    </div>
-                    <div className="spacing-row">
-                      <label>Margin Bottom</label>
-                      <select onChange={(e) => handleSpacingChange('marginBottom', e.target.value)}>
-                        <option value="">None</option>
-                        <option value="0.5rem">0.5rem</option>
-                        <option value="1rem">1rem</option>
-                        <option value="1.5rem">1.5rem</option>
-                        <option value="2rem">2rem</option>
-                        <option value="3rem">3rem</option>
-                        <option value="4rem">4rem</option>
-                      </select>
-                    </div>
-                    <div className="spacing-row">
-                      <label>Padding Top</label>
-                      <select onChange={(e) => handleSpacingChange('paddingTop', e.target.value)}>
-                        <option value="">None</option>
-                        <option value="0.5rem">0.5rem</option>
-                        <option value="1rem">1rem</option>
-                        <option value="1.5rem">1.5rem</option>
-                        <option value="2rem">2rem</option>
-                        <option value="3rem">3rem</option>
-                        <option value="4rem">4rem</option>
-                      </select>
-                    </div>
-                    <div className="spacing-row">
-                      <label>Padding Bottom</label>
-                      <select onChange={(e) => handleSpacingChange('paddingBottom', e.target.value)}>
-                        <option value="">None</option>
-                        <option value="0.5rem">0.5rem</option>
-                        <option value="1rem">1rem</option>
-                        <option value="1.5rem">1.5rem</option>
-                        <option value="2rem">2rem</option>
-                        <option value="3rem">3rem</option>
-                        <option value="4rem">4rem</option>
-                      </select>
-                    </div>
+                {/* Someone else is editing it - changes would be refused */}
+                {locks[selectedElement.id] && (
+                  <div className="lock-notice">
+                    🔒 Being edited by {locks[selectedElement.id].owner.name}
                   </div>
-                </div>
-                
-                {/* Actions */}
-                <div className="property-section">
-                  <h4>Actions</h4>
-                  <div className="action-buttons">
-                    <button 
-                      className="action-btn move-up"
-                      onClick={() => handleSpacingChange('moveUp', null)}
-                    >
-                      ↑ Move Up
-                    </button>
-                    <button 
-                      className="action-btn move-down"
-                      onClick={() => handleSpacingChange('moveDown', null)}
-                    >
-                      ↓ Move Down
-                    </button>
+                )}
+
+                <fieldset className="property-fields" disabled={Boolean(locks[selectedElement.id])}>
+                  {/* Text Content */}
+                  <div className="property-section">
+                    <h4>Content</h4>
+                    <textarea
+                      value={textEditValue}
+                      onChange={(e) => setTextEditValue(e.target.value)}
+                      placeholder="Enter text content..."
+                      rows={4}
+                    />
                     <button 
-                      className="action-btn delete"
-                      onClick={handleDeleteElement}
+                      className="save-btn"
+                      onClick={handleSaveText}
+                      disabled={saving}
                     >
-                      🗑 Delete
+                      {saving ? 'Saving...' : 'Save Text'}
                     </button>
                   </div>
-                </div>
+                
+                  {/* Spacing */}
+                  <div className="property-section">
+                    <h4>Spacing</h4>
+                    <div className="spacing-grid">
+                      <div className="spacing-row">
+                        <label>Margin Top</label>
+                        <select onChange={(e) => handleSpacingChange('marginTop', e.target.value)}>
+                          <option value="">None</option>
+                          <option value="0.5rem">0.5rem</option>
+                          <option value="1rem">1rem</option>
+                          <option value="1.5rem">1.5rem</option>
+                          <option value="2rem">2rem</option>
+                          <option value="3rem">3rem</option>
+                          <option value="4rem">4rem</option>
+                        </select>
+                      </div>
+                      <div className="spacing-row">
+                        <label>Margin Bottom</label>
+                        <select onChange={(e) => handleSpacingChange('marginBottom', e.target.value)}>
+                          <option value="">None</option>
+                          <option value="0.5rem">0.5rem</option>
+                          <option value="1rem">1rem</option>
+                          <option value="1.5rem">1.5rem</option>
+                          <option value="2rem">2rem</option>
+                          <option value="3rem">3rem</option>
+                          <option value="4rem">4rem</option>
+                        </select>
+                      </div>
+                      <div className="spacing-row">
+                        <label>Padding Top</label>
+                        <select onChange={(e) => handleSpacingChange('paddingTop', e.target.value)}>
+                          <option value="">None</option>
+                          <option value="0.5rem">0.5rem</option>
+                          <option value="1rem">1rem</option>
+                          <option value="1.5rem">1.5rem</option>
+                          <option value="2rem">2rem</option>
+                          <option value="3rem">3rem</option>
+                          <option value="4rem">4rem</option>
+                        </select>
+                      </div>
+                      <div className="spacing-row">
+                        <label>Padding Bottom</label>
+                        <select onChange={(e) => handleSpacingChange('paddingBottom', e.target.value)}>
+                          <option value="">None</option>
+                          <option value="0.5rem">0.5rem</option>
+                          <option value="1rem">1rem</option>
+                          <option value="1.5rem">1.5rem</option>
+                          <option value="2rem">2rem</option>
+                          <option value="3rem">3rem</option>
+                          <option value="4rem">4rem</option>
+                        </select>
+                      </div>
+                    </div>
+                  </div>
+                
+                  {/* Actions */}
+                  <div className="property-section">
+                    <h4>Actions</h4>
+                    <div className="action-buttons">
+                      <button 
+                        className="action-btn move-up"
+                        onClick={() => handleSpacingChange('moveUp', null)}
+                      >
+                        ↑ Move Up
+                      </button>
+                      <button 
+                        className="action-btn move-down"
+                        onClick={() => handleSpacingChange('moveDown', null)}
+                      >
+                        ↓ Move Down
+                      </button>
+                      <button 
+                        className="action-btn delete"
+                        onClick={handleDeleteElement}
+                      >
+                        🗑 Delete
+                      </button>
+                    </div>
+                  </div>
+                </fieldset>
               </div>
             ) : (
               <div className="panel-empty">
@@ -0,0 +1,143 @@
+/**
+ * Collaborative editing check
+ *
+ * Starts the WebSocket server, presence and the collab hub on a throwaway content directory and
+ * connects three headless CollabText clients (client/collabText.mjs) to one text field. Checks
+ * that concurrent edits converge, carets are relayed, typing is saved and changes made outside
+ * the editor are merged in. Needs no running NodeLx server:
+ *
+ *   npm run check:collab
+ *
+ * Yjs warns that it was imported twice: the hub loads its CommonJS build and the client its ES
+ * module build. They only exchange encoded updates, so that's harmless here
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const ContentStore = require('../server/contentStore');
+const WebSocketServer = require('../server/websocket');
+const Presence = require('../server/presence');
+const CollabHub = require('../server/collab');
+
+const PAGE = 'check';
+const FIELD = 'title';
+
+/**
+ * Wait until a condition holds, or fail after a while
+ */
+async function waitFor(condition, what, timeout = 5000) {
+  const started = Date.now();
+
+  while (!condition()) {
+    if (Date.now() - started > timeout) {
+      throw new Error(`Timed out waiting for ${what}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+function pass(message) {
+  console.log(`✓ ${message}`);
+}
+
+async function main() {
+  const { default: CollabText } = await import('../client/collabText.mjs');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodelx-collab-'));
+  const contentStore = new ContentStore(dir);
+  await contentStore.initialize();
+  await contentStore.createPage(PAGE, { content: { [FIELD]: 'Hello world' } }, { author: 'check' });
+
+  // Wired up the way server/index.js does it
+  const server = http.createServer();
+  const wsServer = new WebSocketServer(server, { heartbeatInterval: 0 });
+  const presence = new Presence(wsServer);
+  const collab = new CollabHub({ wsServer, contentStore, presence }, { saveDelay: 100 });
+  contentStore.subscribe(event => collab.handleContentEvent(event));
+  wsServer.onMessage('presence', (ws, data) => presence.update(ws, data));
+  wsServer.onMessage('collab-join', (ws, data) => collab.join(ws, data));
+  wsServer.onMessage('collab-update', (ws, data) => collab.update(ws, data));
+  wsServer.onMessage('collab-cursor', (ws, data) => collab.cursor(ws, data));
+  wsServer.onMessage('collab-leave', (ws, data) => collab.leave(ws, data));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const sockets = [];
+  const connect = async (name) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.address().port}`);
+    sockets.push(ws);
+    await new Promise((resolve, reject) => {
+      ws.once('open', resolve);
+      ws.once('error', reject);
+    });
+    ws.send(JSON.stringify({ type: 'presence', name }));
+
+    const text = new CollabText({ pageId: PAGE, field: FIELD, send: message => ws.send(JSON.stringify(message)) });
+    ws.on('message', data => text.handleMessage(JSON.parse(data)));
+    text.join();
+    await waitFor(() => text.synced, `${name} to sync`);
+    return text;
+  };
+  const stored = () => contentStore.getContent(PAGE, { stage: 'draft' }).content[FIELD];
+  const texts = () => [ann, bob, cy].map(text => text.getText());
+
+  let ann, bob, cy;
+  try {
+    ann = await connect('Ann');
+    bob = await connect('Bob');
+    cy = await connect('Cy');
+    assert.deepEqual(texts(), ['Hello world', 'Hello world', 'Hello world']);
+    pass('Clients joining a field get its saved text');
+
+    // Everyone types at once, before seeing the others' edits
+    ann.setText(`A:${ann.getText()}`);
+    bob.setText(`${bob.getText()}:B`);
+    cy.setText(cy.getText().replace(' ', ' big '));
+    await waitFor(() => new Set(texts()).size === 1 && ann.getText().includes(':B'), 'the edits to converge');
+    assert.equal(ann.getText(), 'A:Hello big world:B');
+    pass('Concurrent edits converge to the same text on every client');
+
+    ann.setSelection(2);
+    await waitFor(() => bob.getCursors().length === 1, 'Ann\'s caret');
+    assert.equal(bob.getCursors()[0].user.name, 'Ann');
+    assert.equal(bob.getCursors()[0].anchor, 2);
+    bob.setText(`>>${bob.getText()}`);
+    await waitFor(() => bob.getCursors()[0].anchor === 4, 'Ann\'s caret to move');
+    pass('Carets are relayed and stay on their character while others type');
+
+    await waitFor(() => stored() === '>>A:Hello big world:B', 'the save');
+    pass('Typing is saved to the draft once it pauses');
+
+    // A change saved elsewhere (REST, GraphQL, a file) while Cy has unsaved typing
+    cy.setText(`${cy.getText()}!`);
+    await contentStore.updateContent(PAGE, { [FIELD]: '>>A:Hello big world:B (edited)' }, { author: 'rest' });
+    // Both insert at the end of the text - which comes first depends on the Yjs client ids
+    await waitFor(() => new Set(texts()).size === 1 && ann.getText().includes('!') && ann.getText().includes('(edited)'), 'the outside change to merge');
+    await waitFor(() => stored() === ann.getText(), 'the merged text to be saved');
+    pass(`Changes made outside the editor merge with unsaved typing: ${JSON.stringify(stored())}`);
+
+    ann.leave();
+    sockets[1].close();
+    sockets[2].close();
+    await waitFor(() => collab.docs.size === 0, 'the document to close');
+    pass('The document closes once the last editor leaves');
+  } finally {
+    await collab.flush();
+    sockets.forEach(ws => ws.close());
+    wsServer.close();
+    server.close();
+    await contentStore.destroy();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().then(
+  () => console.log('\nCollaborative editing checks passed'),
+  (error) => {
+    console.error('\nCollaborative editing check failed:', error);
+    process.exitCode = 1;
+  }
+);
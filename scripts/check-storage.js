@@ -0,0 +1,202 @@
+/**
+ * Storage adapter check
+ *
+ * Runs a ContentStore on the SQLite adapter and on the Supabase adapter, the latter against a
+ * local stand-in for PostgREST, and checks that pages round-trip and that changes made by another
+ * connection (another NodeLx server) are picked up. Needs no running NodeLx server or database:
+ *
+ *   npm run check:storage
+ *
+ * The SQLite part is skipped when the optional better-sqlite3 package isn't installed
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const ContentStore = require('../server/contentStore');
+const { SqliteAdapter, SupabaseAdapter } = require('../server/storage');
+
+const TABLE = 'nodelx_pages';
+const KEY = 'stand-in-key';
+
+/**
+ * Wait until a condition holds, or fail after a while
+ */
+async function waitFor(condition, what, timeout = 5000) {
+  const started = Date.now();
+
+  while (!condition()) {
+    if (Date.now() - started > timeout) {
+      throw new Error(`Timed out waiting for ${what}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+function pass(message) {
+  console.log(`✓ ${message}`);
+}
+
+/**
+ * A PostgREST stand-in holding one table in memory - just the requests the Supabase adapter makes:
+ * select (with eq./in. filters and limit), single-row selects, upserts and deletes
+ */
+function createPostgrestStandIn() {
+  const rows = new Map(); // page_id -> { page_id, data, updated_at }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let body = '';
+
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const reply = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(data === undefined ? '' : JSON.stringify(data));
+      };
+
+      if (req.headers.apikey !== KEY) {
+        return reply(401, { message: 'Invalid API key' });
+      }
+      if (url.pathname !== `/rest/v1/${TABLE}`) {
+        return reply(404, { message: `relation "${url.pathname}" does not exist`, code: '42P01' });
+      }
+
+      const filter = url.searchParams.get('page_id') || '';
+      let matching = [...rows.values()];
+      if (filter.startsWith('eq.')) {
+        matching = matching.filter(row => row.page_id === filter.slice(3));
+      } else if (filter.startsWith('in.(')) {
+        const ids = filter.slice(4, -1).split(',').map(id => id.replace(/"/g, ''));
+        matching = matching.filter(row => ids.includes(row.page_id));
+      }
+
+      if (req.method === 'GET') {
+        const columns = (url.searchParams.get('select') || 'page_id,data,updated_at').split(',').map(column => column.trim());
+        const limit = url.searchParams.get('limit');
+        const selected = matching
+          .slice(0, limit === null ? undefined : Number(limit))
+          .map(row => Object.fromEntries(columns.map(column => [column, row[column]])));
+
+        // maybeSingle() asks for one object and takes "no rows" as null
+        if ((req.headers.accept || '').includes('vnd.pgrst.object')) {
+          return selected.length === 1
+            ? reply(200, selected[0])
+            : reply(406, { message: 'JSON object requested, multiple (or no) rows returned', code: 'PGRST116', details: `The result contains ${selected.length} rows` });
+        }
+        return reply(200, selected);
+      }
+
+      if (req.method === 'POST') {
+        // Postgres returns timestamps in its own format
+        for (const row of [].concat(JSON.parse(body))) {
+          rows.set(row.page_id, { ...row, updated_at: row.updated_at.replace('T', ' ').replace('Z', '+00:00') });
+        }
+        return reply(201);
+      }
+
+      if (req.method === 'DELETE') {
+        matching.forEach(row => rows.delete(row.page_id));
+        return reply(204);
+      }
+
+      reply(405, { message: `${req.method} not supported by the stand-in` });
+    });
+  });
+
+  return server;
+}
+
+/**
+ * The checks every adapter goes through
+ * @param {string} name - Adapter name, for the output
+ * @param {Function} createAdapter - () => a new adapter on the same backend each time
+ */
+async function checkAdapter(name, createAdapter) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `nodelx-${name}-`));
+  const store = new ContentStore(dir, { storage: createAdapter() });
+  const other = createAdapter(); // another NodeLx server sharing the backend
+  let reopened = null;
+
+  try {
+    await store.initialize();
+    await other.initialize();
+
+    await store.createPage('check', { content: { title: 'Stored' } }, { author: 'check' });
+    await store.updateContent('check', { title: 'Draft' }, { author: 'check' });
+    const stored = await other.get('check');
+    assert.equal(stored.content.title, 'Stored');
+    assert.equal(stored.draft.title, 'Draft');
+    assert.equal(await other.get('missing'), null);
+    pass(`${name}: pages written by the ContentStore are in the backend, drafts included`);
+
+    const events = [];
+    store.subscribe(event => events.push(`${event.type}:${event.pageId}:${event.reason}`));
+
+    await other.put('check', { ...stored, content: { title: 'From another server' } });
+    await waitFor(() => store.getContent('check').content.title === 'From another server', 'the external edit');
+    await other.put('added', { pageId: 'added', content: { title: 'Added elsewhere' } });
+    await waitFor(() => store.getContent('added'), 'the external page');
+    await other.delete('added');
+    await waitFor(() => !store.getContent('added'), 'the external delete');
+    assert.deepEqual(events, ['update:check:external-edit', 'update:added:external-edit', 'delete:added:external-delete']);
+    pass(`${name}: changes made by another connection are picked up and broadcast`);
+
+    await store.destroy();
+    reopened = new ContentStore(dir, { storage: createAdapter() });
+    await reopened.initialize();
+    assert.deepEqual([...reopened.store.keys()], ['check']);
+    assert.equal(reopened.getContent('check', { stage: 'draft' }).content.title, 'Draft');
+    pass(`${name}: a restarted ContentStore loads the same pages`);
+  } finally {
+    await store.destroy();
+    await other.close();
+    if (reopened) {
+      await reopened.destroy();
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function main() {
+  let sqliteInstalled = true;
+  try {
+    require('better-sqlite3');
+  } catch (error) {
+    sqliteInstalled = false;
+  }
+
+  if (sqliteInstalled) {
+    const dbDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodelx-db-'));
+    try {
+      await checkAdapter('sqlite', () => new SqliteAdapter({ file: path.join(dbDir, 'nodelx.db'), pollInterval: 50 }));
+    } finally {
+      fs.rmSync(dbDir, { recursive: true, force: true });
+    }
+  } else {
+    console.log('- sqlite: skipped (npm install better-sqlite3 to check it)');
+  }
+
+  const standIn = createPostgrestStandIn();
+  await new Promise(resolve => standIn.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${standIn.address().port}`;
+
+  try {
+    await assert.rejects(new SupabaseAdapter({ url, key: 'wrong' }).initialize(), /Invalid API key/);
+    pass('supabase: a wrong key fails at startup');
+
+    await checkAdapter('supabase', () => new SupabaseAdapter({ url, key: KEY, table: TABLE, pollInterval: 50 }));
+  } finally {
+    standIn.close();
+  }
+}
+
+main().then(
+  () => console.log('\nStorage checks passed'),
+  (error) => {
+    console.error('\nStorage check failed:', error);
+    process.exitCode = 1;
+  }
+);
@@ -0,0 +1,117 @@
+/**
+ * Webhook check
+ *
+ * Sends events to a local HTTP receiver and checks that deliveries are signed, retried with
+ * backoff, logged and replayable. Needs no running NodeLx server:
+ *
+ *   npm run check:webhooks
+ */
+
+const assert = require('assert').strict;
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const WebhookManager = require('../server/webhooks');
+
+/**
+ * Wait until a condition holds, or fail after a while
+ */
+async function waitFor(condition, what, timeout = 5000) {
+  const started = Date.now();
+
+  while (!condition()) {
+    if (Date.now() - started > timeout) {
+      throw new Error(`Timed out waiting for ${what}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+function pass(message) {
+  console.log(`✓ ${message}`);
+}
+
+async function main() {
+  // The receiver answers with the status queued in `answers` (200 once they run out)
+  const received = [];
+  const answers = [];
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = answers.shift() || 200;
+      res.end(res.statusCode === 200 ? 'ok' : 'busy');
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodelx-webhooks-'));
+  const webhooks = new WebhookManager(path.join(dir, 'webhooks.json'), { attempts: 3, baseDelay: 50 });
+
+  try {
+    await webhooks.initialize();
+
+    const webhook = await webhooks.create({
+      url: `http://127.0.0.1:${receiver.address().port}/hook`,
+      events: ['content.published', 'theme.*']
+    });
+
+    // A publish, with the receiver busy for the first two tries
+    answers.push(503, 503);
+    webhooks.handleContentEvent({ type: 'update', stage: 'published', pageId: 'home', author: 'check', data: { content: {} } });
+    const published = webhooks.getDelivery(webhooks.getDeliveries()[0].id);
+    await waitFor(() => published.status !== 'pending' && published.status !== 'retrying', 'the publish delivery');
+
+    assert.equal(published.status, 'success');
+    assert.deepEqual(published.attempts.map(attempt => attempt.status), [503, 503, 200]);
+    pass('A delivery the receiver turns away with 503 is retried until it goes through');
+
+    const request = received[received.length - 1];
+    const expected = `sha256=${crypto.createHmac('sha256', webhook.secret).update(request.body).digest('hex')}`;
+    assert.equal(request.headers['x-nodelx-signature'], expected);
+    assert.equal(request.headers['x-nodelx-event'], 'content.published');
+    assert.deepEqual(JSON.parse(request.body).data, { type: 'update', stage: 'published', pageId: 'home', author: 'check' });
+    pass('Requests are signed with the webhook secret (X-NodeLx-Signature)');
+
+    // Content events are named by stage (a draft edit is content.update), broadcasts by their type
+    webhooks.handleContentEvent({ type: 'update', stage: 'draft', pageId: 'home', author: 'check' });
+    assert.equal(webhooks.getDeliveries().length, 1);
+    webhooks.handleBroadcast({ type: 'theme-changed', element: 'colors' });
+    await waitFor(() => received.some(r => r.headers['x-nodelx-event'] === 'theme.changed'), 'the theme delivery');
+    pass('Only subscribed events are sent (draft edits skipped, theme.* matches theme.changed)');
+
+    // A receiver rejecting the request is not retried
+    answers.push(410);
+    const [rejected] = webhooks.dispatch('content.published', { pageId: 'about' });
+    await waitFor(() => rejected.status === 'failed', 'the rejected delivery');
+    assert.equal(rejected.attempts.length, 1);
+    pass('A 4xx answer fails the delivery without retries');
+
+    const log = webhooks.getDeliveries();
+    assert.equal(log[0].id, rejected.id);
+    assert.equal(webhooks.getDeliveries({ status: 'failed' }).length, 1);
+    assert.equal(webhooks.getDelivery(published.id).attempts.length, 3);
+    pass('The delivery log lists deliveries newest first with every attempt');
+
+    const replayed = webhooks.replay(rejected.id);
+    await waitFor(() => replayed.status === 'success', 'the replay');
+    assert.equal(replayed.replayOf, rejected.id);
+    assert.deepEqual(JSON.parse(received[received.length - 1].body).data, { pageId: 'about' });
+    pass('A failed delivery can be replayed');
+  } finally {
+    webhooks.close();
+    receiver.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().then(
+  () => console.log('\nWebhook checks passed'),
+  (error) => {
+    console.error('\nWebhook check failed:', error);
+    process.exitCode = 1;
+  }
+);
@@ -37,6 +37,21 @@ const styleOps = require('./operations/style');
 const findElement = require('./utils/findElement');
 const templates = require('./utils/templates');
 
+/**
+ * Plain values an operation reports besides its AST (oldText, oldValue, oldTagName...)
+ */
+function getDetails(result) {
+  const details = {};
+
+  for (const [key, value] of Object.entries(result)) {
+    if (!['success', 'ast', 'message'].includes(key) && (value === null || typeof value !== 'object')) {
+      details[key] = value;
+    }
+  }
+
+  return details;
+}
+
 /**
  * High-level API for file-based operations
  * These methods handle the full workflow: read -> parse -> modify -> generate -> write
@@ -46,7 +61,8 @@ class ASTManager {
    * Process a file with a modification function
    * @param {string} filePath - Path to the file
    * @param {Function} modifyFn - Function that receives AST and returns { success, ast, message }
-   * @returns {Promise<{success: boolean, code?: string, message: string}>}
+   * @returns {Promise<{success: boolean, code?: string, message: string, details?: Object}>}
+   *   details - the values the operation replaced (oldText, oldValue...), for the audit log
    */
   async processFile(filePath, modifyFn) {
     try {
@@ -67,7 +83,8 @@ class ASTManager {
         success: true,
         code: newCode,
         originalCode,
-        message: result.message
+        message: result.message,
+        details: getDetails(result)
       };
     } catch (error) {
       return {
@@ -104,7 +121,8 @@ class ASTManager {
       return {
         success: true,
         message: result.message,
-        code: result.code
+        code: result.code,
+        ...result.details
       };
     } catch (error) {
       return {
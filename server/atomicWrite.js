@@ -0,0 +1,69 @@
+const fs = require('fs').promises;
+const path = require('path');
+const WriteQueue = require('./writeQueue');
+
+/**
+ * Crash-safe file writes
+ * Data goes to a temporary file next to the target, is flushed to disk and then renamed
+ * over the target, so a crash or a reader (chokidar, the dev server) only ever sees the
+ * old file or the new one - never half of it.
+ * Writes to the same file are queued, so they land in the order they were made
+ */
+
+const queue = new WriteQueue();
+let tempCounter = 0;
+
+/**
+ * Atomically replace a file's contents
+ * @param {string} filePath - File to write
+ * @param {string|Buffer} data - New contents
+ * @param {Object} options - { encoding } (default utf-8)
+ */
+function writeFileAtomic(filePath, data, options = {}) {
+  const target = path.resolve(filePath);
+
+  return queue.run(target, async () => {
+    // Write through symlinks instead of replacing them
+    const realPath = await fs.realpath(target).catch(() => target);
+    const dir = path.dirname(realPath);
+    const tempPath = path.join(dir, `.${path.basename(realPath)}.${process.pid}.${++tempCounter}.tmp`);
+
+    // Keep the permissions of the file being replaced
+    const mode = await fs.stat(realPath).then(stats => stats.mode & 0o7777, () => undefined);
+
+    let handle;
+    try {
+      handle = await fs.open(tempPath, 'wx', mode);
+      // open() applies the umask to the mode, so set it again
+      if (mode !== undefined) {
+        await handle.chmod(mode);
+      }
+      await handle.writeFile(data, { encoding: options.encoding || 'utf-8' });
+      await handle.sync();
+      await handle.close();
+      handle = null;
+
+      await fs.rename(tempPath, realPath);
+    } catch (error) {
+      if (handle) {
+        await handle.close().catch(() => {});
+      }
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  });
+}
+
+/**
+ * Delete a file once pending writes to it have landed
+ * @param {string} filePath - File to delete
+ */
+function unlinkQueued(filePath) {
+  const target = path.resolve(filePath);
+  return queue.run(target, () => fs.unlink(target));
+}
+
+module.exports = {
+  writeFileAtomic,
+  unlinkQueued
+};
@@ -0,0 +1,206 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const WriteQueue = require('./writeQueue');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * Audit Log
+ *
+ * Append-only record of every content, theme and source (AST and file) change: who made it, from where,
+ * through which route, what it touched and the before/after value of each field.
+ * Entries are JSON lines in content/.audit.log and are never rewritten.
+ *
+ * The actor is the X-NodeLx-Author header of the request that made the change. Requests run
+ * inside middleware() so changes recorded further down (ContentStore events) still know it;
+ * changes made outside a request are attributed to whoever the event names (scheduler, filesystem)
+ */
+class AuditLog {
+  constructor(file = './content/.audit.log') {
+    this.file = path.resolve(file);
+    this.requests = new AsyncLocalStorage(); // request -> { actor, ip, route }
+    this.writes = new WriteQueue(); // appends run one at a time, in order
+    this.lastId = 0;
+  }
+
+  /**
+   * Continue the id sequence of an existing log
+   */
+  async initialize() {
+    const entries = await this.readAll();
+    this.lastId = entries.length > 0 ? entries[entries.length - 1].id : 0;
+
+    console.log(`[Audit] ${entries.length} entries in ${this.file}`);
+    return this;
+  }
+
+  /**
+   * Express middleware remembering who is making the request
+   */
+  middleware() {
+    return (req, res, next) => {
+      this.requests.run({
+        actor: req.get('X-NodeLx-Author') || 'anonymous',
+        ip: req.ip || req.socket?.remoteAddress || null,
+        route: `${req.method} ${req.path}`
+      }, next);
+    };
+  }
+
+  /**
+   * Append an entry
+   * @param {Object} entry - { action, target: { pageId, field, filePath, elementId, ... }, changes: [{ field, before, after }], actor }
+   * The actor defaults to the current request's; the entry's own actor is used outside a request
+   * @returns {Object} The stored entry
+   */
+  record(entry) {
+    const request = this.requests.getStore();
+    const stored = {
+      id: ++this.lastId,
+      timestamp: new Date().toISOString(),
+      actor: request?.actor || entry.actor || 'system',
+      ip: request?.ip || null,
+      route: request?.route || null,
+      action: entry.action,
+      target: entry.target || {},
+      changes: entry.changes || []
+    };
+
+    this.writes.run(this.file, async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.appendFile(this.file, JSON.stringify(stored) + '\n', 'utf-8');
+    }).catch(error => console.error('[Audit] Error writing entry:', error));
+
+    return stored;
+  }
+
+  /**
+   * Record a ContentStore event (see ContentStore.notifySubscribers)
+   */
+  handleContentEvent(event) {
+    // Pages that only show the change through a reference did not change themselves
+    if (event.via) {
+      return;
+    }
+
+    const target = { pageId: event.pageId };
+    for (const key of ['oldPageId', 'stage', 'locale', 'trashId']) {
+      if (event[key]) {
+        target[key] = event[key];
+      }
+    }
+
+    this.record({
+      action: `content.${event.reason || event.type}`,
+      actor: event.author,
+      target,
+      changes: event.changes
+    });
+  }
+
+  /**
+   * Every entry, oldest first
+   * Waits for pending appends so a change is listed as soon as its request has answered
+   */
+  async readAll() {
+    await this.writes.run(this.file, async () => {});
+
+    let text;
+    try {
+      text = await fs.readFile(this.file, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A line cut short by a crash - the rest of the log is still readable
+        console.warn(`[Audit] Skipping unreadable line: ${line.slice(0, 80)}`);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Find entries, newest first
+   * @param {Object} filters - {
+   *   actor, action ('content.*' matches a prefix), pageId, field (a field or one inside it),
+   *   filePath, elementId, ip, since, until (ISO dates), limit, offset
+   * }
+   * @returns {Promise<{total: number, limit: number, offset: number, entries: Array<Object>}>}
+   */
+  async query(filters = {}) {
+    const limit = filters.limit === undefined ? DEFAULT_LIMIT : Number(filters.limit);
+    const offset = filters.offset === undefined ? 0 : Number(filters.offset);
+
+    if (!Number.isInteger(limit) || limit < 0 || limit > MAX_LIMIT) {
+      throw new Error(`Invalid limit: ${filters.limit} (0-${MAX_LIMIT})`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error(`Invalid offset: ${filters.offset}`);
+    }
+
+    const since = parseDate(filters.since, 'since');
+    const until = parseDate(filters.until, 'until');
+
+    const matches = (await this.readAll())
+      .reverse()
+      .filter(entry => !filters.actor || entry.actor === filters.actor)
+      .filter(entry => !filters.action || matchesAction(entry.action, filters.action))
+      .filter(entry => !filters.pageId || entry.target.pageId === filters.pageId || entry.target.oldPageId === filters.pageId)
+      .filter(entry => !filters.field || entry.target.field === filters.field ||
+        entry.changes.some(change => isWithin(change.field, filters.field)))
+      .filter(entry => !filters.filePath || entry.target.filePath === filters.filePath)
+      .filter(entry => !filters.elementId || entry.target.elementId === filters.elementId)
+      .filter(entry => !filters.ip || entry.ip === filters.ip)
+      .filter(entry => since === null || Date.parse(entry.timestamp) >= since)
+      .filter(entry => until === null || Date.parse(entry.timestamp) <= until);
+
+    return {
+      total: matches.length,
+      limit,
+      offset,
+      entries: matches.slice(offset, offset + limit)
+    };
+  }
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name} date: ${value}`);
+  }
+  return time;
+}
+
+/**
+ * 'content.update' matches itself, 'content.*' every content action
+ */
+function matchesAction(action, pattern) {
+  return pattern.endsWith('.*') ? action.startsWith(pattern.slice(0, -1)) : action === pattern;
+}
+
+/**
+ * Is a changed field the field asked for, or inside it ("stats.years" is within "stats")
+ */
+function isWithin(field, parent) {
+  return typeof field === 'string' && (field === parent || field.startsWith(`${parent}.`));
+}
+
+module.exports = AuditLog;
@@ -1,5 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { computeETag, etagMatches, PreconditionFailedError } = require('./etag');
+const { writeFileAtomic } = require('./atomicWrite');
 
 /**
  * CodeEditor - File System Service for Developer Mode
@@ -62,7 +64,7 @@ class CodeEditor {
   /**
    * Read a file's contents
    * @param {string} relativePath - Path relative to project root
-   * @returns {Promise<{content: string, path: string, extension: string}>}
+   * @returns {Promise<{content: string, path: string, extension: string, etag: string}>}
    */
   async readFile(relativePath) {
     // Security check
@@ -80,6 +82,7 @@ class CodeEditor {
         path: relativePath,
         fullPath,
         content,
+        etag: computeETag(content),
         extension: path.extname(relativePath),
         size: stats.size,
         modified: stats.mtime,
@@ -98,9 +101,10 @@ class CodeEditor {
    * @param {string} relativePath - Path relative to project root
    * @param {string} content - New file content
    * @param {boolean} createBackup - Whether to create a .bak file
-   * @returns {Promise<{success: boolean, path: string, backup?: string}>}
+   * @param {Object} options - { ifMatch } - reject the write if the file changed since that ETag
+   * @returns {Promise<{success: boolean, path: string, etag: string, previousEtag: string|null, backup?: string}>}
    */
-  async writeFile(relativePath, content, createBackup = true) {
+  async writeFile(relativePath, content, createBackup = true, options = {}) {
     // Security check
     if (!this.isPathSafe(relativePath)) {
       throw new Error(`Access denied: Path outside project directory`);
@@ -114,24 +118,26 @@ class CodeEditor {
     const fullPath = path.resolve(this.projectPath, relativePath);
     let backupPath = null;
 
+    if (options.ifMatch) {
+      await this.checkIfMatch(relativePath, options.ifMatch);
+    }
+
+    // File doesn't exist yet - nothing to back up
+    const existingContent = await fs.readFile(fullPath, 'utf-8').catch(() => null);
+
     try {
       // Create backup of existing file
-      if (createBackup) {
-        try {
-          const existingContent = await fs.readFile(fullPath, 'utf-8');
-          backupPath = `${fullPath}.bak`;
-          await fs.writeFile(backupPath, existingContent, 'utf-8');
-        } catch (e) {
-          // File doesn't exist yet, no backup needed
-        }
+      if (createBackup && existingContent !== null) {
+        backupPath = `${fullPath}.bak`;
+        await writeFileAtomic(backupPath, existingContent);
       }
 
       // Ensure directory exists
       const dir = path.dirname(fullPath);
       await fs.mkdir(dir, { recursive: true });
 
-      // Write the file
-      await fs.writeFile(fullPath, content, 'utf-8');
+      // Write the file - replaced in one step, so the dev server never reloads half of it
+      await writeFileAtomic(fullPath, content);
 
       console.log(`[CodeEditor] File written: ${relativePath}`);
 
@@ -139,6 +145,8 @@ class CodeEditor {
         success: true,
         path: relativePath,
         fullPath,
+        etag: computeETag(content),
+        previousEtag: existingContent === null ? null : computeETag(existingContent),
         backup: backupPath
       };
     } catch (error) {
@@ -147,6 +155,33 @@ class CodeEditor {
     }
   }
 
+  /**
+   * Throw a PreconditionFailedError if a file no longer matches an If-Match ETag
+   * @param {string} relativePath - Path relative to project root
+   * @param {string} ifMatch - If-Match header value
+   */
+  async checkIfMatch(relativePath, ifMatch) {
+    let current = null;
+
+    try {
+      current = await this.readFile(relativePath);
+    } catch (error) {
+      if (!error.message.startsWith('File not found')) {
+        throw error;
+      }
+    }
+
+    const etag = current ? current.etag : null;
+
+    if (!etagMatches(ifMatch, etag)) {
+      throw new PreconditionFailedError(
+        `File ${relativePath} was modified by someone else`,
+        etag,
+        current
+      );
+    }
+  }
+
   /**
    * List files in a directory (recursive)
    * @param {string} relativePath - Directory path relative to project root
@@ -299,7 +334,7 @@ class CodeEditor {
   /**
    * Delete a file (with backup)
    * @param {string} relativePath - Path relative to project root
-   * @returns {Promise<{success: boolean, backup: string}>}
+   * @returns {Promise<{success: boolean, path: string, etag: string, backup: string}>}
    */
   async deleteFile(relativePath) {
     if (!this.isPathSafe(relativePath)) {
@@ -322,6 +357,7 @@ class CodeEditor {
       return {
         success: true,
         path: relativePath,
+        etag: computeETag(content),
         backup: backupPath
       };
     } catch (error) {
@@ -336,7 +372,7 @@ class CodeEditor {
    * Create a new file
    * @param {string} relativePath - Path relative to project root
    * @param {string} content - Initial content
-   * @returns {Promise<{success: boolean, path: string}>}
+   * @returns {Promise<{success: boolean, path: string, etag: string}>}
    */
   async createFile(relativePath, content = '') {
     if (!this.isPathSafe(relativePath)) {
@@ -366,7 +402,8 @@ class CodeEditor {
     return {
       success: true,
       path: relativePath,
-      fullPath
+      fullPath,
+      etag: computeETag(content)
     };
   }
 
@@ -0,0 +1,373 @@
+const crypto = require('crypto');
+const { AsyncResource } = require('async_hooks');
+const Y = require('yjs');
+const { getPath } = require('./jsonPatch');
+
+/**
+ * Collaborative Editing
+ *
+ * Several editors can type in the same content string field at once. Each field being edited is
+ * a Yjs document (a CRDT) held here while anyone has it open: clients send their edits as Yjs
+ * updates over the WebSocket, the hub merges them and relays them to the other editors, and the
+ * merged text is written back with ContentStore.updateContent once typing pauses.
+ * Carets are relayed as Yjs relative positions, so they stay put while others type.
+ *
+ * Changes saved some other way (REST, GraphQL, a file edit) are merged into an open document
+ * as one more editor's edit, made on top of the text last saved
+ *
+ * Messages (client -> server), all with { pageId, field, locale? }:
+ *   collab-join - open the field; answered with collab-sync { docId, update, cursors }
+ *   collab-update { update } - a Yjs update (base64)
+ *   collab-cursor { anchor, head } - the caret/selection as relative positions (JSON), null when gone
+ *   collab-leave - close the field
+ * The server sends collab-update and collab-cursor { user } to the other editors of the field
+ */
+class CollabHub {
+  /**
+   * @param {Object} deps - { wsServer, contentStore, presence }
+   * @param {Object} options - { saveDelay } (see config.js)
+   */
+  constructor({ wsServer, contentStore, presence }, options = {}) {
+    this.wsServer = wsServer;
+    this.contentStore = contentStore;
+    this.presence = presence;
+    this.saveDelay = options.saveDelay ?? 1000;
+    this.docs = new Map(); // "pageId|locale|field" -> document
+    this.clients = new Map(); // ws -> Set of documents it has open
+    // Saves run outside the request that scheduled them (a REST change merged in), so the
+    // audit log names the editors rather than that request's author
+    this.saveLater = AsyncResource.bind(doc => this.save(doc));
+  }
+
+  /**
+   * Handle collab-join: open a field and get its document
+   */
+  join(ws, data) {
+    const target = readTarget(data);
+    if (!target) {
+      return this.sendError(ws, 'collab-join needs pageId and field');
+    }
+
+    let doc;
+    try {
+      doc = this.docs.get(toKey(target)) || this.open(target);
+    } catch (error) {
+      return this.sendError(ws, error.message, target);
+    }
+
+    doc.members.add(ws);
+    this.track(ws).add(doc);
+
+    this.wsServer.send(ws, {
+      type: 'collab-sync',
+      ...target,
+      docId: doc.id,
+      update: toBase64(Y.encodeStateAsUpdate(doc.ydoc)),
+      cursors: [...doc.cursors].filter(([member]) => member !== ws).map(([, cursor]) => cursor)
+    });
+  }
+
+  /**
+   * Handle collab-update: merge an edit and pass it on
+   */
+  update(ws, data) {
+    const doc = this.getMemberDoc(ws, data);
+    if (!doc) {
+      return;
+    }
+
+    try {
+      Y.applyUpdate(doc.ydoc, fromBase64(data.update), ws);
+    } catch (error) {
+      this.sendError(ws, `Invalid update: ${error.message}`, doc.target);
+    }
+  }
+
+  /**
+   * Handle collab-cursor: show the caret to the others
+   */
+  cursor(ws, data) {
+    const doc = this.getMemberDoc(ws, data);
+    if (!doc) {
+      return;
+    }
+
+    const cursor = {
+      user: this.getUser(ws),
+      anchor: data.anchor ?? null,
+      head: data.head ?? data.anchor ?? null
+    };
+
+    if (cursor.anchor === null) {
+      doc.cursors.delete(ws);
+    } else {
+      doc.cursors.set(ws, cursor);
+    }
+    this.sendToOthers(doc, ws, { type: 'collab-cursor', ...doc.target, ...cursor });
+  }
+
+  /**
+   * Handle collab-leave, or a disconnect (every field the client had open)
+   */
+  leave(ws, data) {
+    const docs = data ? [this.getMemberDoc(ws, data)].filter(Boolean) : [...(this.clients.get(ws) || [])];
+
+    for (const doc of docs) {
+      doc.members.delete(ws);
+      this.clients.get(ws)?.delete(doc);
+
+      if (doc.cursors.delete(ws)) {
+        this.sendToOthers(doc, ws, { type: 'collab-cursor', ...doc.target, user: this.getUser(ws), anchor: null, head: null });
+      }
+
+      // Last one out saves and closes the document
+      if (doc.members.size === 0) {
+        this.closeDoc(doc);
+      }
+    }
+  }
+
+  /**
+   * Merge a change saved some other way into the open documents of the page
+   * @param {Object} event - ContentStore event (see ContentStore.notifySubscribers)
+   */
+  handleContentEvent(event) {
+    for (const doc of this.docs.values()) {
+      if (doc.target.pageId !== event.pageId) {
+        continue;
+      }
+
+      let value;
+      try {
+        value = this.readField(doc.target);
+      } catch (error) {
+        continue; // deleted - the next save reports it
+      }
+      const text = doc.ytext.toString();
+
+      // Our own save coming back, or a change to another field
+      if (typeof value !== 'string' || value === text || value === doc.saved) {
+        continue;
+      }
+
+      // Make the change on a copy of the last saved state - the update merges with edits made since
+      const base = new Y.Doc();
+      Y.applyUpdate(base, doc.savedState);
+      const vector = Y.encodeStateVector(base);
+      replaceText(base.getText('text'), value);
+
+      Y.applyUpdate(doc.ydoc, Y.encodeStateAsUpdate(base, vector), 'store');
+      doc.saved = value;
+      doc.savedState = Y.encodeStateAsUpdate(base);
+      base.destroy();
+
+      // Unsaved edits merged in - the stored text is behind
+      if (doc.ytext.toString() !== value) {
+        this.scheduleSave(doc);
+      }
+    }
+  }
+
+  /**
+   * Save every open document now (on shutdown)
+   */
+  async flush() {
+    await Promise.all([...this.docs.values()].map(doc => this.save(doc)));
+  }
+
+  // ---- internals ----
+
+  /**
+   * Start a document from the field's stored text
+   */
+  open(target) {
+    const value = this.readField(target);
+
+    if (typeof value !== 'string') {
+      throw new Error(`${target.field} of ${target.pageId} is not a text field`);
+    }
+
+    const ydoc = new Y.Doc();
+    const ytext = ydoc.getText('text');
+    ytext.insert(0, value);
+
+    const doc = {
+      id: crypto.randomUUID(), // a new document can't be merged with updates made to an old one
+      key: toKey(target),
+      target,
+      ydoc,
+      ytext,
+      members: new Set(),
+      cursors: new Map(), // ws -> { user, anchor, head }
+      saved: value, // text last stored, and the document state it was
+      savedState: Y.encodeStateAsUpdate(ydoc),
+      saveTimer: null,
+      author: null
+    };
+
+    ydoc.on('update', (update, origin) => {
+      this.sendToOthers(doc, origin, { type: 'collab-update', ...target, update: toBase64(update) });
+
+      if (origin !== 'store') {
+        doc.author = this.getUser(origin).name;
+        this.scheduleSave(doc);
+      }
+    });
+
+    this.docs.set(doc.key, doc);
+    console.log(`[Collab] Opened ${doc.key}`);
+    return doc;
+  }
+
+  closeDoc(doc) {
+    this.docs.delete(doc.key);
+    this.save(doc).finally(() => doc.ydoc.destroy());
+    console.log(`[Collab] Closed ${doc.key}`);
+  }
+
+  scheduleSave(doc) {
+    clearTimeout(doc.saveTimer);
+    doc.saveTimer = setTimeout(() => this.saveLater(doc), this.saveDelay);
+  }
+
+  /**
+   * Write the merged text back to the page's draft, if it changed since the last save
+   */
+  async save(doc) {
+    clearTimeout(doc.saveTimer);
+    doc.saveTimer = null;
+
+    const text = doc.ytext.toString();
+    if (text === doc.saved) {
+      return;
+    }
+
+    const { pageId, field, locale } = doc.target;
+    doc.saved = text;
+    doc.savedState = Y.encodeStateAsUpdate(doc.ydoc);
+
+    try {
+      await this.contentStore.updateContent(pageId, { [field]: text }, {
+        author: doc.author || 'anonymous',
+        locale: locale || undefined
+      });
+    } catch (error) {
+      console.error(`[Collab] Error saving ${doc.key}:`, error.message);
+      doc.members.forEach(member => this.sendError(member, `Could not save ${field}: ${error.message}`, doc.target));
+    }
+  }
+
+  readField({ pageId, field, locale }) {
+    const view = this.contentStore.getContent(pageId, { stage: 'draft', locale: locale || undefined, resolve: false });
+    if (!view) {
+      throw new Error(`Page ${pageId} not found`);
+    }
+    return getPath(view.content, field);
+  }
+
+  /**
+   * The open document a message is about, if the client joined it
+   */
+  getMemberDoc(ws, data) {
+    const target = readTarget(data);
+    const doc = target && this.docs.get(toKey(target));
+
+    if (!doc || !doc.members.has(ws)) {
+      this.sendError(ws, 'Join the field with collab-join first', target);
+      return null;
+    }
+    return doc;
+  }
+
+  /**
+   * Fields a client has open, closed when it disconnects
+   */
+  track(ws) {
+    let docs = this.clients.get(ws);
+
+    if (!docs) {
+      docs = new Set();
+      this.clients.set(ws, docs);
+      ws.once('close', () => {
+        this.leave(ws);
+        this.clients.delete(ws);
+      });
+    }
+
+    return docs;
+  }
+
+  /**
+   * Who a client is - its presence, if it sent one
+   */
+  getUser(ws) {
+    const user = ws && this.presence.users.get(ws);
+    return user
+      ? { id: user.id, name: user.name, color: user.color }
+      : { id: null, name: 'anonymous', color: null };
+  }
+
+  sendToOthers(doc, ws, message) {
+    doc.members.forEach(member => {
+      if (member !== ws) {
+        this.wsServer.send(member, message);
+      }
+    });
+  }
+
+  sendError(ws, error, target = null) {
+    this.wsServer.send(ws, { type: 'collab-error', ...(target || {}), error });
+  }
+}
+
+/**
+ * { pageId, field, locale } of a message, or null if it has no page or field
+ */
+function readTarget(data) {
+  if (typeof data.pageId !== 'string' || !data.pageId || typeof data.field !== 'string' || !data.field) {
+    return null;
+  }
+  return { pageId: data.pageId, field: data.field, locale: data.locale || null };
+}
+
+function toKey({ pageId, field, locale }) {
+  return `${pageId}|${locale || ''}|${field}`;
+}
+
+/**
+ * Turn the text into another with as small an edit as possible (common start and end kept),
+ * so carets and concurrent edits outside the changed part are not disturbed
+ */
+function replaceText(ytext, value) {
+  const current = ytext.toString();
+  let start = 0;
+  while (start < current.length && start < value.length && current[start] === value[start]) {
+    start++;
+  }
+
+  let end = 0;
+  while (end < current.length - start && end < value.length - start &&
+    current[current.length - 1 - end] === value[value.length - 1 - end]) {
+    end++;
+  }
+
+  if (current.length - start - end > 0) {
+    ytext.delete(start, current.length - start - end);
+  }
+  if (value.length - start - end > 0) {
+    ytext.insert(start, value.slice(start, value.length - end));
+  }
+}
+
+function toBase64(update) {
+  return Buffer.from(update).toString('base64');
+}
+
+function fromBase64(text) {
+  if (typeof text !== 'string') {
+    throw new Error('update must be a base64 string');
+  }
+  return new Uint8Array(Buffer.from(text, 'base64'));
+}
+
+module.exports = CollabHub;
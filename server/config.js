@@ -0,0 +1,102 @@
+/**
+ * NodeLx Configuration
+ *
+ * Reads nodelx.config.json from the working directory and fills in defaults.
+ * Every section is optional.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { deepMerge } = require('./jsonPatch');
+
+const CONFIG_FILE = 'nodelx.config.json';
+
+const DEFAULT_CONFIG = {
+  storage: {
+    // Where pages are kept: 'filesystem' (content/*.json), 'sqlite' or 'supabase'
+    adapter: 'filesystem',
+    sqlite: {
+      file: 'content/nodelx.db',
+      pollInterval: 1000
+    },
+    supabase: {
+      // url and key default to SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY - keep keys out of this file
+      table: 'nodelx_pages',
+      pollInterval: 5000
+    }
+  },
+  locales: {
+    // Locale of the page's own `content`/`draft` layers
+    default: 'en',
+    // Locales editors can switch between
+    supported: ['en'],
+    // Extra fallbacks per locale, tried before the default locale
+    // e.g. { "es-MX": ["es"] } - the language part of a locale is always tried
+    fallbacks: {}
+  },
+  media: {
+    // Where uploads are stored and the URL they are served from
+    dir: 'public/media',
+    urlPrefix: '/media',
+    // Prepended to asset URLs saved in content, e.g. "https://cdn.example.com"
+    baseUrl: '',
+    maxFileSize: 10 * 1024 * 1024,
+    // Exact MIME types, or prefixes ending in "/"
+    allowedTypes: ['image/', 'application/pdf', 'video/mp4']
+  },
+  transfer: {
+    // Largest bundle or CSV accepted by POST /api/content/_import
+    maxImportSize: 50 * 1024 * 1024
+  },
+  webhooks: {
+    // Always-on subscriptions, e.g.
+    // { "url": "https://example.com/rebuild", "events": ["content.published"], "secretEnv": "REBUILD_HOOK_SECRET" }
+    // More can be added through /api/webhooks (kept in content/.webhooks.json)
+    subscriptions: [],
+    // Tries per delivery - retries wait baseDelay, then twice as long each time
+    attempts: 5,
+    baseDelay: 1000,
+    timeout: 10000,
+    // Deliveries kept in the log
+    logSize: 200
+  },
+  websocket: {
+    // Events kept for clients that reconnect and resume - older gaps need a full resync
+    replayBufferSize: 1000,
+    // Milliseconds between heartbeats; clients that miss one are dropped (0 turns them off)
+    heartbeatInterval: 30000
+  },
+  locks: {
+    // Milliseconds an element lock lasts unless its owner renews it
+    ttl: 30000
+  },
+  collab: {
+    // Milliseconds without edits before a collaboratively edited field is saved
+    saveDelay: 1000
+  }
+};
+
+/**
+ * Load the configuration
+ * @param {string} configPath - Path to the config file (defaults to ./nodelx.config.json)
+ * @returns {Object} Configuration merged over the defaults
+ */
+function loadConfig(configPath = CONFIG_FILE) {
+  const fullPath = path.resolve(configPath);
+
+  try {
+    const config = JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+    console.log(`[Config] Loaded ${fullPath}`);
+    return deepMerge(DEFAULT_CONFIG, config);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return deepMerge(DEFAULT_CONFIG, {});
+    }
+    throw new Error(`Invalid config file ${fullPath}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  loadConfig,
+  DEFAULT_CONFIG
+};
@@ -0,0 +1,71 @@
+const { deepEqual, isPlainObject } = require('./jsonPatch');
+const { diffContent } = require('./revisionStore');
+
+/**
+ * Content Diff & Merge
+ *
+ * Compares content field by field, and merges two edits of the same content (three-way) so that
+ * editors saving at the same time only have to settle the fields they both changed.
+ * Nested objects are merged field by field; lists and other values are merged as a whole
+ */
+
+/**
+ * List the fields that differ between two versions of content
+ * @returns {Array<{field: string, type: 'added' | 'removed' | 'changed', before: *, after: *}>}
+ */
+function diffFields(before = {}, after = {}) {
+  return diffContent(before, after).map(change => ({
+    type: change.before === undefined ? 'added' : change.after === undefined ? 'removed' : 'changed',
+    ...change
+  }));
+}
+
+/**
+ * Merge one value, recording the fields both sides changed differently
+ * Conflicting fields keep our value until the conflict is settled
+ */
+function mergeValue(base, ours, theirs, field, conflicts) {
+  if (deepEqual(ours, theirs) || deepEqual(base, theirs)) {
+    return ours;
+  }
+  if (deepEqual(base, ours)) {
+    return theirs;
+  }
+
+  if (isPlainObject(ours) && isPlainObject(theirs)) {
+    const baseObject = isPlainObject(base) ? base : {};
+    const merged = {};
+
+    // Their order first - it is the copy that was saved
+    for (const key of new Set([...Object.keys(theirs), ...Object.keys(ours), ...Object.keys(baseObject)])) {
+      const value = mergeValue(baseObject[key], ours[key], theirs[key], field ? `${field}.${key}` : key, conflicts);
+      if (value !== undefined) {
+        merged[key] = value;
+      }
+    }
+
+    return merged;
+  }
+
+  conflicts.push({ field, base, ours, theirs });
+  return ours;
+}
+
+/**
+ * Three-way merge of content
+ * @param {Object} base - The version both edits started from
+ * @param {Object} ours - Our edit of base
+ * @param {Object} theirs - The other edit of base
+ * @returns {{content: Object, conflicts: Array<{field, base, ours, theirs}>}}
+ */
+function mergeContent(base = {}, ours = {}, theirs = {}) {
+  const conflicts = [];
+  const content = mergeValue(base, ours, theirs, '', conflicts);
+
+  return { content, conflicts };
+}
+
+module.exports = {
+  diffFields,
+  mergeContent
+};
@@ -1,26 +1,249 @@
 const fs = require('fs').promises;
 const path = require('path');
 const chokidar = require('chokidar');
+const RevisionStore = require('./revisionStore');
+const WriteQueue = require('./writeQueue');
+const { writeFileAtomic } = require('./atomicWrite');
+const { FilesystemAdapter } = require('./storage');
+const { validate, ValidationError } = require('./schemaValidator');
+const { computeETag, etagMatches, PreconditionFailedError } = require('./etag');
+const { deepMerge, deepEqual, applyPatch, getPath, setPath, unsetPath, parsePath, isPlainObject } = require('./jsonPatch');
+const { ReferenceCycleError, PageReferencedError, isRef, parseRef, findPageRefs } = require('./references');
+const { normalizeSchedule, listScheduledActions, getDueActions, withoutAction, parseTime } = require('./schedule');
+const { diffFields, mergeContent } = require('./contentMerge');
+const { normalizeType, getTypeDefaults, applyTypeDefaults, typeToSchema } = require('./contentTypes');
+const { renderRichText } = require('./richText');
+const { DEFAULT_CONFIG } = require('./config');
+
+const STAGES = ['draft', 'published'];
+const SCHEMA_SUFFIX = '.schema.json';
+const PAGE_ID_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]*$/;
+// 'search' is taken by /api/content/search; 'theme' is content/theme.json, kept next to the pages by themeManager.js
+const RESERVED_PAGE_IDS = ['search', 'theme'];
+const LOCALE_PATTERN = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/;
+
+/**
+ * Get the content of a page at a stage
+ * Pages without a draft layer have no unpublished changes, so both stages match
+ */
+function getStageContent(page, stage) {
+  if (stage === 'draft' && page.draft) {
+    return page.draft;
+  }
+  return page.content;
+}
+
+/**
+ * Get the fields a page translates for one locale at a stage
+ * Locale layers are sparse: { locales: { es: { content, draft? } } } - anything missing falls back
+ */
+function getLocaleContent(page, locale, stage) {
+  const layer = page.locales?.[locale];
+
+  if (!layer) {
+    return {};
+  }
+  if (stage === 'draft' && layer.draft) {
+    return layer.draft;
+  }
+  return layer.content || {};
+}
+
+/**
+ * A page with its drafts (in every locale) made the live content
+ */
+function publishDrafts(page) {
+  const { draft, ...rest } = page;
+  const published = { ...rest, content: getStageContent(page, 'draft') };
+
+  if (page.locales) {
+    published.locales = Object.fromEntries(
+      Object.keys(page.locales).map(locale => [
+        locale,
+        { content: getLocaleContent(page, locale, 'draft') }
+      ])
+    );
+  }
+
+  return published;
+}
+
+/**
+ * A content event as it can be shown to anyone: the page without its drafts (in every locale),
+ * and for draft edits only the names of the changed fields
+ */
+function withoutDrafts(event) {
+  const published = { ...event };
+
+  if (event.data) {
+    const { draft, ...page } = event.data;
+    published.data = page;
+
+    if (page.locales) {
+      published.data.locales = Object.fromEntries(
+        Object.entries(page.locales).map(([locale, { draft: localeDraft, ...layer }]) => [locale, layer])
+      );
+    }
+  }
+
+  if (event.stage === 'draft' && event.changes) {
+    published.changes = event.changes.map(({ field }) => ({ field }));
+  }
+
+  return published;
+}
+
+/**
+ * Drop drafts that no longer differ from the live content (changes a page in place)
+ */
+function dropSettledDrafts(page) {
+  if (page.draft && deepEqual(page.draft, page.content)) {
+    delete page.draft;
+  }
+
+  for (const layer of Object.values(page.locales || {})) {
+    if (layer.draft && deepEqual(layer.draft, layer.content || {})) {
+      delete layer.draft;
+    }
+  }
+
+  return page;
+}
+
+/**
+ * Set a field from one content object on another, or remove it there if the source lacks it
+ */
+function copyField(from, to, tokens) {
+  const value = getPath(from, tokens);
+
+  if (value === undefined) {
+    unsetPath(to, tokens);
+  } else {
+    setPath(to, tokens, JSON.parse(JSON.stringify(value)));
+  }
+}
+
+/**
+ * Does a page have unpublished changes in any locale
+ */
+function hasDrafts(page) {
+  return Boolean(page.draft) || Object.values(page.locales || {}).some(layer => layer.draft);
+}
+
+/**
+ * List the path (as tokens) of every field in a content object
+ * Arrays count as a single field - they are translated as a whole
+ */
+function listFields(content, prefix = []) {
+  const fields = [];
+
+  for (const [key, value] of Object.entries(content || {})) {
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      fields.push(...listFields(value, [...prefix, key]));
+    } else {
+      fields.push([...prefix, key]);
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Copy the differences between two versions of localized content into a locale layer
+ * Only changed fields end up in the layer, so untouched fields keep falling back
+ */
+function overlayChanges(layer, before, after) {
+  const result = { ...layer };
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    const oldValue = before?.[key];
+    const newValue = after?.[key];
+
+    if (deepEqual(oldValue, newValue)) {
+      continue;
+    }
+
+    if (newValue === undefined) {
+      delete result[key];
+    } else if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+      result[key] = overlayChanges(isPlainObject(result[key]) ? result[key] : {}, oldValue, newValue);
+    } else {
+      result[key] = newValue;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Does a page value equal a query value (query values are strings; arrays match if any item does)
+ */
+function matchesValue(actual, expected) {
+  if (Array.isArray(actual)) {
+    return actual.some(item => matchesValue(item, expected));
+  }
+
+  if (actual === null || actual === undefined) {
+    return expected === 'null';
+  }
+
+  return typeof actual !== 'object' && String(actual) === String(expected);
+}
+
+/**
+ * Sort order for query values - numbers numerically, missing values last whichever the direction
+ * @param {number} direction - 1 ascending, -1 descending
+ */
+function compareValues(a, b, direction = 1) {
+  const aMissing = a === undefined || a === null;
+  const bMissing = b === undefined || b === null;
+
+  if (aMissing || bMissing) {
+    return aMissing - bMissing;
+  }
+  if (typeof a === 'number' && typeof b === 'number') {
+    return (a - b) * direction;
+  }
+  return String(a).localeCompare(String(b)) * direction;
+}
 
 /**
- * In-memory content store for development
- * Watches content files and keeps them synchronized
+ * In-memory content store
+ * Pages are persisted through a storage adapter (JSON files by default, see storage/)
+ * and kept in sync with changes made outside NodeLx
  */
 class ContentStore {
-  constructor(contentDir = './content') {
+  /**
+   * @param {string} contentDir - Directory holding schemas, content types, blueprints, revisions and trash (and pages, by default)
+   * @param {Object} options - { locales: { default, supported, fallbacks } (see config.js), storage: adapter }
+   */
+  constructor(contentDir = './content', options = {}) {
     this.contentDir = path.resolve(contentDir);
+    this.locales = { ...DEFAULT_CONFIG.locales, ...options.locales };
+    this.storage = options.storage || new FilesystemAdapter(this.contentDir);
     this.store = new Map();
+    this.pageQueue = new WriteQueue(); // writes to a page run one at a time so none is lost
     this.subscribers = new Set();
-    this.watcher = null;
+    this.watcher = null; // schema and content type files
+    this.revisions = new RevisionStore(path.join(this.contentDir, '.revisions'));
+    this.schemas = new Map(); // pageId -> schema from <pageId>.schema.json
+    this.types = new Map(); // name -> content type from types/<name>.json
+    this.diagnostics = new Map(); // source (file or row) -> load/validation problem
+    this.trashDir = path.join(this.contentDir, '.trash');
+    this.blueprintsDir = path.join(this.contentDir, 'blueprints');
+    this.typesDir = path.join(this.contentDir, 'types');
   }
 
   /**
    * Initialize the content store and start watching
    */
   async initialize() {
-    console.log(`[ContentStore] Initializing from ${this.contentDir}`);
+    console.log(`[ContentStore] Initializing from ${this.contentDir} (${this.storage.name} storage)`);
 
-    // Load all existing content files
+    await this.storage.initialize();
+
+    // Load all existing content
     await this.loadAllContent();
 
     // Watch for changes
@@ -30,150 +253,1716 @@ class ContentStore {
   }
 
   /**
-   * Load all JSON content files
+   * Load all schemas, content types and pages
    */
   async loadAllContent() {
     try {
-      const files = await fs.readdir(this.contentDir);
-
+      // Schemas and types first so pages can be validated as they load
+      const files = await fs.readdir(this.contentDir).catch(() => []);
       for (const file of files) {
+        if (file.endsWith(SCHEMA_SUFFIX)) {
+          await this.loadSchemaFile(file);
+        }
+      }
+
+      const typeFiles = await fs.readdir(this.typesDir).catch(() => []);
+      for (const file of typeFiles) {
         if (file.endsWith('.json')) {
-          await this.loadContentFile(file);
+          await this.loadTypeFile(file);
         }
       }
 
-      console.log(`[ContentStore] Loaded ${this.store.size} content files`);
+      const { pages, errors } = await this.storage.loadAll();
+
+      for (const { pageId, data } of pages) {
+        this.store.set(pageId, data);
+      }
+
+      // Checked once every page is in, so references to pages loaded later resolve
+      for (const { pageId, source } of pages) {
+        this.checkPage(pageId, source);
+      }
+
+      for (const { source, message } of errors) {
+        console.error(`[ContentStore] Error loading ${source}: ${message}`);
+        this.diagnostics.set(source, { file: source, type: 'parse', message });
+      }
+
+      console.log(`[ContentStore] Loaded ${this.store.size} pages`);
     } catch (error) {
       console.error('[ContentStore] Error loading content:', error);
     }
   }
 
   /**
-   * Load a single content file
+   * Apply a change reported by the storage adapter (a page edited outside NodeLx)
+   * @param {Object} change - { type: 'put' | 'delete' | 'error', pageId, data, source, message }
    */
-  async loadContentFile(filename) {
-    try {
-      const filePath = path.join(this.contentDir, filename);
-      const content = await fs.readFile(filePath, 'utf-8');
-      const data = JSON.parse(content);
+  handleStorageChange(change) {
+    const { type, pageId, source } = change;
 
-      const pageId = data.pageId || filename.replace('.json', '');
-      this.store.set(pageId, data);
+    if (type === 'error') {
+      console.error(`[ContentStore] Error loading ${source}: ${change.message}`);
+      this.diagnostics.set(source, { file: source, type: 'parse', message: change.message });
+      return;
+    }
+
+    this.diagnostics.delete(source);
+
+    // Edited outside NodeLx - attributed to the storage it came through
+    const author = this.storage.name;
+    const existing = this.store.get(pageId);
 
+    if (type === 'put') {
+      this.store.set(pageId, change.data);
       console.log(`[ContentStore] Loaded: ${pageId}`);
+      this.checkPage(pageId, source);
 
       // Notify subscribers of content change
-      this.notifySubscribers({ type: 'update', pageId, data });
+      this.notifySubscribers({
+        type: 'update',
+        pageId,
+        data: change.data,
+        author,
+        reason: 'external-edit',
+        changes: RevisionStore.diffContent(existing?.content, change.data?.content)
+      });
+      return;
+    }
+
+    if (type === 'delete' && existing) {
+      this.store.delete(pageId);
+      this.checkPage(pageId);
+      console.log(`[ContentStore] Removed: ${pageId}`);
+      this.notifySubscribers({
+        type: 'delete',
+        pageId,
+        author,
+        reason: 'external-delete',
+        changes: RevisionStore.diffContent(existing.content, {})
+      });
+    }
+  }
+
+  /**
+   * Load a <pageId>.schema.json file and re-check its page
+   */
+  async loadSchemaFile(filename) {
+    const pageId = filename.slice(0, -SCHEMA_SUFFIX.length);
+
+    try {
+      const filePath = path.join(this.contentDir, filename);
+      const schema = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+
+      this.schemas.set(pageId, schema);
+      this.diagnostics.delete(filename);
+
+      console.log(`[ContentStore] Loaded schema: ${pageId}`);
+
+      if (this.store.has(pageId)) {
+        this.checkPage(pageId);
+      }
+    } catch (error) {
+      console.error(`[ContentStore] Error loading schema ${filename}:`, error);
+      this.diagnostics.set(filename, { file: filename, type: 'parse', message: error.message });
+    }
+  }
+
+  /**
+   * Load a types/<name>.json file and re-check the pages of that type
+   */
+  async loadTypeFile(filename) {
+    const name = path.basename(filename, '.json');
+    const source = `types/${filename}`;
+
+    try {
+      const filePath = path.join(this.typesDir, filename);
+      const type = normalizeType(name, JSON.parse(await fs.readFile(filePath, 'utf-8')));
+
+      this.types.set(name, type);
+      this.diagnostics.delete(source);
+
+      console.log(`[ContentStore] Loaded content type: ${name}`);
     } catch (error) {
-      console.error(`[ContentStore] Error loading ${filename}:`, error);
+      console.error(`[ContentStore] Error loading content type ${filename}:`, error);
+      this.diagnostics.set(source, { file: source, type: 'parse', message: error.message });
+      this.types.delete(name);
+    }
+
+    this.checkPagesOfType(name);
+  }
+
+  /**
+   * Re-check the pages declaring a type, after it changed
+   */
+  checkPagesOfType(name) {
+    for (const [pageId, page] of this.store) {
+      if (page.type === name) {
+        this.checkPage(pageId);
+      }
+    }
+  }
+
+  /**
+   * List the content types
+   */
+  listTypes() {
+    return Array.from(this.types.values());
+  }
+
+  /**
+   * Get a content type, with the field values new pages of it start with
+   */
+  getType(name) {
+    const type = this.types.get(name);
+
+    if (!type) {
+      throw new Error(`Content type ${name} not found`);
+    }
+
+    return { ...type, defaults: getTypeDefaults(type) };
+  }
+
+  /**
+   * Get the schema for a page: <pageId>.schema.json, else the page's own `schema` block,
+   * else the one its content type implies
+   */
+  getSchema(pageId, page = this.store.get(pageId)) {
+    const type = page?.type && this.types.get(page.type);
+    return this.schemas.get(pageId) || page?.schema || (type ? typeToSchema(type) : null);
+  }
+
+  /**
+   * Validate both layers of a loaded page and record the result in the diagnostics
+   */
+  checkPage(pageId, source = this.storage.sourceOf(pageId)) {
+    const page = this.store.get(pageId);
+    const schema = this.getSchema(pageId, page);
+
+    // Drop any earlier report for this page, it may have been loaded under another filename
+    for (const [file, entry] of this.diagnostics) {
+      if (entry.pageId === pageId) {
+        this.diagnostics.delete(file);
+      }
+    }
+
+    if (!page) {
+      return;
+    }
+
+    this.checkReferences(pageId, page, source);
+
+    if (page.type && !this.types.has(page.type)) {
+      console.warn(`[ContentStore] ${pageId} has unknown content type ${page.type}`);
+      this.diagnostics.set(`${source} (type)`, { file: source, pageId, type: 'content-type', message: `Content type ${page.type} not found` });
+    }
+
+    if (!schema) {
+      return;
+    }
+
+    const errors = {};
+    for (const stage of STAGES) {
+      // Without a draft layer both stages are the same content, and a page taken down is empty on purpose
+      if ((stage === 'draft' && !page.draft) || (stage === 'published' && page.metadata?.expiredAt)) {
+        continue;
+      }
+
+      const stageErrors = validate(schema, this.resolveReferences(getStageContent(page, stage), { pageId, stage }));
+      if (stageErrors.length > 0) {
+        errors[stage] = new ValidationError(stageErrors).errors;
+      }
+    }
+
+    if (Object.keys(errors).length > 0) {
+      console.warn(`[ContentStore] ${pageId} does not match its schema`);
+      this.diagnostics.set(source, { file: source, pageId, type: 'validation', errors });
+    }
+  }
+
+  /**
+   * Report references to missing pages or fields, and references that loop
+   */
+  checkReferences(pageId, page, source) {
+    const errors = [];
+
+    for (const { field, ref } of findPageRefs(page)) {
+      const target = parseRef(ref, pageId);
+
+      if (!this.store.has(target.pageId)) {
+        errors.push({ field, ref, message: `Page ${target.pageId} does not exist` });
+        continue;
+      }
+
+      try {
+        const values = STAGES.map(stage => this.followReference(ref, { pageId, stage, strict: true }, []));
+
+        if (target.tokens.length > 0 && values.every(value => value === null)) {
+          errors.push({ field, ref, message: `Page ${target.pageId} has no field ${target.tokens.join('.')}` });
+        }
+      } catch (error) {
+        if (!(error instanceof ReferenceCycleError)) {
+          throw error;
+        }
+        errors.push({ field, ref, message: error.message, cycle: error.cycle });
+      }
+    }
+
+    if (errors.length > 0) {
+      console.warn(`[ContentStore] ${pageId} has broken references`);
+      this.diagnostics.set(`${source} (references)`, { file: source, pageId, type: 'reference', errors });
+    }
+  }
+
+  /**
+   * Throw a ValidationError if content does not match the page schema
+   */
+  validateContent(pageId, content, page) {
+    const schema = this.getSchema(pageId, page);
+
+    if (!schema) {
+      return;
     }
+
+    const errors = validate(schema, content);
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+  }
+
+  /**
+   * Report of content and schema files that failed to load or validate
+   */
+  getDiagnostics() {
+    const problems = Array.from(this.diagnostics.values());
+
+    return {
+      generatedAt: new Date().toISOString(),
+      pages: this.store.size,
+      schemas: this.schemas.size,
+      types: this.types.size,
+      valid: problems.length === 0,
+      problems
+    };
   }
 
   /**
-   * Watch content directory for changes
+   * Watch for pages, schemas and content types changed outside NodeLx
    */
   startWatching() {
-    this.watcher = chokidar.watch(`${this.contentDir}/*.json`, {
+    this.storage.watch((change) => this.handleStorageChange(change));
+
+    // Schemas and types always live in the content directory, whatever stores the pages
+    this.watcher = chokidar.watch(this.contentDir, {
       persistent: true,
-      ignoreInitial: true
+      ignoreInitial: true,
+      depth: 1,
+      ignored: (filePath) => !this.isWatchedFile(filePath)
     });
 
     this.watcher
-      .on('add', (filePath) => {
-        const filename = path.basename(filePath);
-        console.log(`[ContentStore] File added: ${filename}`);
-        this.loadContentFile(filename);
-      })
-      .on('change', (filePath) => {
-        const filename = path.basename(filePath);
-        console.log(`[ContentStore] File changed: ${filename}`);
-        this.loadContentFile(filename);
-      })
+      .on('add', (filePath) => this.loadWatchedFile(filePath))
+      .on('change', (filePath) => this.loadWatchedFile(filePath))
       .on('unlink', (filePath) => {
         const filename = path.basename(filePath);
-        const pageId = filename.replace('.json', '');
-        console.log(`[ContentStore] File removed: ${filename}`);
-        this.store.delete(pageId);
-        this.notifySubscribers({ type: 'delete', pageId });
+
+        if (path.dirname(filePath) === this.typesDir) {
+          const name = path.basename(filename, '.json');
+
+          console.log(`[ContentStore] Content type removed: ${filename}`);
+          this.diagnostics.delete(`types/${filename}`);
+          this.types.delete(name);
+          this.checkPagesOfType(name);
+          return;
+        }
+
+        const pageId = filename.slice(0, -SCHEMA_SUFFIX.length);
+
+        console.log(`[ContentStore] Schema removed: ${filename}`);
+        this.diagnostics.delete(filename);
+        this.schemas.delete(pageId);
+
+        if (this.store.has(pageId)) {
+          this.checkPage(pageId);
+        }
       });
   }
 
   /**
-   * Get content by page ID
+   * Is a path one the schema watcher follows: the content and types directories,
+   * <pageId>.schema.json files and types/<name>.json files
    */
-  getContent(pageId) {
-    return this.store.get(pageId);
+  isWatchedFile(filePath) {
+    const dir = path.dirname(filePath);
+
+    return filePath === this.contentDir ||
+      filePath === this.typesDir ||
+      (dir === this.contentDir && filePath.endsWith(SCHEMA_SUFFIX)) ||
+      (dir === this.typesDir && filePath.endsWith('.json'));
   }
 
   /**
-   * Get all content
+   * Load a schema or content type file reported by the watcher
    */
-  getAllContent() {
-    return Object.fromEntries(this.store);
+  loadWatchedFile(filePath) {
+    const filename = path.basename(filePath);
+
+    return path.dirname(filePath) === this.typesDir
+      ? this.loadTypeFile(filename)
+      : this.loadSchemaFile(filename);
   }
 
   /**
-   * Update content for a page
+   * Is a locale the default one, stored in the page's own content/draft
    */
-  async updateContent(pageId, updates) {
-    const existing = this.store.get(pageId);
+  isDefaultLocale(locale) {
+    return !locale || locale === this.locales.default;
+  }
 
-    if (!existing) {
-      throw new Error(`Page ${pageId} not found`);
+  /**
+   * Get the locales to try, in order, when reading a locale
+   * The locale itself, its configured fallbacks, its language (es-MX -> es) and finally the default
+   * e.g. es-MX -> ['es-MX', 'es', 'en']
+   */
+  getLocaleChain(locale) {
+    if (this.isDefaultLocale(locale)) {
+      return [this.locales.default];
     }
 
-    // Merge updates with existing content
-    const updated = {
-      ...existing,
-      content: {
-        ...existing.content,
-        ...updates
-      },
-      metadata: {
-        ...existing.metadata,
-        lastModified: new Date().toISOString()
-      }
-    };
+    if (!LOCALE_PATTERN.test(locale)) {
+      throw new Error(`Invalid locale: ${locale}`);
+    }
 
-    // Update in-memory store
-    this.store.set(pageId, updated);
+    const candidates = [locale, ...(this.locales.fallbacks[locale] || []), locale.split('-')[0]];
+    const chain = candidates.filter((candidate, i) =>
+      candidates.indexOf(candidate) === i && !this.isDefaultLocale(candidate)
+    );
 
-    // Write to file
-    const filename = `${pageId}.json`;
-    const filePath = path.join(this.contentDir, filename);
-    await fs.writeFile(filePath, JSON.stringify(updated, null, 2));
+    return [...chain, this.locales.default];
+  }
 
-    console.log(`[ContentStore] Updated: ${pageId}`);
+  /**
+   * Does a reader of one locale see a change made to another (directly or through its fallbacks)
+   */
+  isLocaleInChain(readerLocale, locale) {
+    if (readerLocale && !LOCALE_PATTERN.test(readerLocale)) {
+      return false;
+    }
+    return this.getLocaleChain(readerLocale).includes(locale);
+  }
 
-    // Notify subscribers
-    this.notifySubscribers({ type: 'update', pageId, data: updated });
+  /**
+   * Throw unless a locale can be written to
+   */
+  assertWritableLocale(locale) {
+    if (!this.isDefaultLocale(locale) && !this.locales.supported.includes(locale)) {
+      throw new Error(`Locale ${locale} is not supported (configure it in nodelx.config.json)`);
+    }
+  }
 
-    return updated;
+  /**
+   * Get the content of a page for a locale, falling back field by field along the locale chain
+   */
+  getLocalizedContent(page, stage, locale) {
+    return this.getLocaleChain(locale)
+      .slice(0, -1)
+      .reverse()
+      .reduce(
+        (content, fallback) => deepMerge(content, getLocaleContent(page, fallback, stage)),
+        getStageContent(page, stage)
+      );
   }
 
   /**
-   * Subscribe to content changes
+   * Fields of the default locale that a locale (or any locale it falls back to first) does not translate
+   * @returns {string[]} Dotted field paths
    */
-  subscribe(callback) {
-    this.subscribers.add(callback);
+  getMissingFields(page, locale, stage = 'published') {
+    const layers = this.getLocaleChain(locale)
+      .slice(0, -1)
+      .map(fallback => getLocaleContent(page, fallback, stage));
 
-    // Return unsubscribe function
-    return () => {
-      this.subscribers.delete(callback);
-    };
+    return listFields(getStageContent(page, stage))
+      .filter(field => layers.every(layer => getPath(layer, field) === undefined))
+      .map(field => field.join('.'));
   }
 
   /**
-   * Notify all subscribers of changes
+   * Report of the fields each locale is missing, per page
    */
-  notifySubscribers(event) {
-    this.subscribers.forEach(callback => {
-      try {
-        callback(event);
-      } catch (error) {
-        console.error('[ContentStore] Error notifying subscriber:', error);
+  getMissingTranslations() {
+    const { supported, fallbacks } = this.locales;
+    const locales = supported.filter(locale => !this.isDefaultLocale(locale));
+    const pages = {};
+    const totals = Object.fromEntries(locales.map(locale => [locale, 0]));
+
+    for (const [pageId, page] of this.store) {
+      for (const locale of locales) {
+        const missing = this.getMissingFields(page, locale);
+
+        if (missing.length > 0) {
+          pages[pageId] = { ...pages[pageId], [locale]: missing };
+          totals[locale] += missing.length;
+        }
       }
-    });
+    }
+
+    return {
+      defaultLocale: this.locales.default,
+      supported,
+      fallbacks,
+      chains: Object.fromEntries(supported.map(locale => [locale, this.getLocaleChain(locale)])),
+      totals,
+      pages
+    };
+  }
+
+  /**
+   * Get the draft layer written to for a locale
+   */
+  getDraftLayer(page, locale) {
+    return this.isDefaultLocale(locale)
+      ? getStageContent(page, 'draft')
+      : getLocaleContent(page, locale, 'draft');
+  }
+
+  /**
+   * Copy of a page with a new draft layer for a locale
+   */
+  withDraftLayer(page, locale, draft) {
+    if (this.isDefaultLocale(locale)) {
+      return { ...page, draft };
+    }
+
+    return {
+      ...page,
+      locales: {
+        ...page.locales,
+        [locale]: {
+          content: page.locales?.[locale]?.content || {},
+          draft
+        }
+      }
+    };
+  }
+
+  /**
+   * Get content by page ID
+   * Without a stage or locale the raw page (published `content`, `draft` and `locales` layers) is returned.
+   * Views of a stage or locale have their references ({ "$ref": "globals#/phoneNumber" }) resolved
+   * @param {string} pageId - Page to get
+   * @param {Object} options - {
+   *   stage: 'draft' | 'published', locale: 'es-MX', resolve: false to keep references,
+   *   at: ISO date - how the page will look then, with the scheduled actions due by then applied,
+   *   format: 'json' | 'html' | 'markdown' - how rich-text fields are returned (see richText.js)
+   * }
+   */
+  getContent(pageId, options = {}) {
+    const stored = this.store.get(pageId);
+    const page = stored && options.at ? this.previewSchedule(stored, options.at) : stored;
+
+    if (!page || (!options.stage && !options.locale && !options.at && !options.format)) {
+      return page;
+    }
+
+    const stage = options.stage || 'published';
+
+    if (!STAGES.includes(stage)) {
+      throw new Error(`Unknown stage: ${stage}`);
+    }
+
+    const { draft, locales, ...rest } = page;
+    const view = {
+      pageId,
+      ...rest,
+      content: getStageContent(page, stage),
+      stage,
+      locale: options.locale || this.locales.default,
+      hasUnpublishedChanges: hasDrafts(page)
+    };
+
+    if (options.at) {
+      view.previewAt = new Date(parseTime(options.at, 'at')).toISOString();
+    }
+
+    if (!this.isDefaultLocale(options.locale)) {
+      view.content = this.getLocalizedContent(page, stage, options.locale);
+      view.localeChain = this.getLocaleChain(options.locale);
+      view.missingFields = this.getMissingFields(page, options.locale, stage);
+    }
+
+    // Fields the page leaves out read as its content type's defaults
+    if (page.type && this.types.has(page.type)) {
+      view.content = applyTypeDefaults(view.content, this.types.get(page.type));
+    }
+
+    if (options.resolve !== false) {
+      view.content = this.resolveReferences(view.content, { pageId, stage, locale: options.locale });
+    }
+
+    if (options.format) {
+      view.content = renderRichText(view.content, options.format);
+    }
+
+    return view;
+  }
+
+  /**
+   * Get the ETag of a page's current state (both layers), or null if it does not exist
+   */
+  getETag(pageId) {
+    const page = this.store.get(pageId);
+    return page ? computeETag(page) : null;
+  }
+
+  /**
+   * Get all content
+   * @param {Object} options - { stage: 'draft' | 'published', locale, resolve, at, format } (see getContent)
+   */
+  getAllContent(options = {}) {
+    if (!options.stage && !options.locale && !options.at && !options.format) {
+      return Object.fromEntries(this.store);
+    }
+
+    const all = {};
+    for (const pageId of this.store.keys()) {
+      all[pageId] = this.getContent(pageId, options);
+    }
+    return all;
+  }
+
+  /**
+   * List pages matching field values, sorted and paged
+   * Paths are resolved on what is returned - the raw page, or the stage/locale view when one is asked for
+   * @param {Object} query - {
+   *   where: { 'metadata.author': 'system' } (all must match),
+   *   sort: '-metadata.lastModified,pageId' (- for descending),
+   *   limit, offset, stage, locale, resolve, at, format
+   * }
+   * @returns {{total: number, pages: Array<Object>}}
+   */
+  queryContent(query = {}) {
+    const { where = {}, sort, stage, locale, resolve, at, format } = query;
+    const limit = query.limit === undefined ? Infinity : Number(query.limit);
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+
+    if (limit !== Infinity && (!Number.isInteger(limit) || limit < 0)) {
+      throw new Error(`Invalid limit: ${query.limit}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error(`Invalid offset: ${query.offset}`);
+    }
+
+    const pages = [...this.store.keys()]
+      .map(pageId => this.getContent(pageId, { stage, locale, resolve, at, format }))
+      .filter(page => Object.entries(where).every(([field, expected]) => matchesValue(getPath(page, field), expected)));
+
+    if (sort) {
+      const keys = sort.split(',').filter(Boolean).map(key => key.startsWith('-')
+        ? { field: key.slice(1), direction: -1 }
+        : { field: key, direction: 1 });
+
+      pages.sort((a, b) => {
+        for (const { field, direction } of keys) {
+          const order = compareValues(getPath(a, field), getPath(b, field), direction);
+          if (order !== 0) {
+            return order;
+          }
+        }
+        return 0;
+      });
+    }
+
+    return {
+      total: pages.length,
+      pages: pages.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * Replace the references in content with the content they point at
+   * A reference to a missing page or field resolves to null
+   * @param {*} value - Content to resolve
+   * @param {Object} context - {
+   *   pageId: page the content belongs to, stage, locale,
+   *   pending: { pageId: page } unsaved pages to use instead of the stored ones,
+   *   strict: throw a ReferenceCycleError on a cycle instead of resolving it to null
+   * }
+   * @param {string[]} trail - References being followed, to detect cycles
+   */
+  resolveReferences(value, context, trail = []) {
+    if (isRef(value)) {
+      return this.followReference(value.$ref, context, trail);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.resolveReferences(item, context, trail));
+    }
+
+    if (isPlainObject(value)) {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, child]) => [key, this.resolveReferences(child, context, trail)])
+      );
+    }
+
+    return value;
+  }
+
+  /**
+   * Resolve one reference (in the same stage and locale as the content holding it)
+   */
+  followReference(ref, context, trail) {
+    const { pageId, tokens, key } = parseRef(ref, context.pageId);
+
+    if (trail.includes(key)) {
+      if (context.strict) {
+        throw new ReferenceCycleError([...trail, key]);
+      }
+      return null;
+    }
+
+    const page = context.pending?.[pageId] || this.store.get(pageId);
+
+    if (!page) {
+      return null;
+    }
+
+    const target = { ...context, pageId };
+    const followed = [...trail, key];
+    let current = this.getLocalizedContent(page, context.stage || 'published', context.locale);
+
+    // The path may run through other references ("globals#/footer/phone" with footer itself a reference)
+    for (const token of tokens) {
+      if (isRef(current)) {
+        current = this.followReference(current.$ref, target, followed);
+      }
+      current = getPath(current, [token]);
+    }
+
+    return current === undefined ? null : this.resolveReferences(current, target, followed);
+  }
+
+  /**
+   * References naming a page by its ID - in any page, including its own "<pageId>#/path" ones
+   * @returns {Array<{pageId: string, field: string, ref: string}>}
+   */
+  findReferencesTo(targetId) {
+    const references = [];
+
+    for (const [pageId, page] of this.store) {
+      for (const { field, ref } of findPageRefs(page)) {
+        if (parseRef(ref, null).pageId === targetId) {
+          references.push({ pageId, field, ref });
+        }
+      }
+    }
+
+    return references;
+  }
+
+  /**
+   * Pages whose content depends on the given pages through references (directly or through other pages)
+   * @param {string[]} pageIds - Changed pages
+   * @returns {string[]}
+   */
+  getDependentPages(pageIds) {
+    const referencedBy = new Map(); // pageId -> pages referencing it
+
+    for (const [pageId, page] of this.store) {
+      for (const { ref } of findPageRefs(page)) {
+        const target = parseRef(ref, pageId).pageId;
+
+        if (target !== pageId) {
+          if (!referencedBy.has(target)) {
+            referencedBy.set(target, new Set());
+          }
+          referencedBy.get(target).add(pageId);
+        }
+      }
+    }
+
+    const dependents = new Set();
+    const queue = [...pageIds];
+
+    while (queue.length > 0) {
+      for (const pageId of referencedBy.get(queue.shift()) || []) {
+        if (!dependents.has(pageId) && !pageIds.includes(pageId)) {
+          dependents.add(pageId);
+          queue.push(pageId);
+        }
+      }
+    }
+
+    return [...dependents];
+  }
+
+  /**
+   * Where a page (or one of its fields) is used by references, and what the page itself references
+   * @param {string} pageId - Referenced page
+   * @param {string} path - Only references to this field, a field inside it or a field containing it
+   * @returns {{pageId, path, references: Array<{field, ref}>, usedBy: Array<{pageId, field, ref}>}}
+   */
+  getReferences(pageId, path) {
+    const page = this.store.get(pageId);
+
+    if (!page) {
+      throw new Error(`Page ${pageId} not found`);
+    }
+
+    const tokens = path ? parsePath(path) : null;
+    const overlaps = (other) => tokens.slice(0, other.length).every((token, i) => token === other[i]);
+    const usedBy = [];
+
+    for (const [id, other] of this.store) {
+      for (const { field, ref } of findPageRefs(other)) {
+        const target = parseRef(ref, id);
+
+        if (target.pageId === pageId && (!tokens || overlaps(target.tokens))) {
+          usedBy.push({ pageId: id, field, ref });
+        }
+      }
+    }
+
+    return { pageId, path: path || null, references: findPageRefs(page), usedBy };
+  }
+
+  /**
+   * Update the draft content of a page
+   * Changes stay in the draft layer until the page is published.
+   * Nested objects are deep-merged; keys may be dotted paths or JSON Pointers ("stats.years.label")
+   * @param {string} pageId - Page to update
+   * @param {Object} updates - Fields to merge into the draft content
+   * With a locale only that locale's translations change; other fields keep falling back
+   * @param {Object} options - { author, ifMatch, locale } - ifMatch rejects the write if the page changed
+   */
+  async updateContent(pageId, updates, options = {}) {
+    return this.pageQueue.run(pageId, async () => {
+      const existing = this.store.get(pageId);
+
+      if (!existing) {
+        throw new Error(`Page ${pageId} not found`);
+      }
+
+      this.assertWritableLocale(options.locale);
+
+      const currentDraft = this.getDraftLayer(existing, options.locale);
+      const newDraft = deepMerge(currentDraft, updates);
+
+      // Merge updates with existing draft
+      const updated = {
+        ...this.withDraftLayer(existing, options.locale, newDraft),
+        metadata: {
+          ...existing.metadata,
+          lastModified: new Date().toISOString()
+        }
+      };
+
+      await this.writePage(pageId, existing, updated, {
+        author: options.author,
+        ifMatch: options.ifMatch,
+        stage: 'draft',
+        locale: options.locale,
+        changes: RevisionStore.diffContent(currentDraft, newDraft)
+      });
+
+      console.log(`[ContentStore] Updated draft: ${pageId}${options.locale ? ` (${options.locale})` : ''}`);
+
+      return updated;
+    });
+  }
+
+  /**
+   * Apply RFC 6902 JSON Patch operations to the draft content of a page
+   * Paths are relative to the content object, e.g. { op: 'move', from: '/features/2', path: '/features/0' }
+   * With a locale the patch applies to the localized content (what the editor sees)
+   * and only the fields it changes are stored as translations
+   * @param {string} pageId - Page to patch
+   * @param {Array<Object>} operations - JSON Patch operations
+   * @param {Object} options - { author, ifMatch, locale }
+   */
+  async patchContent(pageId, operations, options = {}) {
+    return this.pageQueue.run(pageId, async () => {
+      const existing = this.store.get(pageId);
+
+      if (!existing) {
+        throw new Error(`Page ${pageId} not found`);
+      }
+
+      this.assertWritableLocale(options.locale);
+
+      const currentDraft = this.getDraftLayer(existing, options.locale);
+      let newDraft;
+
+      if (this.isDefaultLocale(options.locale)) {
+        newDraft = applyPatch(currentDraft, operations);
+      } else {
+        const localized = this.getLocalizedContent(existing, 'draft', options.locale);
+        newDraft = overlayChanges(currentDraft, localized, applyPatch(localized, operations));
+      }
+
+      const updated = {
+        ...this.withDraftLayer(existing, options.locale, newDraft),
+        metadata: {
+          ...existing.metadata,
+          lastModified: new Date().toISOString()
+        }
+      };
+
+      await this.writePage(pageId, existing, updated, {
+        author: options.author,
+        ifMatch: options.ifMatch,
+        stage: 'draft',
+        locale: options.locale,
+        changes: RevisionStore.diffContent(currentDraft, newDraft)
+      });
+
+      console.log(`[ContentStore] Patched draft: ${pageId} (${operations.length} operations)`);
+
+      return updated;
+    });
+  }
+
+  /**
+   * Publish the draft of a page (in every locale), making it the live content
+   * @param {string} pageId - Page to publish
+   * @param {Object} options - { author, ifMatch }
+   */
+  async publish(pageId, options = {}) {
+    return this.pageQueue.run(pageId, async () => {
+      const existing = this.store.get(pageId);
+
+      if (!existing) {
+        throw new Error(`Page ${pageId} not found`);
+      }
+
+      // Nothing to publish - the live content is already current
+      if (!hasDrafts(existing)) {
+        return existing;
+      }
+
+      const now = new Date().toISOString();
+      let published = {
+        ...publishDrafts(existing),
+        metadata: {
+          ...existing.metadata,
+          lastModified: now,
+          publishedAt: now
+        }
+      };
+      delete published.metadata.expiredAt;
+
+      // Fields scheduled to go live later keep their live value (and their draft) until then
+      const held = listScheduledActions(existing).filter(({ action, field }) => field && action === 'publish');
+      if (held.length > 0) {
+        published = this.holdBackFields(existing, published, held.map(({ field }) => parsePath(field)));
+      }
+
+      await this.writePage(pageId, existing, published, {
+        author: options.author,
+        ifMatch: options.ifMatch,
+        reason: 'publish',
+        stage: 'published'
+      });
+
+      console.log(`[ContentStore] Published: ${pageId}`);
+
+      return published;
+    });
+  }
+
+  /**
+   * Undo the publishing of some fields: their live value comes from before, their draft is kept
+   * @param {Object} before - Page before publishing
+   * @param {Object} published - Page after publishing (changed in place)
+   * @param {Array<string[]>} fields - Paths of the fields to hold back
+   */
+  holdBackFields(before, published, fields) {
+    published.draft = JSON.parse(JSON.stringify(getStageContent(before, 'draft')));
+
+    for (const [locale, layer] of Object.entries(published.locales || {})) {
+      layer.draft = JSON.parse(JSON.stringify(getLocaleContent(before, locale, 'draft')));
+    }
+
+    for (const tokens of fields) {
+      copyField(before.content, published.content, tokens);
+
+      for (const [locale, layer] of Object.entries(published.locales || {})) {
+        copyField(before.locales?.[locale]?.content || {}, layer.content, tokens);
+      }
+    }
+
+    return dropSettledDrafts(published);
+  }
+
+  /**
+   * Apply scheduled actions to a copy of a page
+   * - publish: the draft goes live (for a field: only that field, in every locale)
+   * - expire: the live content is taken down (for a field: the field is removed everywhere).
+   *   An expired page keeps what was live as its draft, so it can be published again
+   * @param {Object} page - Page to start from
+   * @param {Array<Object>} actions - { action, field?, at }, earliest first (see schedule.js)
+   * @returns {Object} The changed copy
+   */
+  applyScheduledActions(page, actions) {
+    let result = JSON.parse(JSON.stringify(page));
+
+    for (const item of actions) {
+      const { action, field, at } = item;
+      const tokens = field ? parsePath(field) : null;
+
+      if (!field && action === 'publish') {
+        result = publishDrafts(result);
+        result.metadata = { ...result.metadata, publishedAt: at };
+        delete result.metadata.expiredAt;
+      } else if (!field) {
+        // The page and each locale layer hold { content, draft }
+        for (const layer of [result, ...Object.values(result.locales || {})]) {
+          layer.draft = layer.draft || layer.content || {};
+          layer.content = {};
+        }
+
+        result.metadata = { ...result.metadata, expiredAt: at };
+      } else if (action === 'publish') {
+        for (const layer of [result, ...Object.values(result.locales || {})]) {
+          if (layer.draft) {
+            layer.content = layer.content || {};
+            copyField(layer.draft, layer.content, tokens);
+          }
+        }
+      } else {
+        for (const layer of [result, ...Object.values(result.locales || {})]) {
+          [layer.content, layer.draft].filter(Boolean).forEach(content => unsetPath(content, tokens));
+        }
+      }
+
+      result.schedule = withoutAction(result.schedule, item);
+      if (!result.schedule) {
+        delete result.schedule;
+      }
+    }
+
+    return dropSettledDrafts(result);
+  }
+
+  /**
+   * How a page will look at a time: its stored state with the scheduled actions due by then applied
+   * @param {Object} page - Stored page
+   * @param {string} at - ISO date
+   */
+  previewSchedule(page, at) {
+    return this.applyScheduledActions(page, getDueActions(page, parseTime(at, 'at')));
+  }
+
+  /**
+   * Set (or with null, clear) the schedule of a page
+   * @param {string} pageId - Page to schedule
+   * @param {Object|null} schedule - { publishAt, expireAt, fields: { <path>: { publishAt, expireAt } } }
+   * @param {Object} options - { author, ifMatch }
+   */
+  async setSchedule(pageId, schedule, options = {}) {
+    return this.pageQueue.run(pageId, async () => {
+      const existing = this.store.get(pageId);
+
+      if (!existing) {
+        throw new Error(`Page ${pageId} not found`);
+      }
+
+      const normalized = normalizeSchedule(schedule);
+      const { schedule: previous, ...rest } = existing;
+      const updated = {
+        ...rest,
+        ...(normalized ? { schedule: normalized } : {}),
+        metadata: {
+          ...existing.metadata,
+          lastModified: new Date().toISOString()
+        }
+      };
+
+      await this.writePage(pageId, existing, updated, {
+        author: options.author,
+        ifMatch: options.ifMatch,
+        reason: 'schedule',
+        stage: 'draft',
+        changes: []
+      });
+
+      console.log(`[ContentStore] Scheduled: ${pageId} (${listScheduledActions(updated).length} actions)`);
+
+      return updated;
+    });
+  }
+
+  /**
+   * Apply the scheduled actions of a page that are due
+   * @param {string} pageId - Page to update
+   * @param {number} time - Milliseconds since the epoch (now by default)
+   * @returns {Promise<Array<Object>>} The actions applied
+   */
+  async runSchedule(pageId, time = Date.now()) {
+    return this.pageQueue.run(pageId, async () => {
+      const existing = this.store.get(pageId);
+      const due = existing ? getDueActions(existing, time) : [];
+
+      if (due.length === 0) {
+        return [];
+      }
+
+      const updated = this.applyScheduledActions(existing, due);
+      updated.metadata = { ...updated.metadata, lastModified: new Date(time).toISOString() };
+
+      await this.writePage(pageId, existing, updated, {
+        author: 'scheduler',
+        reason: 'schedule',
+        stage: 'published',
+        // A page taken down is empty on purpose - its schema can't require anything of it
+        validate: !due.some(({ action, field }) => action === 'expire' && !field),
+        changes: RevisionStore.diffContent(existing.content, updated.content)
+      });
+
+      console.log(`[ContentStore] Ran schedule: ${pageId} (${due.map(({ action, field }) => field ? `${action} ${field}` : action).join(', ')})`);
+
+      return due;
+    });
+  }
+
+  /**
+   * Persist a new version of a page and keep a revision of it
+   */
+  async writePage(pageId, existing, updated, info = {}) {
+    const {
+      stage = 'draft', locale: writtenLocale, event = 'update', ifMatch, source, validate = true, renamedFrom, ...revisionInfo
+    } = info;
+    // A renamed page is `existing` under its old ID until the write goes through
+    const currentId = renamedFrom || pageId;
+    const locale = this.isDefaultLocale(writtenLocale) ? undefined : writtenLocale;
+
+    // Only the layer being written has to match the schema - translations are checked with their fallbacks,
+    // references with what they point at. Resolving also rejects references that loop
+    const resolved = this.resolveReferences(
+      locale ? this.getLocalizedContent(updated, stage, locale) : getStageContent(updated, stage),
+      { pageId, stage, locale, pending: { [pageId]: updated }, strict: true }
+    );
+    if (validate) {
+      this.validateContent(currentId, resolved, updated);
+    }
+
+    // Keep the pre-write copy as a baseline the first time a page is revised
+    if (existing && await this.revisions.getLatestRevision(currentId) === 0) {
+      await this.revisions.record(currentId, existing, {
+        author: existing.metadata?.author,
+        reason: 'baseline'
+      });
+    }
+
+    // Reject stale writes - checked right before the store changes so no other write slips in
+    if (ifMatch && !etagMatches(ifMatch, this.getETag(currentId))) {
+      throw new PreconditionFailedError(
+        `Page ${currentId} was modified by someone else`,
+        this.getETag(currentId),
+        this.getContent(currentId, { stage: 'draft', resolve: false })
+      );
+    }
+
+    // Persist, then update the in-memory store - a failed write leaves both as they were
+    await this.storage.put(pageId, updated, { source });
+
+    if (renamedFrom) {
+      await this.moveRenamedPage(renamedFrom, pageId);
+    }
+
+    this.store.set(pageId, updated);
+    this.checkPage(pageId);
+
+    const changes = revisionInfo.changes || RevisionStore.diffContent(existing?.content, updated.content);
+    await this.revisions.record(pageId, updated, { ...revisionInfo, locale, changes });
+
+    // Notify subscribers - a change to one locale only concerns readers of that locale.
+    // A rename moves every layer, so it has no stage or locale
+    this.notifySubscribers({
+      type: event,
+      pageId,
+      ...(renamedFrom ? { oldPageId: renamedFrom } : { stage, locale }),
+      data: updated,
+      author: revisionInfo.author || 'anonymous',
+      reason: revisionInfo.reason || 'update',
+      changes
+    });
+  }
+
+  /**
+   * Throw unless a page ID is safe to use as a filename
+   */
+  assertValidPageId(pageId) {
+    if (typeof pageId !== 'string' || !PAGE_ID_PATTERN.test(pageId)) {
+      throw new Error(`Invalid page ID: ${pageId} (use letters, numbers, - and _)`);
+    }
+
+    // Compared case-insensitively - Theme.json is theme.json on macOS and Windows
+    if (RESERVED_PAGE_IDS.includes(pageId.toLowerCase())) {
+      throw new Error(`Page ID ${pageId} is reserved`);
+    }
+  }
+
+  /**
+   * Throw unless a page ID is safe to use as a filename and not taken
+   */
+  assertNewPageId(pageId) {
+    this.assertValidPageId(pageId);
+
+    if (this.store.has(pageId)) {
+      throw new Error(`Page ${pageId} already exists`);
+    }
+  }
+
+  /**
+   * Load a blueprint from content/blueprints/<name>.json
+   * A blueprint is a page skeleton: { content, metadata }
+   */
+  async loadBlueprint(name) {
+    if (!PAGE_ID_PATTERN.test(name)) {
+      throw new Error(`Invalid blueprint name: ${name}`);
+    }
+
+    try {
+      const filePath = path.join(this.blueprintsDir, `${name}.json`);
+      return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Blueprint ${name} not found`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List the blueprints in content/blueprints
+   * @returns {Promise<Array<Object>>} [{ name, content, metadata, ... }] - unreadable ones are skipped
+   */
+  async listBlueprints() {
+    const files = await fs.readdir(this.blueprintsDir).catch(() => []);
+    const blueprints = [];
+
+    for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+      const name = path.basename(file, '.json');
+      try {
+        blueprints.push({ ...(await this.loadBlueprint(name)), name });
+      } catch (error) {
+        console.error(`[ContentStore] Error loading blueprint ${file}:`, error.message);
+      }
+    }
+
+    return blueprints;
+  }
+
+  /**
+   * Create a new page, optionally of a content type and/or starting from a blueprint
+   * Content comes from the type's defaults, then the blueprint, then the request
+   * @param {string} pageId - ID (and filename) of the new page
+   * @param {Object} page - { content, metadata, type, blueprint }
+   * @param {Object} options - { author } recorded with the revision
+   */
+  async createPage(pageId, page = {}, options = {}) {
+    return this.pageQueue.run(pageId, async () => {
+      this.assertNewPageId(pageId);
+
+      const blueprint = page.blueprint ? await this.loadBlueprint(page.blueprint) : {};
+      const typeName = page.type || blueprint.type;
+      const type = typeName ? this.getType(typeName) : null;
+      const now = new Date().toISOString();
+
+      const created = {
+        pageId,
+        ...(type ? { type: type.name } : {}),
+        content: {
+          ...type?.defaults,
+          ...blueprint.content,
+          ...page.content
+        },
+        metadata: {
+          ...blueprint.metadata,
+          ...page.metadata,
+          created: now,
+          lastModified: now,
+          author: options.author || 'anonymous'
+        }
+      };
+
+      if (page.blueprint) {
+        created.metadata.blueprint = page.blueprint;
+      }
+
+      await this.writePage(pageId, null, created, {
+        author: options.author,
+        reason: 'create',
+        stage: 'published',
+        event: 'create'
+      });
+
+      console.log(`[ContentStore] Created: ${pageId}`);
+
+      return created;
+    });
+  }
+
+  /**
+   * Store a whole page as exported from another NodeLx (see contentTransfer.js)
+   * Every layer is replaced and the page keeps its metadata, so lastModified stays comparable between sites
+   * @param {Object} page - Page document: { pageId, content, draft?, locales?, metadata, ... }
+   * @param {Object} options - { author, ifMatch, create: true to fail if the page exists }
+   */
+  async importPage(page, options = {}) {
+    if (!isPlainObject(page) || !isPlainObject(page.content)) {
+      throw new Error('An imported page needs a pageId and a content object');
+    }
+
+    const { pageId } = page;
+    this.assertValidPageId(pageId);
+
+    return this.pageQueue.run(pageId, async () => {
+      const existing = this.store.get(pageId);
+
+      if (options.create) {
+        this.assertNewPageId(pageId);
+      } else if (!existing) {
+        throw new Error(`Page ${pageId} not found`);
+      }
+
+      const now = new Date().toISOString();
+      const imported = {
+        ...page,
+        metadata: {
+          created: now,
+          lastModified: now,
+          ...page.metadata
+        }
+      };
+
+      await this.writePage(pageId, existing || null, imported, {
+        author: options.author,
+        ifMatch: options.ifMatch,
+        reason: 'import',
+        stage: 'published',
+        event: existing ? 'update' : 'create'
+      });
+
+      console.log(`[ContentStore] Imported: ${pageId}`);
+
+      return imported;
+    });
+  }
+
+  /**
+   * Copy a page (both its published content and draft) to a new page ID
+   */
+  async duplicatePage(pageId, newPageId, options = {}) {
+    return this.pageQueue.run(newPageId, async () => {
+      const existing = this.store.get(pageId);
+
+      if (!existing) {
+        throw new Error(`Page ${pageId} not found`);
+      }
+
+      this.assertNewPageId(newPageId);
+
+      const now = new Date().toISOString();
+      const copy = {
+        ...JSON.parse(JSON.stringify(existing)),
+        pageId: newPageId,
+        metadata: {
+          ...existing.metadata,
+          created: now,
+          lastModified: now,
+          duplicatedFrom: pageId
+        }
+      };
+      delete copy.metadata.publishedAt;
+
+      await this.writePage(newPageId, null, copy, {
+        author: options.author,
+        reason: 'duplicate',
+        stage: 'published',
+        event: 'create'
+      });
+
+      console.log(`[ContentStore] Duplicated: ${pageId} -> ${newPageId}`);
+
+      return copy;
+    });
+  }
+
+  /**
+   * Give a page a new ID, moving its file, schema and revision history
+   * Refused while references name the page (PageReferencedError lists them)
+   */
+  async renamePage(pageId, newPageId, options = {}) {
+    return this.pageQueue.run(pageId, async () => {
+      const existing = this.store.get(pageId);
+
+      if (!existing) {
+        throw new Error(`Page ${pageId} not found`);
+      }
+
+      this.assertNewPageId(newPageId);
+
+      // References to the old ID would dangle - they have to be changed first
+      const usedBy = this.findReferencesTo(pageId);
+      if (usedBy.length > 0) {
+        const pages = [...new Set(usedBy.map(ref => ref.pageId))];
+        throw new PageReferencedError(`Page ${pageId} is referenced by ${pages.join(', ')}`, usedBy);
+      }
+
+      const renamed = {
+        ...existing,
+        pageId: newPageId,
+        metadata: {
+          ...existing.metadata,
+          lastModified: new Date().toISOString()
+        }
+      };
+
+      await this.writePage(newPageId, existing, renamed, {
+        author: options.author,
+        reason: 'rename',
+        stage: 'published',
+        event: 'rename',
+        renamedFrom: pageId,
+        ifMatch: options.ifMatch
+      });
+
+      console.log(`[ContentStore] Renamed: ${pageId} -> ${newPageId}`);
+
+      return renamed;
+    });
+  }
+
+  /**
+   * Move what is kept under a renamed page's old ID - its stored copy, schema and revision history
+   * Called by writePage once the page is stored under the new ID
+   */
+  async moveRenamedPage(pageId, newPageId) {
+    await this.storage.delete(pageId);
+    this.store.delete(pageId);
+
+    if (this.schemas.has(pageId)) {
+      await fs.rename(
+        path.join(this.contentDir, `${pageId}${SCHEMA_SUFFIX}`),
+        path.join(this.contentDir, `${newPageId}${SCHEMA_SUFFIX}`)
+      );
+      this.schemas.set(newPageId, this.schemas.get(pageId));
+      this.schemas.delete(pageId);
+    }
+
+    await this.revisions.rename(pageId, newPageId);
+    this.checkPage(pageId);
+  }
+
+  /**
+   * Move a page to the trash (content/.trash) - it can be restored later
+   */
+  async deletePage(pageId, options = {}) {
+    return this.pageQueue.run(pageId, async () => {
+      const existing = this.store.get(pageId);
+
+      if (!existing) {
+        throw new Error(`Page ${pageId} not found`);
+      }
+
+      const entry = {
+        trashId: `${pageId}-${Date.now()}`,
+        pageId,
+        file: this.storage.sourceOf(pageId),
+        deletedAt: new Date().toISOString(),
+        deletedBy: options.author || 'anonymous',
+        data: existing
+      };
+
+      await fs.mkdir(this.trashDir, { recursive: true });
+      await writeFileAtomic(
+        path.join(this.trashDir, `${entry.trashId}.json`),
+        JSON.stringify(entry, null, 2)
+      );
+      await this.storage.delete(pageId);
+
+      this.store.delete(pageId);
+      this.checkPage(pageId);
+
+      console.log(`[ContentStore] Deleted: ${pageId} (trash: ${entry.trashId})`);
+
+      this.notifySubscribers({
+        type: 'delete',
+        pageId,
+        trashId: entry.trashId,
+        author: entry.deletedBy,
+        reason: 'delete',
+        changes: RevisionStore.diffContent(existing.content, {})
+      });
+
+      const { data, ...summary } = entry;
+      return summary;
+    });
+  }
+
+  /**
+   * List trashed pages, newest first
+   */
+  async listTrash() {
+    let files = [];
+
+    try {
+      files = await fs.readdir(this.trashDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const entries = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const { data, ...summary } = JSON.parse(
+        await fs.readFile(path.join(this.trashDir, file), 'utf-8')
+      );
+      entries.push(summary);
+    }
+
+    return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  /**
+   * Bring a trashed page back under its original ID
+   */
+  async restoreFromTrash(trashId, options = {}) {
+    const trashFile = path.join(this.trashDir, `${path.basename(trashId)}.json`);
+    let entry;
+
+    try {
+      entry = JSON.parse(await fs.readFile(trashFile, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Trash entry ${trashId} not found`);
+      }
+      throw error;
+    }
+
+    await this.pageQueue.run(entry.pageId, async () => {
+      this.assertNewPageId(entry.pageId);
+
+      await this.writePage(entry.pageId, null, entry.data, {
+        author: options.author,
+        source: entry.file,
+        reason: 'untrash',
+        stage: 'published',
+        event: 'create',
+        changes: []
+      });
+    });
+    await fs.unlink(trashFile);
+
+    console.log(`[ContentStore] Restored from trash: ${entry.pageId}`);
+
+    return entry.data;
+  }
+
+  /**
+   * List the revisions of a page, newest first
+   */
+  async getRevisions(pageId) {
+    if (!this.store.has(pageId)) {
+      throw new Error(`Page ${pageId} not found`);
+    }
+
+    return this.revisions.list(pageId);
+  }
+
+  /**
+   * Get a single revision of a page
+   */
+  async getRevision(pageId, rev) {
+    if (!this.store.has(pageId)) {
+      throw new Error(`Page ${pageId} not found`);
+    }
+
+    const revision = await this.revisions.get(pageId, rev);
+
+    if (!revision) {
+      throw new Error(`Revision ${rev} of ${pageId} not found`);
+    }
+
+    return revision;
+  }
+
+  /**
+   * Restore a page to the state stored in one of its revisions
+   * The revision's content becomes the draft, so it goes live on the next publish.
+   * The restore is itself recorded as a new revision
+   */
+  async restoreRevision(pageId, rev, options = {}) {
+    return this.pageQueue.run(pageId, async () => {
+      const revision = await this.getRevision(pageId, rev);
+      const existing = this.store.get(pageId);
+      const currentDraft = getStageContent(existing, 'draft');
+
+      const restored = {
+        ...existing,
+        draft: getStageContent(revision.data, 'draft'),
+        metadata: {
+          ...existing.metadata,
+          lastModified: new Date().toISOString()
+        }
+      };
+
+      // Translations are restored too - locales added since the revision get an empty draft
+      const locales = new Set([
+        ...Object.keys(existing.locales || {}),
+        ...Object.keys(revision.data.locales || {})
+      ]);
+
+      if (locales.size > 0) {
+        restored.locales = Object.fromEntries([...locales].map(locale => [
+          locale,
+          {
+            content: existing.locales?.[locale]?.content || {},
+            draft: getLocaleContent(revision.data, locale, 'draft')
+          }
+        ]));
+      }
+
+      await this.writePage(pageId, existing, restored, {
+        author: options.author,
+        ifMatch: options.ifMatch,
+        reason: 'restore',
+        stage: 'draft',
+        restoredFrom: revision.rev,
+        changes: RevisionStore.diffContent(currentDraft, restored.draft)
+      });
+
+      console.log(`[ContentStore] Restored: ${pageId} to revision ${revision.rev}`);
+
+      return restored;
+    });
+  }
+
+  /**
+   * Get the content of one version of a page, for diffs and merges
+   * @param {string} pageId - Page the version belongs to
+   * @param {Object} version - One of:
+   *   { content } - content sent by the client (e.g. an editor's unsaved copy)
+   *   { rev, stage, locale } - a stored revision
+   *   { stage, locale } - the page as it is now (stage defaults to draft)
+   * References are compared as stored, not resolved
+   */
+  async getVersionContent(pageId, version = {}) {
+    if (!this.store.has(pageId)) {
+      throw new Error(`Page ${pageId} not found`);
+    }
+
+    if (!isPlainObject(version)) {
+      throw new Error('A version is { content }, { rev, stage } or { stage }');
+    }
+
+    if (version.content !== undefined) {
+      if (!isPlainObject(version.content)) {
+        throw new Error('Version content must be an object');
+      }
+      return version.content;
+    }
+
+    const { rev, stage = 'draft', locale } = version;
+
+    if (!STAGES.includes(stage)) {
+      throw new Error(`Unknown stage: ${stage}`);
+    }
+
+    if (rev !== undefined) {
+      const { data } = await this.getRevision(pageId, rev);
+      return this.isDefaultLocale(locale) ? getStageContent(data, stage) : this.getLocalizedContent(data, stage, locale);
+    }
+
+    return this.getContent(pageId, { stage, locale, resolve: false }).content;
+  }
+
+  /**
+   * Compare two versions of a page field by field
+   * @param {Object} from - Version to compare from (see getVersionContent), the published content by default
+   * @param {Object} to - Version to compare to, the draft by default
+   */
+  async diffVersions(pageId, from = { stage: 'published' }, to = { stage: 'draft' }) {
+    const changes = diffFields(
+      await this.getVersionContent(pageId, from),
+      await this.getVersionContent(pageId, to)
+    );
+
+    const summary = { added: 0, removed: 0, changed: 0 };
+    for (const { type } of changes) {
+      summary[type]++;
+    }
+
+    return { pageId, changes, summary };
+  }
+
+  /**
+   * Three-way merge of two edits of a page
+   * @param {Object} versions - { base, ours, theirs } (see getVersionContent) - theirs defaults to the current draft
+   * @returns {Promise<{pageId, content, conflicts}>} conflicts list the fields both edits changed differently;
+   * they hold our value in `content` until settled
+   */
+  async mergeVersions(pageId, versions = {}) {
+    const { base, ours, theirs = { stage: 'draft' } } = versions;
+
+    if (!base || !ours) {
+      throw new Error('base and ours are required');
+    }
+
+    const merged = mergeContent(
+      await this.getVersionContent(pageId, base),
+      await this.getVersionContent(pageId, ours),
+      await this.getVersionContent(pageId, theirs)
+    );
+
+    return { pageId, ...merged };
+  }
+
+  /**
+   * Subscribe to content changes
+   */
+  subscribe(callback) {
+    this.subscribers.add(callback);
+
+    // Return unsubscribe function
+    return () => {
+      this.subscribers.delete(callback);
+    };
+  }
+
+  /**
+   * Notify all subscribers of changes
+   */
+  notifySubscribers(event) {
+    this.subscribers.forEach(callback => {
+      try {
+        callback(event);
+      } catch (error) {
+        console.error('[ContentStore] Error notifying subscriber:', error);
+      }
+    });
+
+    if (event.via) {
+      return;
+    }
+
+    // Pages showing this page's content through references changed with it
+    const changed = [event.pageId, event.oldPageId].filter(Boolean);
+
+    for (const pageId of this.getDependentPages(changed)) {
+      this.checkPage(pageId);
+      this.notifySubscribers({
+        type: 'update',
+        pageId,
+        data: this.store.get(pageId),
+        stage: event.stage,
+        locale: event.locale,
+        via: event.pageId
+      });
+    }
   }
 
   /**
@@ -183,9 +1972,11 @@ class ContentStore {
     if (this.watcher) {
       await this.watcher.close();
     }
+    await this.storage.close();
     this.store.clear();
     this.subscribers.clear();
   }
 }
 
 module.exports = ContentStore;
+module.exports.withoutDrafts = withoutDrafts;
@@ -0,0 +1,533 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./atomicWrite');
+const { deepEqual, getPath, parsePath, toPointer, isPlainObject } = require('./jsonPatch');
+const { isRef } = require('./references');
+const { diffContent } = require('./revisionStore');
+const { normalizeType } = require('./contentTypes');
+const { parseCSV, formatCSV } = require('./csv');
+
+const BUNDLE_FORMAT = 'nodelx-bundle';
+const BUNDLE_VERSION = 1;
+const STRATEGIES = ['overwrite', 'skip', 'keep-newer'];
+const DEFAULT_STRATEGY = 'keep-newer';
+const NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]*$/; // content type and blueprint names are filenames, like page IDs
+
+/**
+ * Decide what importing an item does
+ * @param {Object} item - { exists, equal, newer: is the incoming copy newer than ours }
+ * @param {string} strategy - How items that exist on both sides are settled
+ * @returns {{action: 'create' | 'update' | 'skip' | 'unchanged', reason?: string}}
+ */
+function chooseAction({ exists, equal, newer }, strategy) {
+  if (!exists) {
+    return { action: 'create' };
+  }
+  if (equal) {
+    return { action: 'unchanged' };
+  }
+  if (strategy === 'skip') {
+    return { action: 'skip', reason: 'exists' };
+  }
+  if (strategy === 'keep-newer' && !newer) {
+    return { action: 'skip', reason: 'ours is newer' };
+  }
+  return { action: 'update' };
+}
+
+/**
+ * Was a file changed after a time (false if it doesn't exist)
+ */
+async function modifiedSince(filePath, time) {
+  try {
+    const stats = await fs.stat(filePath);
+    return stats.mtimeMs > time;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read the <name>.json files of a directory (content types, blueprints) as { name: definition }
+ * Unreadable files are left out
+ */
+async function readDefinitions(dir) {
+  const files = (await fs.readdir(dir).catch(() => [])).filter(file => file.endsWith('.json')).sort();
+  const definitions = {};
+
+  for (const file of files) {
+    try {
+      definitions[path.basename(file, '.json')] = JSON.parse(await fs.readFile(path.join(dir, file), 'utf-8'));
+    } catch (error) {
+      console.error(`[ContentTransfer] Skipping ${file}:`, error.message);
+    }
+  }
+
+  return definitions;
+}
+
+/**
+ * Read one definition file: undefined if it doesn't exist, its text if it doesn't parse
+ */
+async function readDefinition(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return undefined;
+    }
+    throw error;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * The parts of a page an import compares (metadata only records when and by whom)
+ */
+function pageLayers(page) {
+  const { pageId, metadata, ...rest } = page || {};
+  return rest;
+}
+
+/**
+ * Collect the text fields of a content object as [tokens, value], skipping references
+ */
+function listTextFields(value, tokens = [], fields = []) {
+  if (typeof value === 'string') {
+    fields.push([tokens, value]);
+  } else if ((Array.isArray(value) || isPlainObject(value)) && !isRef(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      listTextFields(child, [...tokens, key], fields);
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Content import/export
+ *
+ * A bundle is one JSON document holding everything needed to move a site's content:
+ *   { format: 'nodelx-bundle', version: 1, exportedAt, pages: [...], schemas: { pageId: schema },
+ *     types: { name: contentType }, blueprints: { name: blueprint }, theme, media: { assets: [...] } }
+ * Media files themselves are not included - the manifest lists them so they can be copied alongside.
+ * Translations travel as CSV: one row per text field, one column per locale
+ */
+class ContentTransfer {
+  /**
+   * @param {Object} options - { contentStore, media: MediaLibrary, theme: themeManager }
+   */
+  constructor({ contentStore, media, theme }) {
+    this.contentStore = contentStore;
+    this.media = media;
+    this.theme = theme;
+  }
+
+  /**
+   * Export every page, page schema, content type, blueprint, the theme and the media manifest
+   */
+  async exportBundle() {
+    const pages = Object.values(this.contentStore.getAllContent())
+      .sort((a, b) => a.pageId.localeCompare(b.pageId));
+
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      pages,
+      schemas: Object.fromEntries(this.contentStore.schemas),
+      types: await readDefinitions(this.contentStore.typesDir),
+      blueprints: await readDefinitions(this.contentStore.blueprintsDir),
+      theme: await this.theme.getTheme(),
+      media: { assets: Array.from(this.media.assets.values()) }
+    };
+  }
+
+  /**
+   * Apply a bundle
+   * Items missing here are created; items that exist on both sides are settled by the strategy:
+   * 'overwrite' takes the bundle's copy, 'skip' keeps ours and 'keep-newer' takes whichever changed last
+   * (pages by metadata.lastModified, schemas, content types, blueprints and the theme by file time against
+   * the bundle's exportedAt, media by uploadedAt)
+   * @param {Object} bundle - As made by exportBundle
+   * @param {Object} options - { strategy, dryRun: report without changing anything, author }
+   * @returns {Promise<Object>} Report of what happened (or would happen) to each item, with a summary
+   */
+  async importBundle(bundle, options = {}) {
+    const { strategy = DEFAULT_STRATEGY, dryRun = false } = options;
+
+    if (!isPlainObject(bundle) || bundle.format !== BUNDLE_FORMAT) {
+      throw new Error(`Not a NodeLx bundle (expected format "${BUNDLE_FORMAT}")`);
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+      throw new Error(`Bundle version ${bundle.version} is newer than this server supports (${BUNDLE_VERSION})`);
+    }
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown strategy: ${strategy} (use ${STRATEGIES.join(', ')})`);
+    }
+
+    const exportedAt = Date.parse(bundle.exportedAt) || 0;
+    const context = { strategy, dryRun, exportedAt, author: options.author };
+
+    // Types and schemas first, so pages are validated against the ones they came with
+    const report = {
+      dryRun,
+      strategy,
+      exportedAt: bundle.exportedAt,
+      types: await this.importDefinitions(bundle.types || {}, this.contentStore.typesDir, context, {
+        check: normalizeType,
+        loaded: name => this.contentStore.loadTypeFile(`${name}.json`)
+      }),
+      blueprints: await this.importDefinitions(bundle.blueprints || {}, this.contentStore.blueprintsDir, context),
+      schemas: await this.importSchemas(bundle.schemas || {}, context),
+      theme: bundle.theme ? await this.importTheme(bundle.theme, context) : null,
+      media: await this.importMedia(bundle.media?.assets || [], context),
+      pages: await this.importPages(bundle.pages || [], context)
+    };
+
+    const items = [...report.types, ...report.blueprints, ...report.schemas, ...report.media, ...report.pages, ...(report.theme ? [report.theme] : [])];
+    report.summary = {};
+    for (const { action } of items) {
+      report.summary[action] = (report.summary[action] || 0) + 1;
+    }
+
+    console.log(`[ContentTransfer] ${dryRun ? 'Checked' : 'Imported'} bundle: ${JSON.stringify(report.summary)}`);
+
+    return report;
+  }
+
+  /**
+   * Import pages one by one - a page that fails is reported and the rest still go in
+   */
+  async importPages(pages, { strategy, dryRun, author }) {
+    const results = [];
+
+    for (const page of pages) {
+      const pageId = page?.pageId;
+
+      try {
+        this.contentStore.assertValidPageId(pageId);
+
+        const existing = this.contentStore.getContent(pageId);
+        const ifMatch = this.contentStore.getETag(pageId);
+        const incoming = pageLayers(page);
+        const current = pageLayers(existing);
+
+        const result = {
+          pageId,
+          ...chooseAction({
+            exists: Boolean(existing),
+            equal: deepEqual(current, incoming),
+            newer: Date.parse(page.metadata?.lastModified) > (Date.parse(existing?.metadata?.lastModified) || 0)
+          }, strategy),
+          changes: diffContent(current, incoming)
+        };
+
+        if (!dryRun && (result.action === 'create' || result.action === 'update')) {
+          // A page edited here while the import runs is not overwritten
+          await this.contentStore.importPage(page, {
+            author,
+            create: result.action === 'create',
+            ifMatch: result.action === 'update' ? ifMatch : undefined
+          });
+        }
+
+        results.push(result);
+      } catch (error) {
+        results.push({ pageId, action: 'error', error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Import <pageId>.schema.json files
+   */
+  async importSchemas(schemas, { strategy, dryRun, exportedAt }) {
+    const results = [];
+
+    for (const [pageId, schema] of Object.entries(schemas)) {
+      try {
+        this.contentStore.assertValidPageId(pageId);
+
+        if (!isPlainObject(schema)) {
+          throw new Error(`Invalid schema for ${pageId}`);
+        }
+
+        const filename = `${pageId}.schema.json`;
+        const filePath = path.join(this.contentStore.contentDir, filename);
+        const existing = this.contentStore.schemas.get(pageId);
+
+        const result = {
+          pageId,
+          ...chooseAction({
+            exists: Boolean(existing),
+            equal: deepEqual(existing, schema),
+            newer: !(await modifiedSince(filePath, exportedAt))
+          }, strategy)
+        };
+
+        if (!dryRun && (result.action === 'create' || result.action === 'update')) {
+          await writeFileAtomic(filePath, JSON.stringify(schema, null, 2));
+          await this.contentStore.loadSchemaFile(filename);
+        }
+
+        results.push(result);
+      } catch (error) {
+        results.push({ pageId, action: 'error', error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Import content types (types/<name>.json) or blueprints (blueprints/<name>.json)
+   * @param {Object} definitions - { name: definition } from the bundle
+   * @param {string} dir - Directory they are stored in
+   * @param {Object} hooks - { check: (name, definition) => throws if it is invalid, loaded: (name) => after it is written }
+   */
+  async importDefinitions(definitions, dir, { strategy, dryRun, exportedAt }, hooks = {}) {
+    const results = [];
+
+    for (const [name, definition] of Object.entries(definitions)) {
+      try {
+        if (!NAME_PATTERN.test(name) || !isPlainObject(definition)) {
+          throw new Error(`Invalid definition: ${name}`);
+        }
+        if (hooks.check) {
+          hooks.check(name, definition);
+        }
+
+        const filePath = path.join(dir, `${name}.json`);
+        const existing = await readDefinition(filePath);
+
+        const result = {
+          name,
+          ...chooseAction({
+            exists: existing !== undefined,
+            equal: deepEqual(existing, definition),
+            newer: !(await modifiedSince(filePath, exportedAt))
+          }, strategy)
+        };
+
+        if (!dryRun && (result.action === 'create' || result.action === 'update')) {
+          await fs.mkdir(dir, { recursive: true });
+          await writeFileAtomic(filePath, JSON.stringify(definition, null, 2));
+          if (hooks.loaded) {
+            await hooks.loaded(name);
+          }
+        }
+
+        results.push(result);
+      } catch (error) {
+        results.push({ name, action: 'error', error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Import the theme
+   */
+  async importTheme(theme, { strategy, dryRun, exportedAt }) {
+    try {
+      if (!isPlainObject(theme)) {
+        throw new Error('Invalid theme');
+      }
+
+      const exists = await fs.access(this.theme.THEME_FILE).then(() => true, () => false);
+
+      const result = chooseAction({
+        exists,
+        equal: deepEqual(await this.theme.getTheme(), theme),
+        newer: !(await modifiedSince(this.theme.THEME_FILE, exportedAt))
+      }, strategy);
+
+      if (!dryRun && (result.action === 'create' || result.action === 'update')) {
+        await this.theme.updateTheme(theme);
+      }
+
+      return result;
+    } catch (error) {
+      return { action: 'error', error: error.message };
+    }
+  }
+
+  /**
+   * Import the media manifest - entries whose file hasn't been copied here yet are reported as 'missing'
+   */
+  async importMedia(assets, { strategy, dryRun }) {
+    const results = [];
+
+    for (const asset of assets) {
+      const id = asset?.id;
+
+      try {
+        const existing = this.media.assets.get(id);
+        const present = typeof asset.filename === 'string' && path.basename(asset.filename) === asset.filename &&
+          await fs.access(path.join(this.media.mediaDir, asset.filename)).then(() => true, () => false);
+
+        if (!present) {
+          results.push({ id, action: 'missing', reason: `copy ${asset.filename} to the media directory first` });
+          continue;
+        }
+
+        const result = {
+          id,
+          ...chooseAction({
+            exists: Boolean(existing),
+            equal: deepEqual(existing, asset),
+            newer: Date.parse(asset.uploadedAt) > (Date.parse(existing?.uploadedAt) || 0)
+          }, strategy)
+        };
+
+        if (!dryRun && (result.action === 'create' || result.action === 'update')) {
+          await this.media.importAsset(asset);
+        }
+
+        results.push(result);
+      } catch (error) {
+        results.push({ id, action: 'error', error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Locales as CSV columns: the default locale first, then the other supported ones
+   */
+  getCSVLocales() {
+    const { default: defaultLocale, supported } = this.contentStore.locales;
+    return [defaultLocale, ...supported.filter(locale => locale !== defaultLocale)];
+  }
+
+  /**
+   * Export the text fields of every page's draft for translators
+   * Columns: pageId, field (dotted path), then one per locale. A locale's cell is empty when it
+   * doesn't translate the field (it falls back)
+   */
+  exportCSV() {
+    const locales = this.getCSVLocales();
+    const rows = [['pageId', 'field', ...locales]];
+
+    const pageIds = Array.from(this.contentStore.store.keys()).sort();
+
+    for (const pageId of pageIds) {
+      const page = this.contentStore.store.get(pageId);
+      const layers = locales.map(locale => this.contentStore.getDraftLayer(page, locale));
+
+      for (const [tokens, value] of listTextFields(layers[0])) {
+        const translations = layers.slice(1).map(layer => {
+          const translated = getPath(layer, tokens);
+          return typeof translated === 'string' ? translated : '';
+        });
+
+        rows.push([pageId, tokens.join('.'), value, ...translations]);
+      }
+    }
+
+    return formatCSV(rows);
+  }
+
+  /**
+   * Write the cells of a translations CSV to the page drafts
+   * Only text fields of the default locale can be set; empty cells leave a field as it is
+   * @param {string} text - CSV as made by exportCSV
+   * @param {Object} options - { dryRun, author }
+   * @returns {Promise<Object>} { dryRun, locales, pages: [{ pageId, locale, changes }], errors, summary }
+   */
+  async importCSV(text, options = {}) {
+    const { dryRun = false } = options;
+    const [header = [], ...rows] = parseCSV(text);
+    const [pageColumn, fieldColumn, ...locales] = header.map(cell => cell.trim());
+
+    if (pageColumn !== 'pageId' || fieldColumn !== 'field' || locales.length === 0) {
+      throw new Error('The CSV header must be: pageId, field, <locale>, <locale>...');
+    }
+    for (const locale of locales) {
+      this.contentStore.assertWritableLocale(locale);
+    }
+
+    const updates = new Map(); // "pageId\nlocale" -> { pageId, locale, changes, fields: { pointer: value } }
+    const errors = [];
+
+    rows.forEach((cells, index) => {
+      const [pageId, field, ...values] = cells;
+      const row = index + 2; // as numbered in a spreadsheet, after the header
+
+      if (cells.every(cell => cell === '')) {
+        return;
+      }
+
+      const page = this.contentStore.store.get(pageId);
+      const tokens = parsePath(field || '');
+
+      if (!page) {
+        errors.push({ row, pageId, field, error: `Page ${pageId} not found` });
+        return;
+      }
+      if (tokens.length === 0 || typeof getPath(this.contentStore.getDraftLayer(page), tokens) !== 'string') {
+        errors.push({ row, pageId, field, error: `${field} is not a text field of ${pageId}` });
+        return;
+      }
+
+      locales.forEach((locale, i) => {
+        const value = values[i];
+        const before = getPath(this.contentStore.getDraftLayer(page, locale), tokens);
+
+        if (!value || value === before) {
+          return;
+        }
+
+        const key = `${pageId}\n${locale}`;
+        if (!updates.has(key)) {
+          updates.set(key, { pageId, locale, changes: [], fields: {} });
+        }
+        updates.get(key).changes.push({ field: tokens.join('.'), before, after: value });
+        updates.get(key).fields[toPointer(tokens)] = value;
+      });
+    });
+
+    const pages = [];
+
+    for (const { fields, ...update } of updates.values()) {
+      pages.push(update);
+
+      if (!dryRun) {
+        try {
+          await this.contentStore.updateContent(update.pageId, fields, {
+            author: options.author,
+            locale: this.contentStore.isDefaultLocale(update.locale) ? undefined : update.locale
+          });
+        } catch (error) {
+          update.error = error.message;
+        }
+      }
+    }
+
+    const summary = {
+      pages: new Set(pages.map(({ pageId }) => pageId)).size,
+      fields: pages.reduce((total, { changes, error }) => total + (error ? 0 : changes.length), 0),
+      errors: errors.length + pages.filter(({ error }) => error).length
+    };
+
+    console.log(`[ContentTransfer] ${dryRun ? 'Checked' : 'Imported'} translations: ${JSON.stringify(summary)}`);
+
+    return { dryRun, locales, pages, errors, summary };
+  }
+}
+
+module.exports = ContentTransfer;
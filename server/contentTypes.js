@@ -0,0 +1,119 @@
+/**
+ * Content Types
+ *
+ * A content type names a kind of page (service page, location page) and lists its fields:
+ * content/types/<name>.json -> {
+ *   label, description,
+ *   fields: { <field>: { widget, label, default, required, options, min, max, help } }
+ * }
+ * Pages declare it as `type`; fields they leave out read as the type's defaults, and the
+ * type doubles as the page's schema when it has no schema of its own
+ */
+
+const WIDGETS = ['text', 'textarea', 'richtext', 'url', 'image', 'number', 'boolean', 'select'];
+
+/**
+ * JSON type of the values each widget edits
+ */
+const WIDGET_TYPES = {
+  text: 'string',
+  textarea: 'string',
+  richtext: 'array', // Portable Text blocks, see richText.js
+  url: 'string',
+  image: 'string',
+  number: 'number',
+  boolean: 'boolean'
+};
+
+/**
+ * Check a type definition and fill in each field's widget and label
+ * @param {string} name - Type name (its filename)
+ * @param {Object} definition - Parsed type file
+ * @returns {Object} { name, label, description, fields }
+ */
+function normalizeType(name, definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`Content type ${name} must be an object`);
+  }
+
+  const fields = {};
+
+  for (const [field, spec] of Object.entries(definition.fields || {})) {
+    const { widget = 'text', ...rest } = spec || {};
+
+    if (!WIDGETS.includes(widget)) {
+      throw new Error(`Field ${field} of content type ${name} has unknown widget: ${widget} (expected one of ${WIDGETS.join(', ')})`);
+    }
+    if (widget === 'select' && (!Array.isArray(rest.options) || rest.options.length === 0)) {
+      throw new Error(`Field ${field} of content type ${name} is a select without options`);
+    }
+
+    fields[field] = { ...rest, widget, label: rest.label || field };
+  }
+
+  return {
+    name,
+    label: definition.label || name,
+    description: definition.description || '',
+    fields
+  };
+}
+
+/**
+ * Values of the fields that have a default
+ */
+function getTypeDefaults(type) {
+  const defaults = {};
+
+  for (const [field, spec] of Object.entries(type.fields)) {
+    if (spec.default !== undefined) {
+      defaults[field] = structuredClone(spec.default);
+    }
+  }
+
+  return defaults;
+}
+
+/**
+ * Fill the fields missing from content with the type's defaults
+ */
+function applyTypeDefaults(content = {}, type) {
+  return { ...getTypeDefaults(type), ...content };
+}
+
+/**
+ * Schema (see schemaValidator.js) checking content against a type
+ * Required fields with a default are always filled in, so only those without one are required
+ * Fields the type does not list are allowed
+ */
+function typeToSchema(type) {
+  const properties = {};
+  const required = [];
+
+  for (const [field, spec] of Object.entries(type.fields)) {
+    const property = spec.widget === 'select'
+      ? { enum: spec.options.map(option => (option && typeof option === 'object' ? option.value : option)) }
+      : { type: WIDGET_TYPES[spec.widget] };
+
+    if (spec.widget === 'number') {
+      if (spec.min !== undefined) property.minimum = spec.min;
+      if (spec.max !== undefined) property.maximum = spec.max;
+    }
+
+    properties[field] = property;
+
+    if (spec.required && spec.default === undefined) {
+      required.push(field);
+    }
+  }
+
+  return { type: 'object', properties, required };
+}
+
+module.exports = {
+  WIDGETS,
+  normalizeType,
+  getTypeDefaults,
+  applyTypeDefaults,
+  typeToSchema
+};
@@ -0,0 +1,82 @@
+/**
+ * CSV (RFC 4180) reading and writing for spreadsheet round-trips
+ * Fields with commas, quotes or line breaks are quoted; quotes inside them are doubled
+ */
+
+const BOM = '\uFEFF';
+
+/**
+ * Parse CSV text into rows of cells
+ * Accepts CRLF or LF line ends and a leading byte order mark (Excel adds one)
+ * @returns {string[][]}
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = text.startsWith(BOM) ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Invalid CSV: a quoted field is never closed');
+  }
+
+  // The last line may or may not end with a line break
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Quote a cell if it needs it
+ */
+function formatCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write rows of cells as CSV, starting with a byte order mark so spreadsheets read it as UTF-8
+ * @param {Array<Array>} rows
+ */
+function formatCSV(rows) {
+  return BOM + rows.map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCSV,
+  formatCSV
+};
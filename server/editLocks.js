@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const path = require('path');
+
+/**
+ * Edit Locks
+ *
+ * Advisory locks on data-editable elements, keyed by (file, element id), so two editors don't
+ * rewrite the same element at once. Locks are taken over the WebSocket and belong to that
+ * connection: they last `ttl` ms unless renewed and are released on deselect or disconnect.
+ *
+ * The owner is sent a token with its first lock and passes it to the AST API in the
+ * X-NodeLx-Lock-Token header; changes to an element locked under another token are refused (423).
+ * Elements nobody has locked can be changed by anyone
+ */
+class EditLocks {
+  /**
+   * @param {WebSocketServer} wsServer - Server lock changes are broadcast on
+   * @param {Presence} presence - Names and colours of lock owners
+   * @param {Object} options - { ttl } (see config.js)
+   * @param {Function} getProjectPath - () => the directory the AST API resolves file paths against
+   */
+  constructor(wsServer, presence, options = {}, getProjectPath = () => process.cwd()) {
+    this.wsServer = wsServer;
+    this.presence = presence;
+    this.getProjectPath = getProjectPath;
+    this.ttl = options.ttl ?? 30000;
+    this.locks = new Map(); // "file#elementId" -> { lock, ws, timer }
+    this.tokens = new Map(); // ws -> token
+  }
+
+  /**
+   * Every lock held, or the locks in one file
+   */
+  list(filePath) {
+    const file = filePath ? this.toFile(filePath) : null;
+    return [...this.locks.values()]
+      .map(entry => entry.lock)
+      .filter(lock => !file || lock.filePath === file);
+  }
+
+  /**
+   * The lock on an element held under another token, if any
+   */
+  getConflict(filePath, elementId, token) {
+    const entry = this.locks.get(this.toKey(filePath, elementId));
+    return entry && this.tokens.get(entry.ws) !== token ? entry.lock : null;
+  }
+
+  /**
+   * Handle lock-acquire: { filePath, elementId } - take or renew a lock
+   * Answers { type: 'lock-acquired', lock, token }, or { type: 'lock-denied', lock } with the lock held by someone else
+   */
+  acquire(ws, data) {
+    if (!isValidTarget(data)) {
+      this.wsServer.send(ws, { type: 'error', error: 'lock-acquire needs filePath and elementId' });
+      return;
+    }
+
+    const key = this.toKey(data.filePath, data.elementId);
+    const existing = this.locks.get(key);
+
+    if (existing && existing.ws !== ws) {
+      this.wsServer.send(ws, { type: 'lock-denied', lock: existing.lock });
+      return;
+    }
+
+    const now = Date.now();
+    const lock = {
+      filePath: this.toFile(data.filePath),
+      elementId: data.elementId,
+      owner: this.getOwner(ws),
+      acquiredAt: existing ? existing.lock.acquiredAt : new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttl).toISOString()
+    };
+
+    if (existing) {
+      clearTimeout(existing.timer);
+    }
+
+    const timer = setTimeout(() => this.release(key, 'expired'), this.ttl);
+    timer.unref();
+    this.locks.set(key, { lock, ws, timer });
+
+    this.wsServer.send(ws, { type: 'lock-acquired', lock, token: this.getToken(ws) });
+
+    // Renewals only move the expiry - the others need not hear about them
+    if (!existing) {
+      this.wsServer.broadcast({ type: 'lock', action: 'acquired', lock }, ws);
+    }
+  }
+
+  /**
+   * Handle lock-release: { filePath, elementId } - give up a lock the client holds
+   */
+  releaseFor(ws, data) {
+    if (!isValidTarget(data)) {
+      this.wsServer.send(ws, { type: 'error', error: 'lock-release needs filePath and elementId' });
+      return;
+    }
+
+    const key = this.toKey(data.filePath, data.elementId);
+    if (this.locks.get(key)?.ws === ws) {
+      this.release(key, 'released');
+    }
+  }
+
+  /**
+   * Drop a lock and tell everyone
+   * @param {string} reason - 'released', 'expired' or 'disconnected'
+   */
+  release(key, reason) {
+    const entry = this.locks.get(key);
+    if (!entry) {
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    this.locks.delete(key);
+    this.wsServer.broadcast({ type: 'lock', action: 'released', reason, lock: entry.lock });
+  }
+
+  /**
+   * The connection's token, created with its first lock
+   * Its locks go when it disconnects
+   */
+  getToken(ws) {
+    let token = this.tokens.get(ws);
+
+    if (!token) {
+      token = crypto.randomUUID();
+      this.tokens.set(ws, token);
+      ws.once('close', () => {
+        for (const [key, entry] of this.locks) {
+          if (entry.ws === ws) {
+            this.release(key, 'disconnected');
+          }
+        }
+        this.tokens.delete(ws);
+      });
+    }
+
+    return token;
+  }
+
+  /**
+   * Who holds a lock - the connection's presence, if it sent one
+   */
+  getOwner(ws) {
+    const user = this.presence.users.get(ws);
+    return user
+      ? { id: user.id, name: user.name, color: user.color }
+      : { id: null, name: 'anonymous', color: null };
+  }
+
+  /**
+   * The file a path names, relative to the project - "./app/../app/page.tsx" and
+   * "/abs/project/app/page.tsx" are both "app/page.tsx", as the AST API edits the same file for each
+   */
+  toFile(filePath) {
+    const projectPath = this.getProjectPath();
+    const relative = path.relative(projectPath, path.resolve(projectPath, String(filePath)));
+    return relative.split(path.sep).join('/');
+  }
+
+  toKey(filePath, elementId) {
+    return `${this.toFile(filePath)}#${elementId}`;
+  }
+
+  /**
+   * Stop the expiry timers
+   */
+  close() {
+    this.locks.forEach(entry => clearTimeout(entry.timer));
+    this.locks.clear();
+  }
+}
+
+function isValidTarget(data) {
+  return typeof data.filePath === 'string' && data.filePath !== '' &&
+    typeof data.elementId === 'string' && data.elementId !== '';
+}
+
+module.exports = EditLocks;
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+/**
+ * ETag helpers for optimistic concurrency
+ * Clients send the ETag they last saw in If-Match; stale writes are rejected
+ */
+
+/**
+ * Raised when an If-Match precondition does not hold
+ * `current` carries the server copy so the client can merge
+ */
+class PreconditionFailedError extends Error {
+  constructor(message, etag, current) {
+    super(message);
+    this.name = 'PreconditionFailedError';
+    this.etag = etag;
+    this.current = current;
+  }
+}
+
+/**
+ * Compute a strong ETag from a string or JSON-serializable value
+ */
+function computeETag(value) {
+  const data = typeof value === 'string' ? value : JSON.stringify(value);
+  const hash = crypto.createHash('sha1').update(data).digest('hex').slice(0, 20);
+  return `"${hash}"`;
+}
+
+/**
+ * Check an If-Match header value against the current ETag
+ * Supports '*', comma-separated lists and weak (W/) tags
+ */
+function etagMatches(ifMatch, etag) {
+  if (ifMatch.trim() === '*') {
+    return etag !== null;
+  }
+
+  return ifMatch
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .includes(etag);
+}
+
+module.exports = {
+  computeETag,
+  etagMatches,
+  PreconditionFailedError
+};
@@ -0,0 +1,838 @@
+const {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLInterfaceType,
+  GraphQLEnumType,
+  GraphQLNonNull,
+  GraphQLList,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLBoolean,
+  GraphQLID,
+  GraphQLError,
+  parse,
+  validate,
+  execute,
+  subscribe,
+  getOperationAST,
+  printSchema
+} = require('graphql');
+const { withoutDrafts } = require('./contentStore');
+const { typeToSchema } = require('./contentTypes');
+const { getPath, isPlainObject } = require('./jsonPatch');
+const { ValidationError } = require('./schemaValidator');
+const { PreconditionFailedError } = require('./etag');
+const { ReferenceCycleError } = require('./references');
+const { MediaInUseError } = require('./mediaLibrary');
+const { GraphQLJSON, toTypeName, toFieldName, inferSchema, TypeBuilder } = require('./graphqlTypes');
+
+// Names the fixed part of the schema uses - generated types and fields must not take them
+const RESERVED_TYPES = new Set([
+  'Query', 'Mutation', 'Subscription', 'Page', 'ContentPage', 'PageList', 'Theme', 'ThemeToken',
+  'MediaAsset', 'ContentType', 'ContentEvent', 'FieldChange', 'Stage', 'Format',
+  'JSON', 'String', 'Int', 'Float', 'Boolean', 'ID'
+]);
+const RESERVED_FIELDS = new Set(['page', 'pages', 'theme', 'media', 'mediaAssets', 'contentTypes']);
+
+// Theme groups listed as tokens
+const TOKEN_GROUPS = ['colors', 'typography', 'spacing'];
+
+const Stage = new GraphQLEnumType({
+  name: 'Stage',
+  values: { draft: { value: 'draft' }, published: { value: 'published' } }
+});
+
+const Format = new GraphQLEnumType({
+  name: 'Format',
+  description: 'How rich-text fields are returned',
+  values: { json: { value: 'json' }, html: { value: 'html' }, markdown: { value: 'markdown' } }
+});
+
+// Which view of a page to return (see ContentStore.getContent)
+const VIEW_ARGS = {
+  stage: { type: Stage, defaultValue: 'published' },
+  locale: { type: GraphQLString },
+  format: { type: Format },
+  at: { type: GraphQLString, description: 'ISO date - the page as it will look then' }
+};
+
+const LIST_ARGS = {
+  where: { type: GraphQLJSON, description: 'Field values all pages must have: { "metadata.author": "system" }' },
+  sort: { type: GraphQLString, description: 'e.g. "-metadata.lastModified,pageId"' },
+  limit: { type: GraphQLInt },
+  offset: { type: GraphQLInt },
+  ...VIEW_ARGS
+};
+
+/**
+ * Extra error details, as the REST API sends them (see sendContentError in index.js)
+ */
+function getErrorExtensions(error) {
+  if (error instanceof PreconditionFailedError) {
+    return { code: 'PRECONDITION_FAILED', etag: error.etag };
+  }
+  if (error instanceof ValidationError) {
+    return { code: 'VALIDATION_FAILED', errors: error.errors };
+  }
+  if (error instanceof ReferenceCycleError) {
+    return { code: 'REFERENCE_CYCLE', cycle: error.cycle };
+  }
+  if (error instanceof MediaInUseError) {
+    return { code: 'MEDIA_IN_USE', usedBy: error.usedBy };
+  }
+  if (error.message.includes('not found')) {
+    return { code: 'NOT_FOUND' };
+  }
+  return null;
+}
+
+function formatError(error) {
+  const formatted = error instanceof GraphQLError ? error.toJSON() : { message: error.message };
+  const extensions = error.originalError && getErrorExtensions(error.originalError);
+
+  if (extensions) {
+    formatted.extensions = { ...formatted.extensions, ...extensions };
+  }
+  return formatted;
+}
+
+function formatResult(result) {
+  return result.errors ? { ...result, errors: result.errors.map(formatError) } : result;
+}
+
+/**
+ * Turn a callback subscription (ContentStore.subscribe, WebSocketServer.subscribe) into the
+ * async iterator GraphQL subscriptions read from; returning from it unsubscribes
+ */
+function listen(subscribeTo, accept) {
+  const queue = [];
+  const waiting = [];
+  let done = false;
+
+  const unsubscribe = subscribeTo((value) => {
+    if (done || !accept(value)) {
+      return;
+    }
+    const resolve = waiting.shift();
+    if (resolve) {
+      resolve({ value, done: false });
+    } else {
+      queue.push(value);
+    }
+  });
+
+  const finish = () => {
+    if (!done) {
+      done = true;
+      unsubscribe();
+      waiting.splice(0).forEach(resolve => resolve({ value: undefined, done: true }));
+    }
+    return Promise.resolve({ value: undefined, done: true });
+  };
+
+  return {
+    next() {
+      if (queue.length > 0) {
+        return Promise.resolve({ value: queue.shift(), done: false });
+      }
+      if (done) {
+        return Promise.resolve({ value: undefined, done: true });
+      }
+      return new Promise(resolve => waiting.push(resolve));
+    },
+    return: finish,
+    throw(error) {
+      finish();
+      return Promise.reject(error);
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    }
+  };
+}
+
+/**
+ * Leaves of a theme group as tokens: { name: 'colors.primary', group: 'colors', value: '#3b82f6' }
+ */
+function listTokens(value, group, name = group) {
+  if (isPlainObject(value)) {
+    return Object.entries(value).flatMap(([key, item]) => listTokens(item, group, `${name}.${key}`));
+  }
+  return [{ name, group, value }];
+}
+
+/**
+ * GraphQL API
+ *
+ * A /graphql endpoint over the content store, theme and media library. Front ends ask for
+ * just the fields they need instead of whole pages. Pages with a schema, a content type or
+ * a blueprint get generated types; the rest are read as JSON or through Page.field(path).
+ * Mutations go through the same ContentStore/theme methods as the REST API, so they are
+ * validated, revisioned, audited and broadcast the same way. Subscriptions run over the
+ * existing WebSocket server (graphql-subscribe / graphql-unsubscribe messages).
+ */
+class GraphQLApi {
+  /**
+   * @param {Object} options - {
+   *   contentStore, media, theme: themeManager, wsServer,
+   *   changeTheme: (operation, change) => Promise - makes (and audits) a theme change
+   * }
+   */
+  constructor(options) {
+    this.contentStore = options.contentStore;
+    this.media = options.media;
+    this.theme = options.theme;
+    this.wsServer = options.wsServer;
+    this.changeTheme = options.changeTheme || ((operation, change) => change());
+    this.schema = null;
+    this.schemaKey = null; // models the schema was built from
+    this.clients = new Map(); // WebSocket -> Map(subscription id -> iterator)
+  }
+
+  /**
+   * Everything types are generated for: content types, blueprints without a type
+   * and pages with a schema of their own
+   * @returns {Promise<Array<{kind: 'type' | 'blueprint' | 'page', name: string, schema: Object, description: string}>>}
+   */
+  async listModels() {
+    const models = this.contentStore.listTypes().map(type => ({
+      kind: 'type',
+      name: type.name,
+      schema: typeToSchema(type),
+      description: type.description || type.label
+    }));
+
+    // A blueprint with a type makes pages of that type
+    for (const blueprint of await this.contentStore.listBlueprints()) {
+      if (!blueprint.type) {
+        models.push({
+          kind: 'blueprint',
+          name: blueprint.name,
+          schema: blueprint.schema || inferSchema(blueprint.content || {}),
+          description: `Pages created from the ${blueprint.name} blueprint`
+        });
+      }
+    }
+
+    for (const [pageId, page] of this.contentStore.store) {
+      const schema = this.contentStore.schemas.get(pageId) || page.schema;
+      if (schema) {
+        models.push({ kind: 'page', name: pageId, schema, description: `The ${pageId} page` });
+      }
+    }
+
+    return models;
+  }
+
+  /**
+   * Key of the model a page's type comes from - same precedence as ContentStore.getSchema
+   */
+  getModelKey(pageId, page = this.contentStore.store.get(pageId)) {
+    if (!page) {
+      return null;
+    }
+    if (this.contentStore.schemas.has(pageId) || page.schema) {
+      return `page:${pageId}`;
+    }
+    if (page.type && this.contentStore.types.has(page.type)) {
+      return `type:${page.type}`;
+    }
+    if (page.metadata?.blueprint) {
+      return `blueprint:${page.metadata.blueprint}`;
+    }
+    return null;
+  }
+
+  /**
+   * The current schema - rebuilt when a content type, blueprint or page schema changes
+   */
+  async getSchema() {
+    const models = await this.listModels();
+    const key = JSON.stringify(models);
+
+    if (key !== this.schemaKey) {
+      this.schema = this.buildSchema(models);
+      this.schemaKey = key;
+    }
+
+    return this.schema;
+  }
+
+  /**
+   * The schema in GraphQL SDL
+   */
+  async getSDL() {
+    return printSchema(await this.getSchema());
+  }
+
+  /**
+   * A view of a page, or null if it does not exist
+   * @returns {Object|null} { pageId, view } - what the Page types resolve from
+   */
+  getPage(pageId, args = {}) {
+    if (!this.contentStore.store.has(pageId)) {
+      return null;
+    }
+
+    const view = this.contentStore.getContent(pageId, {
+      stage: args.stage || 'published',
+      locale: args.locale || undefined,
+      format: args.format || undefined,
+      at: args.at || undefined
+    });
+
+    return { pageId, view };
+  }
+
+  /**
+   * Query pages (see ContentStore.queryContent), optionally only those of one model
+   */
+  listPages(args, modelKey = null) {
+    const offset = args.offset ?? 0;
+    const limit = args.limit ?? Infinity;
+
+    if (offset < 0 || limit < 0) {
+      throw new Error('limit and offset cannot be negative');
+    }
+    if (args.where != null && !isPlainObject(args.where)) {
+      throw new Error('where must be an object of field values');
+    }
+
+    const where = { ...args.where, ...(args.type ? { type: args.type } : {}) };
+    const { pages } = this.contentStore.queryContent({
+      where,
+      sort: args.sort || undefined,
+      stage: args.stage || 'published',
+      locale: args.locale || undefined,
+      format: args.format || undefined,
+      at: args.at || undefined
+    });
+
+    const matching = modelKey ? pages.filter(view => this.getModelKey(view.pageId) === modelKey) : pages;
+
+    return {
+      total: matching.length,
+      pages: matching.slice(offset, offset + limit).map(view => ({ pageId: view.pageId, view }))
+    };
+  }
+
+  async updateTheme(operation, change, element) {
+    const theme = await this.changeTheme(operation, change);
+
+    this.wsServer.broadcast({
+      type: 'theme-changed',
+      ...(element ? { element } : {}),
+      timestamp: new Date().toISOString()
+    });
+
+    return theme;
+  }
+
+  /**
+   * Build the schema: the fixed Query/Mutation/Subscription fields plus a type and
+   * query fields per model
+   */
+  buildSchema(models) {
+    const builder = new TypeBuilder(RESERVED_TYPES);
+    const modelTypes = new Map(); // model key -> page object type
+
+    const pageFields = () => ({
+      id: { type: new GraphQLNonNull(GraphQLID), resolve: page => page.pageId },
+      type: { type: GraphQLString, description: 'Content type', resolve: page => page.view.type || null },
+      stage: { type: new GraphQLNonNull(Stage), resolve: page => page.view.stage },
+      locale: { type: new GraphQLNonNull(GraphQLString), resolve: page => page.view.locale },
+      hasUnpublishedChanges: { type: new GraphQLNonNull(GraphQLBoolean), resolve: page => page.view.hasUnpublishedChanges },
+      missingFields: { type: new GraphQLList(new GraphQLNonNull(GraphQLString)), resolve: page => page.view.missingFields || null },
+      previewAt: { type: GraphQLString, resolve: page => page.view.previewAt || null },
+      metadata: { type: GraphQLJSON, resolve: page => page.view.metadata || null },
+      etag: {
+        type: GraphQLString,
+        description: 'Current ETag, for the ifMatch of a mutation',
+        resolve: page => this.contentStore.getETag(page.pageId)
+      },
+      field: {
+        type: GraphQLJSON,
+        description: 'One content field: "heroTitle", "stats.years" or "/features/0/title"',
+        args: { path: { type: new GraphQLNonNull(GraphQLString) } },
+        resolve: (page, args) => getPath(page.view.content, args.path) ?? null
+      },
+      fields: {
+        type: GraphQLJSON,
+        description: 'Several content fields, keyed by path',
+        args: { paths: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(GraphQLString))) } },
+        resolve: (page, args) => Object.fromEntries(args.paths.map(path => [path, getPath(page.view.content, path) ?? null]))
+      }
+    });
+
+    const PageInterface = new GraphQLInterfaceType({
+      name: 'Page',
+      fields: pageFields,
+      resolveType: page => modelTypes.get(this.getModelKey(page.pageId))?.name || 'ContentPage'
+    });
+
+    const ContentPage = new GraphQLObjectType({
+      name: 'ContentPage',
+      description: 'A page without a schema, content type or blueprint',
+      interfaces: [PageInterface],
+      fields: () => ({
+        ...pageFields(),
+        content: { type: GraphQLJSON, resolve: page => page.view.content }
+      })
+    });
+
+    const listType = (name, pageType) => new GraphQLObjectType({
+      name,
+      fields: {
+        total: { type: new GraphQLNonNull(GraphQLInt) },
+        pages: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(pageType))) }
+      }
+    });
+
+    const ThemeToken = new GraphQLObjectType({
+      name: 'ThemeToken',
+      fields: {
+        name: { type: new GraphQLNonNull(GraphQLString), description: 'e.g. "colors.primary" or "typography.h1.fontSize"' },
+        group: { type: new GraphQLNonNull(GraphQLString) },
+        value: { type: GraphQLJSON }
+      }
+    });
+
+    const Theme = new GraphQLObjectType({
+      name: 'Theme',
+      fields: {
+        colors: { type: GraphQLJSON },
+        typography: { type: GraphQLJSON },
+        spacing: { type: GraphQLJSON },
+        googleFonts: { type: new GraphQLList(new GraphQLNonNull(GraphQLString)) },
+        color: {
+          type: GraphQLString,
+          args: { name: { type: new GraphQLNonNull(GraphQLString) } },
+          resolve: (theme, args) => theme.colors?.[args.name] ?? null
+        },
+        token: {
+          type: GraphQLJSON,
+          description: 'One token by path, e.g. "typography.h1.fontSize"',
+          args: { name: { type: new GraphQLNonNull(GraphQLString) } },
+          resolve: (theme, args) => getPath(theme, args.name) ?? null
+        },
+        tokens: {
+          type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(ThemeToken))),
+          args: { group: { type: GraphQLString, description: 'colors, typography or spacing' } },
+          resolve: (theme, args) => TOKEN_GROUPS
+            .filter(group => !args.group || group === args.group)
+            .flatMap(group => (theme[group] === undefined ? [] : listTokens(theme[group], group)))
+        },
+        css: { type: new GraphQLNonNull(GraphQLString), resolve: () => this.theme.generateCSS() }
+      }
+    });
+
+    const MediaAsset = new GraphQLObjectType({
+      name: 'MediaAsset',
+      fields: {
+        id: { type: new GraphQLNonNull(GraphQLID) },
+        filename: { type: new GraphQLNonNull(GraphQLString) },
+        url: { type: new GraphQLNonNull(GraphQLString) },
+        mimeType: { type: GraphQLString },
+        size: { type: GraphQLInt },
+        width: { type: GraphQLInt },
+        height: { type: GraphQLInt },
+        alt: { type: GraphQLString },
+        originalName: { type: GraphQLString },
+        uploadedAt: { type: GraphQLString },
+        uploadedBy: { type: GraphQLString },
+        usedBy: {
+          type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(GraphQLID))),
+          description: 'Pages using the asset',
+          resolve: asset => asset.usedBy || [...new Set(this.media.findReferences(asset).map(ref => ref.pageId))]
+        }
+      }
+    });
+
+    const ContentType = new GraphQLObjectType({
+      name: 'ContentType',
+      fields: {
+        name: { type: new GraphQLNonNull(GraphQLString) },
+        label: { type: GraphQLString },
+        description: { type: GraphQLString },
+        fields: { type: GraphQLJSON },
+        defaults: { type: GraphQLJSON }
+      }
+    });
+
+    const FieldChange = new GraphQLObjectType({
+      name: 'FieldChange',
+      fields: {
+        field: { type: GraphQLString },
+        before: { type: GraphQLJSON },
+        after: { type: GraphQLJSON }
+      }
+    });
+
+    const ContentEvent = new GraphQLObjectType({
+      name: 'ContentEvent',
+      fields: {
+        type: { type: new GraphQLNonNull(GraphQLString), description: 'create, update, delete or rename' },
+        reason: { type: GraphQLString, description: 'e.g. update, publish, external-edit' },
+        pageId: { type: new GraphQLNonNull(GraphQLID) },
+        oldPageId: { type: GraphQLID },
+        via: { type: GraphQLID, description: 'Page whose change this page shows through a reference' },
+        stage: { type: Stage },
+        locale: { type: GraphQLString },
+        author: { type: GraphQLString },
+        changes: {
+          type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(FieldChange))),
+          resolve: event => event.changes || []
+        },
+        page: {
+          type: PageInterface,
+          description: 'The page as it is now (null once deleted) - published unless stage is given',
+          args: { stage: { type: Stage }, locale: { type: GraphQLString }, format: { type: Format } },
+          resolve: (event, args) => (event.type === 'delete' ? null : this.getPage(event.pageId, {
+            stage: args.stage || 'published',
+            locale: args.locale ?? event.locale,
+            format: args.format
+          }))
+        }
+      }
+    });
+
+    const queryFields = {
+      page: {
+        type: PageInterface,
+        args: { id: { type: new GraphQLNonNull(GraphQLID) }, ...VIEW_ARGS },
+        resolve: (_, args) => this.getPage(args.id, args)
+      },
+      pages: {
+        type: new GraphQLNonNull(listType('PageList', PageInterface)),
+        args: { type: { type: GraphQLString, description: 'Content type' }, ...LIST_ARGS },
+        resolve: (_, args) => this.listPages(args)
+      },
+      theme: {
+        type: new GraphQLNonNull(Theme),
+        resolve: () => this.theme.getTheme()
+      },
+      media: {
+        type: MediaAsset,
+        args: { id: { type: new GraphQLNonNull(GraphQLID) } },
+        resolve: (_, args) => (this.media.assets.has(args.id) ? this.media.get(args.id) : null)
+      },
+      mediaAssets: {
+        type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(MediaAsset))),
+        args: { q: { type: GraphQLString }, type: { type: GraphQLString, description: "MIME type or prefix ('image/')" } },
+        resolve: (_, args) => this.media.list({ q: args.q || undefined, type: args.type || undefined })
+      },
+      contentTypes: {
+        type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(ContentType))),
+        resolve: () => this.contentStore.listTypes().map(type => this.contentStore.getType(type.name))
+      }
+    };
+
+    const addQueryField = (name, field, model) => {
+      if (!name || RESERVED_FIELDS.has(name) || queryFields[name]) {
+        console.warn(`[GraphQL] Skipping query field ${name} for ${model.kind} ${model.name}: the name is taken`);
+        return;
+      }
+      queryFields[name] = field;
+    };
+
+    for (const model of models) {
+      const baseName = toTypeName(model.name);
+      if (!baseName) {
+        console.warn(`[GraphQL] Skipping ${model.kind} ${model.name}: no usable type name`);
+        continue;
+      }
+
+      const key = `${model.kind}:${model.name}`;
+      const typeName = builder.claimName(baseName);
+      const contentType = builder.objectType(model.schema, `${typeName}Content`) || GraphQLJSON;
+
+      const pageType = new GraphQLObjectType({
+        name: typeName,
+        description: model.description,
+        interfaces: [PageInterface],
+        fields: () => ({
+          ...pageFields(),
+          content: { type: contentType, resolve: page => page.view.content }
+        })
+      });
+      modelTypes.set(key, pageType);
+
+      if (model.kind === 'page') {
+        addQueryField(toFieldName(model.name), {
+          type: pageType,
+          args: VIEW_ARGS,
+          resolve: (_, args) => this.getPage(model.name, args)
+        }, model);
+        continue;
+      }
+
+      addQueryField(toFieldName(model.name), {
+        type: pageType,
+        args: { id: { type: new GraphQLNonNull(GraphQLID) }, ...VIEW_ARGS },
+        resolve: (_, args) => (this.getModelKey(args.id) === key ? this.getPage(args.id, args) : null)
+      }, model);
+
+      addQueryField(`all${typeName}`, {
+        type: new GraphQLNonNull(listType(builder.claimName(`${typeName}List`), pageType)),
+        args: LIST_ARGS,
+        resolve: (_, args) => this.listPages(args, key)
+      }, model);
+    }
+
+    const Query = new GraphQLObjectType({ name: 'Query', fields: queryFields });
+
+    const Mutation = new GraphQLObjectType({
+      name: 'Mutation',
+      fields: {
+        updateContent: {
+          type: new GraphQLNonNull(PageInterface),
+          description: 'Merge fields into the draft of a page (dotted keys allowed) and return the draft',
+          args: {
+            pageId: { type: new GraphQLNonNull(GraphQLID) },
+            updates: { type: new GraphQLNonNull(GraphQLJSON) },
+            locale: { type: GraphQLString },
+            ifMatch: { type: GraphQLString, description: 'ETag the page must still have' }
+          },
+          resolve: async (_, args, context) => {
+            if (!isPlainObject(args.updates)) {
+              throw new Error('updates must be an object of fields');
+            }
+            await this.contentStore.updateContent(args.pageId, args.updates, {
+              author: context.author,
+              ifMatch: args.ifMatch || undefined,
+              locale: args.locale || undefined
+            });
+            return this.getPage(args.pageId, { stage: 'draft', locale: args.locale });
+          }
+        },
+        publish: {
+          type: new GraphQLNonNull(PageInterface),
+          description: 'Make the draft of a page live',
+          args: {
+            pageId: { type: new GraphQLNonNull(GraphQLID) },
+            ifMatch: { type: GraphQLString }
+          },
+          resolve: async (_, args, context) => {
+            await this.contentStore.publish(args.pageId, { author: context.author, ifMatch: args.ifMatch || undefined });
+            return this.getPage(args.pageId, { stage: 'published' });
+          }
+        },
+        updateTheme: {
+          type: new GraphQLNonNull(Theme),
+          description: 'Replace the theme (missing settings fall back to the defaults)',
+          args: { theme: { type: new GraphQLNonNull(GraphQLJSON) } },
+          resolve: (_, args) => this.updateTheme('update', () => this.theme.updateTheme(args.theme))
+        },
+        updateColors: {
+          type: new GraphQLNonNull(Theme),
+          args: { colors: { type: new GraphQLNonNull(GraphQLJSON) } },
+          resolve: (_, args) => this.updateTheme('update-colors', () => this.theme.updateColors(args.colors))
+        },
+        updateTypography: {
+          type: new GraphQLNonNull(Theme),
+          args: {
+            element: { type: new GraphQLNonNull(GraphQLString), description: 'h1-h6, p, a, small, headingFont or bodyFont' },
+            settings: { type: new GraphQLNonNull(GraphQLJSON) }
+          },
+          resolve: (_, args) => this.updateTheme('update-typography',
+            () => this.theme.updateTypography(args.element, args.settings), args.element)
+        },
+        updateMedia: {
+          type: new GraphQLNonNull(MediaAsset),
+          args: { id: { type: new GraphQLNonNull(GraphQLID) }, alt: { type: GraphQLString } },
+          resolve: async (_, args) => {
+            const asset = await this.media.update(args.id, { alt: args.alt ?? undefined });
+            this.wsServer.broadcast({ type: 'media-update', action: 'update', asset });
+            return asset;
+          }
+        }
+      }
+    });
+
+    const Subscription = new GraphQLObjectType({
+      name: 'Subscription',
+      fields: {
+        contentChanged: {
+          type: new GraphQLNonNull(ContentEvent),
+          description: 'Content changes - of one page, one stage and/or what a locale reads if given',
+          args: { pageId: { type: GraphQLID }, stage: { type: Stage }, locale: { type: GraphQLString } },
+          subscribe: (_, args) => listen(
+            callback => this.contentStore.subscribe(callback),
+            event => (!args.pageId || event.pageId === args.pageId || event.oldPageId === args.pageId) &&
+              (!args.stage || !event.stage || event.stage === args.stage) &&
+              (!event.locale || this.contentStore.isLocaleInChain(args.locale, event.locale))
+          ),
+          // Like content-store-update: changes to a draft only name their fields
+          resolve: event => withoutDrafts(event)
+        },
+        themeChanged: {
+          type: new GraphQLNonNull(Theme),
+          subscribe: () => listen(
+            callback => this.wsServer.subscribe(callback),
+            message => message.type === 'theme-changed'
+          ),
+          resolve: () => this.theme.getTheme()
+        }
+      }
+    });
+
+    return new GraphQLSchema({
+      query: Query,
+      mutation: Mutation,
+      subscription: Subscription,
+      types: [ContentPage, ...modelTypes.values()]
+    });
+  }
+
+  /**
+   * Run a query or mutation
+   * @param {Object} request - { query, variables, operationName }
+   * @param {Object} context - { author }
+   * @param {Object} options - { allowMutations: false for GET requests }
+   * @returns {Promise<{status: number, result: Object}>} HTTP status and { data, errors }
+   */
+  async run(request = {}, context = {}, options = {}) {
+    const { query, variables, operationName } = request;
+    const fail = (status, message) => ({ status, result: { errors: [{ message }] } });
+
+    if (typeof query !== 'string' || !query.trim()) {
+      return fail(400, 'A query is required');
+    }
+    if (variables != null && !isPlainObject(variables)) {
+      return fail(400, 'variables must be an object');
+    }
+
+    const schema = await this.getSchema();
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (error) {
+      return { status: 400, result: { errors: [formatError(error)] } };
+    }
+
+    const errors = validate(schema, document);
+    if (errors.length > 0) {
+      return { status: 400, result: { errors: errors.map(formatError) } };
+    }
+
+    const operation = getOperationAST(document, operationName);
+    if (!operation) {
+      return fail(400, operationName ? `Unknown operation: ${operationName}` : 'Name the operation to run (operationName)');
+    }
+    if (operation.operation === 'subscription') {
+      return fail(400, 'Subscriptions run over the WebSocket (graphql-subscribe)');
+    }
+    if (operation.operation === 'mutation' && options.allowMutations === false) {
+      return fail(405, 'Mutations must be sent with POST');
+    }
+
+    const result = await execute({
+      schema,
+      document,
+      variableValues: variables,
+      operationName,
+      contextValue: context
+    });
+
+    return { status: 200, result: formatResult(result) };
+  }
+
+  /**
+   * Subscriptions of a WebSocket client, stopped when it disconnects
+   */
+  getClientSubscriptions(ws) {
+    let subscriptions = this.clients.get(ws);
+
+    if (!subscriptions) {
+      subscriptions = new Map();
+      this.clients.set(ws, subscriptions);
+      ws.once('close', () => {
+        subscriptions.forEach(iterator => iterator.return());
+        this.clients.delete(ws);
+      });
+    }
+
+    return subscriptions;
+  }
+
+  /**
+   * Handle a graphql-subscribe message: { id, query, variables, operationName }
+   * Each result is sent as { type: 'graphql-next', id, payload: { data, errors } }, failures as
+   * { type: 'graphql-error', id, errors } and the end as { type: 'graphql-complete', id }
+   */
+  async startSubscription(ws, message) {
+    const { id, query, variables, operationName } = message;
+    const sendErrors = errors => this.wsServer.send(ws, { type: 'graphql-error', id, errors: errors.map(formatError) });
+
+    if (typeof id !== 'string' || !id) {
+      return sendErrors([new Error('graphql-subscribe needs an id')]);
+    }
+
+    const subscriptions = this.getClientSubscriptions(ws);
+    if (subscriptions.has(id)) {
+      return sendErrors([new Error(`Subscription ${id} is already running`)]);
+    }
+    // Taken while the subscription starts, so the id cannot be used twice meanwhile
+    let running = { return: () => {} };
+    subscriptions.set(id, running);
+
+    try {
+      const schema = await this.getSchema();
+      const document = parse(String(query || ''));
+      const errors = validate(schema, document);
+
+      if (errors.length > 0) {
+        this.stopSubscription(ws, id);
+        return sendErrors(errors);
+      }
+
+      const operation = getOperationAST(document, operationName);
+      if (!operation || operation.operation !== 'subscription') {
+        this.stopSubscription(ws, id);
+        return sendErrors([new Error('Only subscriptions are run over the WebSocket - send queries and mutations to /graphql')]);
+      }
+
+      const result = await subscribe({ schema, document, variableValues: variables, operationName });
+
+      if (!result[Symbol.asyncIterator]) {
+        this.stopSubscription(ws, id);
+        return sendErrors(result.errors);
+      }
+
+      // Stopped before it started
+      if (subscriptions.get(id) !== running) {
+        result.return();
+        return;
+      }
+      running = result;
+      subscriptions.set(id, running);
+
+      for await (const payload of result) {
+        this.wsServer.send(ws, { type: 'graphql-next', id, payload: formatResult(payload) });
+      }
+    } catch (error) {
+      sendErrors([error]);
+    }
+
+    if (subscriptions.get(id) === running) {
+      subscriptions.delete(id);
+    }
+    this.wsServer.send(ws, { type: 'graphql-complete', id });
+  }
+
+  /**
+   * Handle a graphql-unsubscribe message: { id }
+   */
+  stopSubscription(ws, id) {
+    const subscriptions = this.clients.get(ws);
+    const iterator = subscriptions?.get(id);
+
+    if (iterator) {
+      subscriptions.delete(id);
+      iterator.return();
+    }
+  }
+}
+
+module.exports = GraphQLApi;
@@ -0,0 +1,204 @@
+const {
+  GraphQLScalarType,
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLFloat,
+  GraphQLBoolean,
+  Kind
+} = require('graphql');
+const { isRichText } = require('./richText');
+
+/**
+ * GraphQL Types
+ *
+ * Turns the JSON schemas NodeLx already knows (page schemas, content types via typeToSchema)
+ * into GraphQL object types, and infers a schema from blueprint content where there is none.
+ * Content keys that are not valid GraphQL names (e.g. "stats-years") are left out of the
+ * generated types - they stay reachable through Page.field(path)
+ */
+
+const NAME_PATTERN = /^[_A-Za-z][_0-9A-Za-z]*$/;
+
+/**
+ * Any JSON value - used for metadata, untyped content and values whose shape varies (rich text)
+ */
+const GraphQLJSON = new GraphQLScalarType({
+  name: 'JSON',
+  description: 'Any JSON value',
+  serialize: value => value,
+  parseValue: value => value,
+  parseLiteral: parseJSONLiteral
+});
+
+function parseJSONLiteral(node, variables) {
+  switch (node.kind) {
+    case Kind.STRING:
+    case Kind.BOOLEAN:
+    case Kind.ENUM:
+      return node.value;
+    case Kind.INT:
+    case Kind.FLOAT:
+      return Number(node.value);
+    case Kind.LIST:
+      return node.values.map(value => parseJSONLiteral(value, variables));
+    case Kind.OBJECT:
+      return Object.fromEntries(node.fields.map(field => [field.name.value, parseJSONLiteral(field.value, variables)]));
+    case Kind.VARIABLE:
+      return variables ? variables[node.name.value] : undefined;
+    default:
+      return null;
+  }
+}
+
+/**
+ * "service-page" -> "ServicePage", or null if nothing usable is left
+ */
+function toTypeName(name) {
+  const typeName = String(name)
+    .split(/[^0-9A-Za-z]+/)
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join('');
+
+  if (!typeName) {
+    return null;
+  }
+  return /^[0-9]/.test(typeName) ? `_${typeName}` : typeName;
+}
+
+/**
+ * "service-page" -> "servicePage"
+ */
+function toFieldName(name) {
+  const typeName = toTypeName(name);
+  if (!typeName) {
+    return null;
+  }
+  return typeName.startsWith('_') ? typeName : typeName[0].toLowerCase() + typeName.slice(1);
+}
+
+/**
+ * Guess a JSON schema from example content (a blueprint)
+ * References and rich text can hold anything and are left untyped
+ */
+function inferSchema(value) {
+  if (value === null || value === undefined || isRichText(value)) {
+    return {};
+  }
+  if (Array.isArray(value)) {
+    return { type: 'array', items: value.length > 0 ? inferSchema(value[0]) : {} };
+  }
+  if (typeof value === 'object') {
+    if (typeof value.$ref === 'string') {
+      return {};
+    }
+    return {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(value).map(([key, item]) => [key, inferSchema(item)]))
+    };
+  }
+  // A number in a blueprint may be a decimal on a real page
+  return { type: typeof value === 'number' ? 'number' : typeof value };
+}
+
+/**
+ * The single type a schema allows, ignoring null ({ type: ['string', 'null'] } -> 'string')
+ */
+function getSchemaType(schema) {
+  if (!Array.isArray(schema.type)) {
+    return schema.type;
+  }
+  const types = schema.type.filter(type => type !== 'null');
+  return types.length === 1 ? types[0] : undefined;
+}
+
+/**
+ * Builds GraphQL object types from JSON schemas, keeping every type name unique
+ */
+class TypeBuilder {
+  /**
+   * @param {Set<string>} reserved - Type names already used by the rest of the schema
+   */
+  constructor(reserved = new Set()) {
+    this.names = new Set(reserved);
+  }
+
+  /**
+   * A free type name: Name, Name2, Name3...
+   */
+  claimName(name) {
+    let candidate = name;
+    for (let n = 2; this.names.has(candidate); n++) {
+      candidate = `${name}${n}`;
+    }
+    this.names.add(candidate);
+    return candidate;
+  }
+
+  /**
+   * GraphQL output type of the values a schema describes
+   * @param {Object} schema - JSON schema (see schemaValidator.js)
+   * @param {string} name - Name for the type if it has to be an object type
+   */
+  outputType(schema = {}, name) {
+    if (Array.isArray(schema.enum)) {
+      return schema.enum.every(value => typeof value === 'string') ? GraphQLString : GraphQLJSON;
+    }
+
+    switch (getSchemaType(schema)) {
+      case 'string':
+        return GraphQLString;
+      case 'integer':
+        return GraphQLInt;
+      case 'number':
+        return GraphQLFloat;
+      case 'boolean':
+        return GraphQLBoolean;
+      case 'object':
+        return this.objectType(schema, name) || GraphQLJSON;
+      case 'array': {
+        if (!schema.items || Array.isArray(schema.items)) {
+          return GraphQLJSON;
+        }
+        const item = this.outputType(schema.items, `${name}Item`);
+        return item === GraphQLJSON ? GraphQLJSON : new GraphQLList(item);
+      }
+      default:
+        return GraphQLJSON;
+    }
+  }
+
+  /**
+   * Object type with a field per property, or null if no property has a usable name
+   */
+  objectType(schema, name) {
+    const properties = Object.entries(schema.properties || {}).filter(([key]) => NAME_PATTERN.test(key) && !key.startsWith('__'));
+
+    if (properties.length === 0) {
+      return null;
+    }
+
+    const typeName = this.claimName(name);
+
+    return new GraphQLObjectType({
+      name: typeName,
+      description: schema.description,
+      // Thunk - nested types are only built once this one is named
+      fields: () => Object.fromEntries(properties.map(([key, property]) => [key, {
+        type: this.outputType(property, `${typeName}${toTypeName(key)}`),
+        description: property.description
+      }]))
+    });
+  }
+}
+
+module.exports = {
+  GraphQLJSON,
+  NAME_PATTERN,
+  toTypeName,
+  toFieldName,
+  inferSchema,
+  TypeBuilder
+};
@@ -0,0 +1,106 @@
+/**
+ * Image Info
+ *
+ * Reads the format and pixel dimensions of an image from its header bytes.
+ * Supports PNG, JPEG, GIF and WebP - enough for the media library, no native deps.
+ */
+
+/**
+ * Sniff the MIME type of an image from its magic bytes
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+function detectImageType(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return 'image/png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 6 && buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return 'image/gif';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+function pngSize(buffer) {
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function gifSize(buffer) {
+  return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+}
+
+function jpegSize(buffer) {
+  let offset = 2;
+
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+
+    // SOF0-SOF15 hold the frame size (C4, C8 and CC are not frames)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+
+    offset += 2 + length;
+  }
+
+  return null;
+}
+
+function webpSize(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+const SIZE_READERS = {
+  'image/png': pngSize,
+  'image/gif': gifSize,
+  'image/jpeg': jpegSize,
+  'image/webp': webpSize
+};
+
+/**
+ * Get the type and dimensions of an image
+ * @param {Buffer} buffer - File contents
+ * @returns {{ mimeType: string, width: number, height: number }|null} null if not a supported image
+ */
+function getImageInfo(buffer) {
+  const mimeType = detectImageType(buffer);
+
+  if (!mimeType) {
+    return null;
+  }
+
+  try {
+    const size = SIZE_READERS[mimeType](buffer);
+    return size ? { mimeType, ...size } : null;
+  } catch (error) {
+    // Truncated header
+    return null;
+  }
+}
+
+module.exports = {
+  detectImageType,
+  getImageInfo
+};
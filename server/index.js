@@ -2,12 +2,103 @@ const express = require('express');
 const http = require('http');
 const path = require('path');
 const cors = require('cors');
+const multer = require('multer');
 const ContentStore = require('./contentStore');
+const MediaLibrary = require('./mediaLibrary');
+const SearchIndex = require('./searchIndex');
+const Scheduler = require('./scheduler');
+const ContentTransfer = require('./contentTransfer');
+const WebhookManager = require('./webhooks');
+const AuditLog = require('./auditLog');
+const GraphQLApi = require('./graphqlApi');
+const Presence = require('./presence');
+const EditLocks = require('./editLocks');
+const CollabHub = require('./collab');
+const { createStorageAdapter } = require('./storage');
+const { loadConfig } = require('./config');
 const WebSocketServer = require('./websocket');
 const SourceMapper = require('./sourceMap');
 const CodeEditor = require('./codeEditor');
 const ast = require('./ast');
 const themeManager = require('./themeManager');
+const { ValidationError } = require('./schemaValidator');
+const { PreconditionFailedError } = require('./etag');
+const { JsonPatchError } = require('./jsonPatch');
+const { ReferenceCycleError, PageReferencedError } = require('./references');
+const { MediaInUseError } = MediaLibrary;
+const { diffContent } = require('./revisionStore');
+
+/**
+ * Identify who made a request (sent by editors in the X-NodeLx-Author header)
+ */
+function getAuthor(req) {
+  return req.get('X-NodeLx-Author') || 'anonymous';
+}
+
+/**
+ * Collect where[<path>]=value query parameters into { path: value }
+ * Handles both the flat keys of Express' simple parser and nested objects from the extended one
+ */
+function parseWhere(query) {
+  const where = { ...(typeof query.where === 'object' ? query.where : {}) };
+
+  for (const [key, value] of Object.entries(query)) {
+    const match = key.match(/^where\[(.+)\]$/);
+    if (match) {
+      where[match[1]] = value;
+    }
+  }
+
+  return where;
+}
+
+/**
+ * Should references in returned content be resolved (?resolve=false keeps them as { "$ref": ... })
+ */
+function wantsResolved(req) {
+  return req.query.resolve !== 'false';
+}
+
+/**
+ * Send a content store error with the matching HTTP status
+ */
+function sendContentError(res, error) {
+  if (error instanceof PreconditionFailedError) {
+    return sendPreconditionFailed(res, error);
+  }
+  if (error instanceof ValidationError) {
+    return res.status(422).json({ error: error.message, errors: error.errors });
+  }
+  if (error instanceof JsonPatchError) {
+    return res.status(422).json({ error: error.message, operation: error.operation });
+  }
+  if (error instanceof ReferenceCycleError) {
+    return res.status(422).json({ error: error.message, cycle: error.cycle });
+  }
+  if (error instanceof MediaInUseError || error instanceof PageReferencedError) {
+    return res.status(409).json({ error: error.message, usedBy: error.usedBy });
+  }
+  if (error instanceof multer.MulterError) {
+    return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: error.message });
+  }
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes('already exists')) {
+    return res.status(409).json({ error: error.message });
+  }
+  res.status(400).json({ error: error.message });
+}
+
+/**
+ * Answer a stale If-Match with 412 and the current server copy to merge against
+ */
+function sendPreconditionFailed(res, error) {
+  if (error.etag) {
+    res.set('ETag', error.etag);
+  }
+  res.status(412).json({ error: error.message, etag: error.etag, current: error.current });
+}
 
 /**
  * NodeLx Development Server
@@ -16,12 +107,47 @@ const themeManager = require('./themeManager');
 class NodeLxServer {
   constructor(options = {}) {
     this.port = options.port || 3001;
+    this.config = loadConfig(options.configPath);
     this.app = express();
     this.server = http.createServer(this.app);
 
     // Initialize core systems
-    this.contentStore = new ContentStore('./content');
-    this.wsServer = new WebSocketServer(this.server);
+    this.contentStore = new ContentStore('./content', {
+      locales: this.config.locales,
+      storage: createStorageAdapter(this.config.storage, './content')
+    });
+    this.media = new MediaLibrary(this.config.media.dir, {
+      ...this.config.media,
+      contentStore: this.contentStore
+    });
+    this.search = new SearchIndex(this.contentStore);
+    this.scheduler = new Scheduler(this.contentStore);
+    this.transfer = new ContentTransfer({
+      contentStore: this.contentStore,
+      media: this.media,
+      theme: themeManager
+    });
+    this.webhooks = new WebhookManager('./content/.webhooks.json', this.config.webhooks);
+    this.audit = new AuditLog('./content/.audit.log');
+    this.upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: this.config.media.maxFileSize }
+    }).single('file');
+    this.wsServer = new WebSocketServer(this.server, this.config.websocket);
+    this.presence = new Presence(this.wsServer);
+    this.locks = new EditLocks(this.wsServer, this.presence, this.config.locks, () => this.codeEditor.projectPath);
+    this.collab = new CollabHub({
+      contentStore: this.contentStore,
+      wsServer: this.wsServer,
+      presence: this.presence
+    }, this.config.collab);
+    this.graphql = new GraphQLApi({
+      contentStore: this.contentStore,
+      media: this.media,
+      theme: themeManager,
+      wsServer: this.wsServer,
+      changeTheme: (operation, change) => this.changeTheme(operation, change)
+    });
     this.sourceMapper = new SourceMapper('./client/components');
     this.codeEditor = new CodeEditor(); // Will be configured per-request
   }
@@ -31,19 +157,60 @@ class NodeLxServer {
     // NETWORK MODE: Allow connections from any device on local network
     this.app.use(cors({
       origin: true, // Accept requests from any origin (dev mode)
-      credentials: true
+      credentials: true,
+      exposedHeaders: ['ETag'] // Needed by editors for If-Match writes
+    }));
+    // Changes made while handling a request are recorded under its author
+    this.app.use(this.audit.middleware());
+    // Imports may be whole sites - they get a larger limit than other requests, and CSV
+    const importLimit = this.config.transfer.maxImportSize;
+    this.app.use('/api/content/_import',
+      express.json({ limit: importLimit }),
+      express.text({ type: 'text/csv', limit: importLimit }));
+    this.app.use(express.json({
+      type: ['application/json', 'application/json-patch+json']
     }));
-    this.app.use(express.json());
     this.app.use(express.static('public'));
+    this.app.use(this.config.media.urlPrefix, express.static(this.media.mediaDir));
 
     // Initialize content store
     await this.contentStore.initialize();
-
-    // Subscribe to content changes and notify WebSocket clients
+    await this.media.initialize();
+    this.search.initialize();
+    await this.webhooks.initialize();
+    await this.audit.initialize();
+
+    // Webhooks get content changes and the theme/source broadcasts, the audit log every content change -
+    // subscribed before the scheduler catches up, so publishes due during downtime are sent and recorded too
+    this.contentStore.subscribe(event => this.webhooks.handleContentEvent(event));
+    this.wsServer.subscribe(message => this.webhooks.handleBroadcast(message));
+    this.contentStore.subscribe(event => this.audit.handleContentEvent(event));
+
+    await this.scheduler.initialize();
+
+    // Subscribe to content changes and notify WebSocket clients - without the drafts, which
+    // clients read through the API. Changes to a translation only go to clients reading that locale
+    // (or one falling back to it)
     this.contentStore.subscribe((event) => {
-      this.wsServer.notifyContentChange(event);
+      this.wsServer.notifyContentChange(ContentStore.withoutDrafts(event), event.locale
+        ? (clientLocale) => this.contentStore.isLocaleInChain(clientLocale, event.locale)
+        : null);
     });
 
+    // GraphQL subscriptions run over the same WebSocket
+    this.wsServer.onMessage('graphql-subscribe', (ws, data) => this.graphql.startSubscription(ws, data));
+    this.wsServer.onMessage('graphql-unsubscribe', (ws, data) => this.graphql.stopSubscription(ws, data.id));
+    this.wsServer.onMessage('presence', (ws, data) => this.presence.update(ws, data));
+    this.wsServer.onMessage('lock-acquire', (ws, data) => this.locks.acquire(ws, data));
+    this.wsServer.onMessage('lock-release', (ws, data) => this.locks.releaseFor(ws, data));
+
+    // Text fields edited by several people at once (see collab.js)
+    this.contentStore.subscribe(event => this.collab.handleContentEvent(event));
+    this.wsServer.onMessage('collab-join', (ws, data) => this.collab.join(ws, data));
+    this.wsServer.onMessage('collab-update', (ws, data) => this.collab.update(ws, data));
+    this.wsServer.onMessage('collab-cursor', (ws, data) => this.collab.cursor(ws, data));
+    this.wsServer.onMessage('collab-leave', (ws, data) => this.collab.leave(ws, data));
+
     // Initialize source mapper
     await this.sourceMapper.parseAllFiles();
 
@@ -59,34 +226,428 @@ class NodeLxServer {
       res.json({ status: 'ok', timestamp: new Date().toISOString() });
     });
 
-    // Get all content
+    // Get all content (published unless ?stage=draft, ?locale=es translates it,
+    // ?at=<ISO date> previews it with the schedules due by then applied)
+    // With where[<path>]=, sort=, limit= or offset= only the matching pages are listed:
+    //   ?where[metadata.author]=system&sort=-metadata.lastModified&limit=10 -> { total, pages }
     this.app.get('/api/content', (req, res) => {
-      const content = this.contentStore.getAllContent();
-      res.json(content);
+      try {
+        const { stage = 'published', locale, at, format, sort, limit, offset } = req.query;
+        const where = parseWhere(req.query);
+        const resolve = wantsResolved(req);
+
+        if (Object.keys(where).length > 0 || sort || limit !== undefined || offset !== undefined) {
+          return res.json(this.contentStore.queryContent({ where, sort, limit, offset, stage, locale, at, format, resolve }));
+        }
+
+        const content = this.contentStore.getAllContent({ stage, locale, at, format, resolve });
+        res.json(content);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
     });
 
-    // Get content by page ID
-    this.app.get('/api/content/:pageId', (req, res) => {
-      const { pageId } = req.params;
-      const content = this.contentStore.getContent(pageId);
+    // Create a new page (optionally from content/blueprints/<blueprint>.json)
+    this.app.post('/api/content', async (req, res) => {
+      try {
+        const { pageId, content, metadata, type, blueprint } = req.body;
+
+        if (!pageId) {
+          return res.status(400).json({ error: 'pageId is required' });
+        }
 
-      if (!content) {
-        return res.status(404).json({ error: 'Page not found' });
+        await this.contentStore.createPage(pageId, { content, metadata, type, blueprint }, {
+          author: getAuthor(req)
+        });
+        this.sendPage(res, pageId, 'draft', 201);
+      } catch (error) {
+        sendContentError(res, error);
       }
+    });
 
-      res.json(content);
+    // List pages in the trash
+    this.app.get('/api/content/_trash', async (req, res) => {
+      try {
+        const entries = await this.contentStore.listTrash();
+        res.json({ entries });
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // Restore a page from the trash
+    this.app.post('/api/content/_trash/:trashId/restore', async (req, res) => {
+      try {
+        const { trashId } = req.params;
+        const page = await this.contentStore.restoreFromTrash(trashId, {
+          author: getAuthor(req)
+        });
+        this.sendPage(res, page.pageId, 'draft');
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // Report content and schema files that failed to load or validate
+    this.app.get('/api/content/_diagnostics', (req, res) => {
+      res.json(this.contentStore.getDiagnostics());
+    });
+
+    // Locale settings and the fields each locale has not translated yet
+    this.app.get('/api/content/_locales', (req, res) => {
+      res.json(this.contentStore.getMissingTranslations());
+    });
+
+    // List the content types (content/types/<name>.json)
+    this.app.get('/api/content/_types', (req, res) => {
+      res.json({ types: this.contentStore.listTypes() });
+    });
+
+    // Get a content type's fields, editor widgets and defaults
+    this.app.get('/api/content/_types/:name', (req, res) => {
+      try {
+        res.json(this.contentStore.getType(req.params.name));
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // Export every page, schema, the theme and the media manifest as one JSON bundle
+    // ?format=csv exports the text fields of every page instead, one column per locale, for translators
+    this.app.get('/api/content/_export', async (req, res) => {
+      try {
+        const { format = 'json' } = req.query;
+        const date = new Date().toISOString().slice(0, 10);
+
+        if (format === 'csv') {
+          res.attachment(`nodelx-translations-${date}.csv`);
+          return res.type('text/csv').send(this.transfer.exportCSV());
+        }
+        if (format !== 'json') {
+          return res.status(400).json({ error: `Unknown format: ${format} (use json or csv)` });
+        }
+
+        res.attachment(`nodelx-export-${date}.json`);
+        res.json(await this.transfer.exportBundle());
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // Import a bundle (application/json) or translations (text/csv)
+    // ?dryRun=true reports what would change without changing it,
+    // ?strategy=overwrite|skip|keep-newer settles pages and files that exist on both sides
+    this.app.post('/api/content/_import', async (req, res) => {
+      try {
+        const options = {
+          dryRun: req.query.dryRun === 'true',
+          strategy: req.query.strategy,
+          author: getAuthor(req)
+        };
+
+        if (typeof req.body === 'string') {
+          return res.json(await this.transfer.importCSV(req.body, options));
+        }
+
+        // Pages are audited as they are written, the theme as a whole
+        const report = await this.changeTheme('import', () => this.transfer.importBundle(req.body, options));
+
+        if (!options.dryRun && ['create', 'update'].includes(report.theme?.action)) {
+          this.wsServer.broadcast({
+            type: 'theme-changed',
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        res.json(report);
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // Scheduled publish/expire actions still to run, and the ones that failed
+    this.app.get('/api/content/_schedule', (req, res) => {
+      res.json(this.scheduler.getStatus());
+    });
+
+    // Full-text search across every page's published content, translations and metadata (?stage=draft searches the drafts)
+    // ?q=white glove&limit=20 -> { query, total, results: [{ pageId, score, hits: [{ field, snippet }] }] }
+    this.app.get('/api/content/search', (req, res) => {
+      try {
+        const { q = '', limit, stage } = req.query;
+        res.json(this.search.search(String(q), { limit, stage }));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Get content by page ID (published by default, ?stage=draft for editors, ?locale=es-MX with fallbacks)
+    // References are resolved unless ?resolve=false, ?at=<ISO date> previews the page as scheduled for then
+    // ?format=html|markdown returns rich-text fields rendered (sanitized HTML or Markdown) instead of their blocks
+    this.app.get('/api/content/:pageId', (req, res) => {
+      try {
+        const { pageId } = req.params;
+        const { stage = 'published', locale, at, format } = req.query;
+        const content = this.contentStore.getContent(pageId, { stage, locale, at, format, resolve: wantsResolved(req) });
+
+        if (!content) {
+          return res.status(404).json({ error: 'Page not found' });
+        }
+
+        res.set('ETag', this.contentStore.getETag(pageId));
+        res.json(content);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
     });
 
     // Update content
+    // A JSON array body is an RFC 6902 JSON Patch, an object is deep-merged into the draft
+    // ?locale=es writes translations instead of the default locale
     this.app.patch('/api/content/:pageId', async (req, res) => {
       try {
         const { pageId } = req.params;
-        const updates = req.body;
+        const { locale } = req.query;
+        const options = {
+          author: getAuthor(req),
+          ifMatch: req.get('If-Match'),
+          locale
+        };
+
+        if (Array.isArray(req.body)) {
+          await this.contentStore.patchContent(pageId, req.body, options);
+        } else {
+          // Editors send { content: { field: value } }, integrations send flat fields
+          const updates = req.body.content && typeof req.body.content === 'object'
+            ? req.body.content
+            : req.body;
+
+          await this.contentStore.updateContent(pageId, updates, options);
+        }
 
-        const updated = await this.contentStore.updateContent(pageId, updates);
-        res.json(updated);
+        this.sendPage(res, pageId, 'draft', 200, locale);
       } catch (error) {
-        res.status(400).json({ error: error.message });
+        sendContentError(res, error);
+      }
+    });
+
+    // Publish the draft of a page
+    this.app.post('/api/content/:pageId/publish', async (req, res) => {
+      try {
+        const { pageId } = req.params;
+        await this.contentStore.publish(pageId, {
+          author: getAuthor(req),
+          ifMatch: req.get('If-Match')
+        });
+        this.sendPage(res, pageId, 'published');
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // Duplicate a page under a new ID
+    this.app.post('/api/content/:pageId/duplicate', async (req, res) => {
+      try {
+        const { pageId } = req.params;
+        const { newPageId } = req.body;
+
+        if (!newPageId) {
+          return res.status(400).json({ error: 'newPageId is required' });
+        }
+
+        await this.contentStore.duplicatePage(pageId, newPageId, {
+          author: getAuthor(req)
+        });
+        this.sendPage(res, newPageId, 'draft', 201);
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // Rename a page
+    this.app.patch('/api/content/:pageId/rename', async (req, res) => {
+      try {
+        const { pageId } = req.params;
+        const { newPageId } = req.body;
+
+        if (!newPageId) {
+          return res.status(400).json({ error: 'newPageId is required' });
+        }
+
+        await this.contentStore.renamePage(pageId, newPageId, {
+          author: getAuthor(req),
+          ifMatch: req.get('If-Match')
+        });
+        this.sendPage(res, newPageId, 'draft');
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // Schedule a page or some of its fields to be published / taken down
+    // Body: { publishAt, expireAt, fields: { <path>: { publishAt, expireAt } } }, null clears the schedule
+    this.app.put('/api/content/:pageId/schedule', async (req, res) => {
+      try {
+        const { pageId } = req.params;
+        const schedule = req.body && 'schedule' in req.body ? req.body.schedule : req.body;
+
+        await this.contentStore.setSchedule(pageId, schedule, {
+          author: getAuthor(req),
+          ifMatch: req.get('If-Match')
+        });
+        this.sendPage(res, pageId, 'draft');
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // Delete a page (moved to the trash)
+    this.app.delete('/api/content/:pageId', async (req, res) => {
+      try {
+        const { pageId } = req.params;
+        const result = await this.contentStore.deletePage(pageId, {
+          author: getAuthor(req)
+        });
+        res.json({ success: true, ...result });
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // Where a page (or ?path=phoneNumber in it) is used by references, and what it references
+    this.app.get('/api/content/:pageId/references', (req, res) => {
+      try {
+        const { pageId } = req.params;
+        res.json(this.contentStore.getReferences(pageId, req.query.path));
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // Compare two versions of a page field by field
+    // Body: { from, to }, each { content }, { rev, stage } or { stage } - the published content and draft by default
+    this.app.post('/api/content/:pageId/diff', async (req, res) => {
+      try {
+        const { pageId } = req.params;
+        const { from, to } = req.body || {};
+        res.json(await this.contentStore.diffVersions(pageId, from, to));
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // Three-way merge: { base, ours, theirs } (versions as for diff, theirs defaults to the current draft)
+    // -> { content, conflicts: [{ field, base, ours, theirs }] }. The ETag is the page's, to save the result with
+    this.app.post('/api/content/:pageId/merge', async (req, res) => {
+      try {
+        const { pageId } = req.params;
+        const etag = this.contentStore.getETag(pageId);
+        const result = await this.contentStore.mergeVersions(pageId, req.body || {});
+
+        res.set('ETag', etag);
+        res.json(result);
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // List revisions of a page
+    this.app.get('/api/content/:pageId/revisions', async (req, res) => {
+      try {
+        const { pageId } = req.params;
+        const revisions = await this.contentStore.getRevisions(pageId);
+        res.json({ pageId, revisions });
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // Get a single revision
+    this.app.get('/api/content/:pageId/revisions/:rev', async (req, res) => {
+      try {
+        const { pageId, rev } = req.params;
+        const revision = await this.contentStore.getRevision(pageId, rev);
+        res.json(revision);
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // Restore a page to a previous revision
+    this.app.post('/api/content/:pageId/revisions/:rev/restore', async (req, res) => {
+      try {
+        const { pageId, rev } = req.params;
+        await this.contentStore.restoreRevision(pageId, rev, {
+          author: getAuthor(req),
+          ifMatch: req.get('If-Match')
+        });
+        this.sendPage(res, pageId, 'draft');
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // ========== Media API ==========
+
+    // Upload a file (multipart/form-data with a "file" field and optional "alt")
+    this.app.post('/api/media', (req, res) => {
+      this.upload(req, res, async (uploadError) => {
+        try {
+          if (uploadError) {
+            throw uploadError;
+          }
+
+          if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded (send it in the "file" field)' });
+          }
+
+          const asset = await this.media.add(req.file, {
+            alt: req.body.alt,
+            author: getAuthor(req)
+          });
+
+          this.wsServer.broadcast({ type: 'media-update', action: 'upload', asset });
+          res.status(201).json(asset);
+        } catch (error) {
+          sendContentError(res, error);
+        }
+      });
+    });
+
+    // List or search assets (?q=hero&type=image/)
+    this.app.get('/api/media', (req, res) => {
+      const { q, type } = req.query;
+      res.json({ assets: this.media.list({ q, type }) });
+    });
+
+    // Get an asset with the pages that use it
+    this.app.get('/api/media/:id', (req, res) => {
+      try {
+        res.json(this.media.get(req.params.id));
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // Update asset metadata ({ alt })
+    this.app.patch('/api/media/:id', async (req, res) => {
+      try {
+        const asset = await this.media.update(req.params.id, req.body);
+        this.wsServer.broadcast({ type: 'media-update', action: 'update', asset });
+        res.json(asset);
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // Delete an asset (409 while pages still use it)
+    this.app.delete('/api/media/:id', async (req, res) => {
+      try {
+        const asset = await this.media.remove(req.params.id);
+        this.wsServer.broadcast({ type: 'media-update', action: 'delete', asset });
+        res.json({ deleted: asset.id });
+      } catch (error) {
+        sendContentError(res, error);
       }
     });
 
@@ -122,6 +683,139 @@ class NodeLxServer {
       res.json({ filename, elements });
     });
 
+    // ========== Audit API ==========
+
+    // Who changed what: content, theme and source changes, newest first
+    // ?actor=&action=content.*&pageId=&field=&filePath=&elementId=&ip=&since=&until=&limit=50&offset=0
+    this.app.get('/api/audit', async (req, res) => {
+      try {
+        res.json(await this.audit.query(req.query));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Who is connected over the WebSocket and what they have open and selected
+    this.app.get('/api/presence', (req, res) => {
+      res.json({ users: this.presence.list() });
+    });
+
+    // ========== GraphQL API ==========
+
+    // Queries and mutations: { query, variables, operationName } -> { data, errors }
+    this.app.post('/graphql', async (req, res) => {
+      try {
+        const { status, result } = await this.graphql.run(req.body || {}, { author: getAuthor(req) });
+        res.status(status).json(result);
+      } catch (error) {
+        res.status(400).json({ errors: [{ message: error.message }] });
+      }
+    });
+
+    // Queries only: ?query=&variables=<JSON>&operationName=
+    this.app.get('/graphql', async (req, res) => {
+      try {
+        const { query, variables, operationName } = req.query;
+        const { status, result } = await this.graphql.run({
+          query,
+          variables: variables ? JSON.parse(variables) : undefined,
+          operationName
+        }, { author: getAuthor(req) }, { allowMutations: false });
+        res.status(status).json(result);
+      } catch (error) {
+        res.status(400).json({ errors: [{ message: error.message }] });
+      }
+    });
+
+    // The current schema in SDL - changes with content types, blueprints and page schemas
+    this.app.get('/graphql/schema', async (req, res) => {
+      try {
+        res.type('text/plain').send(await this.graphql.getSDL());
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // ========== Webhooks API ==========
+
+    // List webhook subscriptions (configured and added through the API)
+    this.app.get('/api/webhooks', (req, res) => {
+      res.json({ webhooks: this.webhooks.list() });
+    });
+
+    // Subscribe a URL to events: { url, events: ['content.published', 'theme.*'], description, secret }
+    // The response holds the signing secret - it is not shown again
+    this.app.post('/api/webhooks', async (req, res) => {
+      try {
+        const webhook = await this.webhooks.create(req.body);
+        res.status(201).json(webhook);
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // Recent deliveries, newest first (?webhookId=&event=&status=success|failed|retrying|pending&limit=50)
+    this.app.get('/api/webhooks/deliveries', (req, res) => {
+      try {
+        res.json({ deliveries: this.webhooks.getDeliveries(req.query) });
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // A delivery with its payload and every attempt
+    this.app.get('/api/webhooks/deliveries/:deliveryId', (req, res) => {
+      try {
+        res.json(this.webhooks.getDelivery(req.params.deliveryId));
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // Send a delivery again
+    this.app.post('/api/webhooks/deliveries/:deliveryId/replay', (req, res) => {
+      try {
+        res.status(202).json(this.webhooks.replay(req.params.deliveryId));
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    this.app.get('/api/webhooks/:id', (req, res) => {
+      try {
+        res.json(this.webhooks.get(req.params.id));
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // Change a webhook's url, events, description, active flag or secret
+    this.app.patch('/api/webhooks/:id', async (req, res) => {
+      try {
+        res.json(await this.webhooks.update(req.params.id, req.body));
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    this.app.delete('/api/webhooks/:id', async (req, res) => {
+      try {
+        const webhook = await this.webhooks.remove(req.params.id);
+        res.json({ success: true, webhook });
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
+    // Send a 'ping' event to check a receiver
+    this.app.post('/api/webhooks/:id/ping', (req, res) => {
+      try {
+        res.status(202).json(this.webhooks.ping(req.params.id));
+      } catch (error) {
+        sendContentError(res, error);
+      }
+    });
+
     // ========================================
     // FILE SYSTEM API (Developer Mode)
     // ========================================
@@ -184,6 +878,7 @@ class NodeLxServer {
         }
 
         const file = await this.codeEditor.readFile(filePath);
+        res.set('ETag', file.etag);
         res.json(file);
       } catch (error) {
         if (error.message.includes('not found')) {
@@ -207,7 +902,10 @@ class NodeLxServer {
           return res.status(400).json({ error: 'content is required' });
         }
 
-        const result = await this.codeEditor.writeFile(filePath, content, createBackup);
+        const result = await this.codeEditor.writeFile(filePath, content, createBackup, {
+          ifMatch: req.get('If-Match')
+        });
+        this.auditFileChange('write', { filePath }, [{ field: 'etag', before: result.previousEtag, after: result.etag }]);
         
         // Notify WebSocket clients of file change
         this.wsServer.broadcast({
@@ -216,8 +914,12 @@ class NodeLxServer {
           timestamp: new Date().toISOString()
         });
 
+        res.set('ETag', result.etag);
         res.json(result);
       } catch (error) {
+        if (error instanceof PreconditionFailedError) {
+          return sendPreconditionFailed(res, error);
+        }
         res.status(400).json({ error: error.message });
       }
     });
@@ -233,6 +935,7 @@ class NodeLxServer {
         }
 
         const result = await this.codeEditor.createFile(filePath, content);
+        this.auditFileChange('create', { filePath }, [{ field: 'etag', after: result.etag }]);
         
         // Notify WebSocket clients
         this.wsServer.broadcast({
@@ -260,6 +963,7 @@ class NodeLxServer {
         }
 
         const result = await this.codeEditor.deleteFile(filePath);
+        this.auditFileChange('delete', { filePath }, [{ field: 'etag', before: result.etag }]);
         
         // Notify WebSocket clients
         this.wsServer.broadcast({
@@ -287,6 +991,7 @@ class NodeLxServer {
         }
 
         const result = await this.codeEditor.renameFile(oldPath, newPath);
+        this.auditFileChange('rename', { filePath: newPath, oldFilePath: oldPath });
         
         // Notify WebSocket clients
         this.wsServer.broadcast({
@@ -306,6 +1011,24 @@ class NodeLxServer {
     // AST API (Code Manipulation)
     // ========================================
 
+    // Elements locked by another editor can't be changed (see editLocks.js)
+    this.app.use('/api/ast', (req, res, next) => {
+      const { filePath, targetId } = req.body || {};
+
+      if (req.method !== 'GET' && filePath && targetId) {
+        const lock = this.locks.getConflict(filePath, targetId, req.get('X-NodeLx-Lock-Token'));
+        if (lock) {
+          return res.status(423).json({ error: `${targetId} is being edited by ${lock.owner.name}`, lock });
+        }
+      }
+      next();
+    });
+
+    // Locks held on elements: ?filePath= for one file
+    this.app.get('/api/locks', (req, res) => {
+      res.json({ locks: this.locks.list(req.query.filePath) });
+    });
+
     // Get all editable elements in a file
     this.app.get(/^\/api\/ast\/editable\/(.+)/, async (req, res) => {
       try {
@@ -348,6 +1071,7 @@ class NodeLxServer {
             targetId,
             timestamp: new Date().toISOString()
           });
+          this.auditSourceChange('insert', { filePath, elementId: targetId, position: 'after' }, [{ field: 'element', after: element }]);
         }
         
         res.json(result);
@@ -378,6 +1102,7 @@ class NodeLxServer {
             targetId,
             timestamp: new Date().toISOString()
           });
+          this.auditSourceChange('insert', { filePath, elementId: targetId, position: 'before' }, [{ field: 'element', after: element }]);
         }
         
         res.json(result);
@@ -408,6 +1133,7 @@ class NodeLxServer {
             targetId,
             timestamp: new Date().toISOString()
           });
+          this.auditSourceChange('remove', { filePath, elementId: targetId });
         }
         
         res.json(result);
@@ -438,6 +1164,7 @@ class NodeLxServer {
             targetId,
             timestamp: new Date().toISOString()
           });
+          this.auditSourceChange('update-text', { filePath, elementId: targetId }, [{ field: 'text', before: result.oldText, after: text }]);
         }
         
         res.json(result);
@@ -468,6 +1195,7 @@ class NodeLxServer {
             targetId,
             timestamp: new Date().toISOString()
           });
+          this.auditSourceChange('update-attribute', { filePath, elementId: targetId }, [{ field: attribute, before: result.oldValue, after: value }]);
         }
         
         res.json(result);
@@ -498,6 +1226,7 @@ class NodeLxServer {
             targetId,
             timestamp: new Date().toISOString()
           });
+          this.auditSourceChange('move-up', { filePath, elementId: targetId });
         }
         
         res.json(result);
@@ -528,6 +1257,7 @@ class NodeLxServer {
             targetId,
             timestamp: new Date().toISOString()
           });
+          this.auditSourceChange('move-down', { filePath, elementId: targetId });
         }
         
         res.json(result);
@@ -562,6 +1292,7 @@ class NodeLxServer {
             targetId,
             timestamp: new Date().toISOString()
           });
+          this.auditSourceChange('update-spacing', { filePath, elementId: targetId }, [{ field: spacingType, after: value }]);
         }
         
         res.json(result);
@@ -592,6 +1323,7 @@ class NodeLxServer {
             targetId,
             timestamp: new Date().toISOString()
           });
+          this.auditSourceChange('update-style', { filePath, elementId: targetId }, [{ field: 'style', after: styles }]);
         }
         
         res.json(result);
@@ -641,6 +1373,7 @@ class NodeLxServer {
             targetId,
             timestamp: new Date().toISOString()
           });
+          this.auditSourceChange('add-class', { filePath, elementId: targetId }, [{ field: 'className', after: className }]);
         }
         
         res.json(result);
@@ -671,6 +1404,7 @@ class NodeLxServer {
             targetId,
             timestamp: new Date().toISOString()
           });
+          this.auditSourceChange('remove-class', { filePath, elementId: targetId }, [{ field: 'className', before: className }]);
         }
         
         res.json(result);
@@ -696,7 +1430,7 @@ class NodeLxServer {
     // Update entire theme
     this.app.put('/api/theme', async (req, res) => {
       try {
-        const theme = await themeManager.updateTheme(req.body);
+        const theme = await this.changeTheme('update', () => themeManager.updateTheme(req.body));
         
         this.wsServer.broadcast({
           type: 'theme-changed',
@@ -725,7 +1459,7 @@ class NodeLxServer {
         const { element } = req.params;
         const settings = req.body;
         
-        const theme = await themeManager.updateTypography(element, settings);
+        const theme = await this.changeTheme('update-typography', () => themeManager.updateTypography(element, settings));
         
         this.wsServer.broadcast({
           type: 'theme-changed',
@@ -752,7 +1486,7 @@ class NodeLxServer {
     // Update colors
     this.app.patch('/api/theme/colors', async (req, res) => {
       try {
-        const theme = await themeManager.updateColors(req.body);
+        const theme = await this.changeTheme('update-colors', () => themeManager.updateColors(req.body));
         
         this.wsServer.broadcast({
           type: 'theme-changed',
@@ -784,7 +1518,7 @@ class NodeLxServer {
           return res.status(400).json({ error: 'fontName is required' });
         }
 
-        const theme = await themeManager.addGoogleFont(fontName);
+        const theme = await this.changeTheme('add-font', () => themeManager.addGoogleFont(fontName));
         
         this.wsServer.broadcast({
           type: 'theme-changed',
@@ -806,7 +1540,7 @@ class NodeLxServer {
           return res.status(400).json({ error: 'fontName is required' });
         }
 
-        const theme = await themeManager.removeGoogleFont(fontName);
+        const theme = await this.changeTheme('remove-font', () => themeManager.removeGoogleFont(fontName));
         
         this.wsServer.broadcast({
           type: 'theme-changed',
@@ -837,7 +1571,7 @@ class NodeLxServer {
     // Reset theme to defaults
     this.app.post('/api/theme/reset', async (req, res) => {
       try {
-        const theme = await themeManager.resetTheme();
+        const theme = await this.changeTheme('reset', () => themeManager.resetTheme());
         
         this.wsServer.broadcast({
           type: 'theme-reset',
@@ -851,6 +1585,58 @@ class NodeLxServer {
     });
   }
 
+  /**
+   * Make a change to the theme and record what it changed, field by field, in the audit log
+   * Nothing is recorded if the change leaves the theme as it was (or fails)
+   * @param {string} operation - e.g. 'update-colors'
+   * @param {Function} change - Async function making the change
+   * @returns {Promise<*>} What the change returned
+   */
+  async changeTheme(operation, change) {
+    const before = await themeManager.getTheme();
+    const result = await change();
+    const changes = diffContent(before, await themeManager.getTheme());
+
+    if (changes.length > 0) {
+      this.audit.record({
+        action: `theme.${operation}`,
+        target: { filePath: path.relative(process.cwd(), themeManager.THEME_FILE) },
+        changes
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Record a change made to a source file through the AST routes in the audit log
+   * @param {string} operation - e.g. 'update-text'
+   * @param {Object} target - { filePath, elementId (data-editable id), ... }
+   * @param {Array} changes - [{ field, before, after }]
+   */
+  auditSourceChange(operation, target, changes = []) {
+    this.audit.record({ action: `ast.${operation}`, target, changes });
+  }
+
+  /**
+   * Record a change made to a source file through the file routes in the audit log
+   * The file's ETags stand in for its content before and after (the old content is in the .bak file)
+   * @param {string} operation - 'write', 'create', 'delete' or 'rename'
+   * @param {Object} target - { filePath, oldFilePath (renames) }
+   * @param {Array} changes - [{ field: 'etag', before, after }]
+   */
+  auditFileChange(operation, target, changes = []) {
+    this.audit.record({ action: `file.${operation}`, target, changes });
+  }
+
+  /**
+   * Send a page at a stage (and locale) along with its ETag - ?resolve=false on the request keeps references
+   */
+  sendPage(res, pageId, stage, status = 200, locale = undefined) {
+    res.set('ETag', this.contentStore.getETag(pageId));
+    res.status(status).json(this.contentStore.getContent(pageId, { stage, locale, resolve: wantsResolved(res.req) }));
+  }
+
   start() {
     this.server.listen(this.port, '0.0.0.0', () => {
       console.log('\n==========================================');
@@ -858,14 +1644,35 @@ class NodeLxServer {
       console.log('==========================================');
       console.log(`Server running at: http://localhost:${this.port}`);
       console.log(`Network access: http://<YOUR_IP>:${this.port}`);
-      console.log(`Content Store: ${this.contentStore.store.size} pages loaded`);
+      console.log(`Content Store: ${this.contentStore.store.size} pages loaded (${this.contentStore.storage.name} storage)`);
       console.log(`Source Mapper: ${this.sourceMapper.sourceMap.size} components mapped`);
       console.log(`Code Editor: Ready (Developer Mode)`);
       console.log(`AST Parser: Ready`);
       console.log(`Theme Manager: Ready`);
       console.log('==========================================');
       console.log('API Endpoints:');
-      console.log('  Content:  GET/PATCH /api/content/:pageId');
+      console.log('  Content:  GET/PATCH /api/content/:pageId[?stage=draft|published][&locale=es]');
+      console.log('            GET /api/content/:pageId?format=html|markdown|json');
+      console.log('            POST /api/content/:pageId/publish, PUT .../schedule');
+      console.log('            GET /api/content/_diagnostics, GET /api/content/_locales');
+      console.log('            GET /api/content/_types[/:name]');
+      console.log('            GET /api/content/_schedule, GET /api/content/:pageId?at=<date>');
+      console.log('            GET /api/content/search?q=, GET /api/content?where[path]=&sort=&limit=');
+      console.log('            POST /api/content, DELETE /api/content/:pageId');
+      console.log('            POST /api/content/:pageId/duplicate, PATCH .../rename');
+      console.log('            GET /api/content/_trash, POST .../_trash/:trashId/restore');
+      console.log('            GET /api/content/_export[?format=csv], POST /api/content/_import');
+      console.log('            GET /api/content/:pageId/revisions[/:rev]');
+      console.log('            GET /api/content/:pageId/references[?path=]');
+      console.log('            POST /api/content/:pageId/diff, POST .../merge');
+      console.log('            POST /api/content/:pageId/revisions/:rev/restore');
+      console.log('  Media:    GET/POST /api/media, GET/PATCH/DELETE /api/media/:id');
+      console.log('  GraphQL:  POST|GET /graphql, GET /graphql/schema (subscriptions over the WebSocket)');
+      console.log('  Audit:    GET /api/audit[?actor=&action=&pageId=&field=&since=&until=&limit=&offset=]');
+      console.log('  Presence: GET /api/presence');
+      console.log('  Locks:    GET /api/locks[?filePath=]');
+      console.log('  Webhooks: GET/POST /api/webhooks, GET/PATCH/DELETE /api/webhooks/:id, POST .../:id/ping');
+      console.log('            GET /api/webhooks/deliveries[/:deliveryId], POST .../:deliveryId/replay');
       console.log('  Files:    GET/PUT/POST/DELETE /api/files/*');
       console.log('  Tree:     GET /api/files/tree');
       console.log('  AST:      POST /api/ast/insert/after|before');
@@ -883,7 +1690,13 @@ class NodeLxServer {
   }
 
   async stop() {
+    this.webhooks.close();
+    this.scheduler.close();
+    this.search.close();
+    this.locks.close();
+    await this.collab.flush();
     await this.contentStore.destroy();
+    this.wsServer.close();
     this.server.close();
   }
 }
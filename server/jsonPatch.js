@@ -0,0 +1,375 @@
+/**
+ * JSON Patch & Content Paths
+ *
+ * Helpers for structured (nested) content:
+ * - paths as JSON Pointers ("/stats/0/label") or dotted paths ("stats[0].label", "stats.0.label")
+ * - deep merging of partial updates
+ * - RFC 6902 JSON Patch (add, remove, replace, move, copy, test)
+ */
+
+/**
+ * Raised when a patch operation cannot be applied
+ */
+class JsonPatchError extends Error {
+  constructor(message, operation) {
+    super(message);
+    this.name = 'JsonPatchError';
+    this.operation = operation;
+  }
+}
+
+/**
+ * Is a value a plain object (not an array or null)
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Does an object have a key of its own (not one inherited from its prototype)
+ */
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// Keys that would reach an object's prototype instead of a field
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Reject path tokens and keys that would write onto a prototype
+ */
+function assertSafeTokens(tokens) {
+  const unsafe = tokens.find(token => UNSAFE_KEYS.includes(String(token)));
+
+  if (unsafe !== undefined) {
+    throw new JsonPatchError(`Invalid field name: ${unsafe}`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Deep copy a JSON value
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Is a key meant as a path rather than a plain field name
+ */
+function isPath(key) {
+  return key.startsWith('/') || key.includes('.') || key.includes('[');
+}
+
+/**
+ * Split a JSON Pointer or dotted path into tokens
+ * @param {string} path - "/a/0/b", "a[0].b" or "a.0.b"
+ * @returns {string[]}
+ */
+function parsePath(path) {
+  if (path === '' || path === '/') {
+    return [];
+  }
+
+  if (path.startsWith('/')) {
+    return assertSafeTokens(path
+      .slice(1)
+      .split('/')
+      .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~')));
+  }
+
+  return assertSafeTokens(path
+    .replace(/\[(\d+|-)\]/g, '.$1')
+    .split('.')
+    .filter(token => token !== ''));
+}
+
+/**
+ * Turn path tokens into a JSON Pointer
+ */
+function toPointer(tokens) {
+  return tokens.map(token => `/${String(token).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Parse an array index token ('-' means the end of the array)
+ */
+function parseIndex(token, array, allowEnd, operation) {
+  if (token === '-' && allowEnd) {
+    return array.length;
+  }
+
+  if (!/^\d+$/.test(token)) {
+    throw new JsonPatchError(`Invalid array index: ${token}`, operation);
+  }
+
+  const index = parseInt(token, 10);
+  const max = allowEnd ? array.length : array.length - 1;
+
+  if (index > max) {
+    throw new JsonPatchError(`Array index out of bounds: ${token}`, operation);
+  }
+
+  return index;
+}
+
+/**
+ * Get the value at a path, or undefined if it does not exist
+ */
+function getPath(doc, path) {
+  const tokens = Array.isArray(path) ? path : parsePath(path);
+  let current = doc;
+
+  for (const token of tokens) {
+    if (Array.isArray(current)) {
+      current = current[parseInt(token, 10)];
+    } else if (isPlainObject(current)) {
+      current = hasOwn(current, token) ? current[token] : undefined;
+    } else {
+      return undefined;
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Set the value at a path in place, creating missing objects along the way
+ */
+function setPath(doc, path, value) {
+  const tokens = Array.isArray(path) ? assertSafeTokens(path) : parsePath(path);
+  let current = doc;
+
+  tokens.forEach((token, i) => {
+    const last = i === tokens.length - 1;
+
+    if (Array.isArray(current)) {
+      const index = token === '-' ? current.length : parseInt(token, 10);
+      if (last) {
+        current[index] = value;
+      } else {
+        if (!isPlainObject(current[index]) && !Array.isArray(current[index])) {
+          current[index] = {};
+        }
+        current = current[index];
+      }
+      return;
+    }
+
+    if (last) {
+      current[token] = value;
+    } else {
+      const next = hasOwn(current, token) ? current[token] : undefined;
+      if (!isPlainObject(next) && !Array.isArray(next)) {
+        current[token] = {};
+      }
+      current = current[token];
+    }
+  });
+
+  return doc;
+}
+
+/**
+ * Remove the value at a path in place (nothing happens if it does not exist)
+ */
+function unsetPath(doc, path) {
+  const tokens = Array.isArray(path) ? path : parsePath(path);
+
+  if (tokens.length === 0) {
+    return doc;
+  }
+
+  const parent = getPath(doc, tokens.slice(0, -1));
+  const last = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent) && /^\d+$/.test(last) && parseInt(last, 10) < parent.length) {
+    parent.splice(parseInt(last, 10), 1);
+  } else if (isPlainObject(parent)) {
+    delete parent[last];
+  }
+
+  return doc;
+}
+
+/**
+ * Deep merge source into a copy of target
+ * Objects merge key by key, arrays and scalars replace.
+ * Keys that look like paths ("stats.years.label", "/stats/years/label") set that nested value
+ */
+function deepMerge(target, source) {
+  const result = isPlainObject(target) ? clone(target) : {};
+
+  for (const [key, value] of Object.entries(source)) {
+    assertSafeTokens([key]);
+
+    if (isPath(key)) {
+      const tokens = parsePath(key);
+      const existing = getPath(result, tokens);
+      setPath(result, tokens, isPlainObject(value) && isPlainObject(existing)
+        ? deepMerge(existing, value)
+        : clone(value));
+    } else if (isPlainObject(value) && hasOwn(result, key) && isPlainObject(result[key])) {
+      result[key] = deepMerge(result[key], value);
+    } else {
+      result[key] = clone(value);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Compare two JSON values structurally
+ */
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => hasOwn(b, key) && deepEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+/**
+ * Resolve the container and key an operation path points into
+ */
+function resolveParent(doc, tokens, operation) {
+  const parent = getPath(doc, tokens.slice(0, -1));
+
+  if (!Array.isArray(parent) && !isPlainObject(parent)) {
+    throw new JsonPatchError(`Path not found: ${toPointer(tokens.slice(0, -1)) || '/'}`, operation);
+  }
+
+  return { parent, key: tokens[tokens.length - 1] };
+}
+
+function addValue(doc, tokens, value, operation) {
+  if (tokens.length === 0) {
+    return value;
+  }
+
+  const { parent, key } = resolveParent(doc, tokens, operation);
+
+  if (Array.isArray(parent)) {
+    parent.splice(parseIndex(key, parent, true, operation), 0, value);
+  } else {
+    parent[key] = value;
+  }
+
+  return doc;
+}
+
+function removeValue(doc, tokens, operation) {
+  if (tokens.length === 0) {
+    throw new JsonPatchError('Cannot remove the whole document', operation);
+  }
+
+  const { parent, key } = resolveParent(doc, tokens, operation);
+
+  if (Array.isArray(parent)) {
+    return parent.splice(parseIndex(key, parent, false, operation), 1)[0];
+  }
+
+  if (!hasOwn(parent, key)) {
+    throw new JsonPatchError(`Path not found: ${toPointer(tokens)}`, operation);
+  }
+
+  const removed = parent[key];
+  delete parent[key];
+  return removed;
+}
+
+/**
+ * Apply RFC 6902 operations to a copy of a document
+ * Paths may be JSON Pointers or dotted paths
+ * @param {*} doc - Document to patch (not modified)
+ * @param {Array<Object>} operations - Patch operations
+ * @returns {*} The patched document
+ */
+function applyPatch(doc, operations) {
+  if (!Array.isArray(operations)) {
+    throw new JsonPatchError('A JSON Patch must be an array of operations');
+  }
+
+  let result = clone(doc);
+
+  for (const operation of operations) {
+    if (!operation || typeof operation.path !== 'string') {
+      throw new JsonPatchError('Every operation needs a string path', operation);
+    }
+
+    const tokens = parsePath(operation.path);
+
+    switch (operation.op) {
+      case 'add':
+        result = addValue(result, tokens, clone(operation.value), operation);
+        break;
+
+      case 'remove':
+        removeValue(result, tokens, operation);
+        break;
+
+      case 'replace':
+        if (getPath(result, tokens) === undefined) {
+          throw new JsonPatchError(`Path not found: ${operation.path}`, operation);
+        }
+        if (tokens.length === 0) {
+          result = clone(operation.value);
+        } else {
+          // Replace in place so object keys keep their order
+          const { parent, key } = resolveParent(result, tokens, operation);
+          parent[Array.isArray(parent) ? parseIndex(key, parent, false, operation) : key] = clone(operation.value);
+        }
+        break;
+
+      case 'move': {
+        const from = parsePath(operation.from || '');
+        if (toPointer(tokens).startsWith(`${toPointer(from)}/`)) {
+          throw new JsonPatchError('Cannot move a value into itself', operation);
+        }
+        const value = removeValue(result, from, operation);
+        result = addValue(result, tokens, value, operation);
+        break;
+      }
+
+      case 'copy': {
+        const value = getPath(result, parsePath(operation.from || ''));
+        if (value === undefined) {
+          throw new JsonPatchError(`Path not found: ${operation.from}`, operation);
+        }
+        result = addValue(result, tokens, clone(value), operation);
+        break;
+      }
+
+      case 'test':
+        if (!deepEqual(getPath(result, tokens), operation.value)) {
+          throw new JsonPatchError(`Test failed at ${operation.path}`, operation);
+        }
+        break;
+
+      default:
+        throw new JsonPatchError(`Unknown patch operation: ${operation.op}`, operation);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  parsePath,
+  toPointer,
+  getPath,
+  setPath,
+  unsetPath,
+  deepMerge,
+  deepEqual,
+  applyPatch,
+  isPlainObject,
+  JsonPatchError
+};
@@ -0,0 +1,335 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getImageInfo } = require('./imageInfo');
+const { writeFileAtomic } = require('./atomicWrite');
+const { isPlainObject } = require('./jsonPatch');
+
+const INDEX_FILE = '.media.json';
+
+// Extensions files of each type are stored with, the first one unless the upload used another.
+// The extension decides the Content-Type files are served with, so it never comes from the upload alone
+const EXTENSIONS = {
+  'image/png': ['.png'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/gif': ['.gif'],
+  'image/webp': ['.webp'],
+  'application/pdf': ['.pdf'],
+  'video/mp4': ['.mp4', '.m4v'],
+  'video/webm': ['.webm'],
+  'audio/mpeg': ['.mp3'],
+  'audio/mp4': ['.m4a'],
+  'audio/ogg': ['.ogg', '.oga'],
+  'audio/wav': ['.wav'],
+  'font/woff': ['.woff'],
+  'font/woff2': ['.woff2'],
+  'text/plain': ['.txt'],
+  'text/csv': ['.csv']
+};
+
+/**
+ * Raised when deleting an asset that pages still use
+ */
+class MediaInUseError extends Error {
+  constructor(message, usedBy) {
+    super(message);
+    this.name = 'MediaInUseError';
+    this.usedBy = usedBy;
+  }
+}
+
+/**
+ * Turn an uploaded file name into a safe, readable filename with an extension of its MIME type
+ * (evil.html uploaded as application/pdf is stored as evil.pdf)
+ */
+function toSafeFilename(originalName, mimeType) {
+  const extensions = EXTENSIONS[mimeType];
+  const uploaded = path.extname(originalName).toLowerCase();
+  const ext = extensions.includes(uploaded) ? uploaded : extensions[0];
+  const base = path.basename(originalName, path.extname(originalName))
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  return `${base || 'file'}${ext}`;
+}
+
+/**
+ * Media asset library
+ * Uploaded files live in one directory with an index (.media.json) of their metadata.
+ * Pages reference assets by URL; references are found by scanning the content store
+ */
+class MediaLibrary {
+  /**
+   * @param {string} mediaDir - Directory the files are stored in
+   * @param {Object} options - { urlPrefix, baseUrl, allowedTypes, contentStore } (see config.js)
+   */
+  constructor(mediaDir = './public/media', options = {}) {
+    this.mediaDir = path.resolve(mediaDir);
+    this.urlPrefix = options.urlPrefix || '/media';
+    this.baseUrl = options.baseUrl || '';
+    this.allowedTypes = options.allowedTypes || ['image/'];
+    this.contentStore = options.contentStore;
+    this.assets = new Map(); // id (filename) -> asset metadata
+  }
+
+  /**
+   * Create the media directory and load the index
+   */
+  async initialize() {
+    await fs.mkdir(this.mediaDir, { recursive: true });
+
+    try {
+      const index = JSON.parse(await fs.readFile(path.join(this.mediaDir, INDEX_FILE), 'utf-8'));
+      for (const asset of index.assets || []) {
+        this.assets.set(asset.id, asset);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[MediaLibrary] Error loading index:', error);
+      }
+    }
+
+    console.log(`[MediaLibrary] ${this.assets.size} assets in ${this.mediaDir}`);
+
+    return this;
+  }
+
+  /**
+   * Persist the index - writeFileAtomic queues writes to it, so concurrent uploads land in order
+   * and one failed write doesn't hold up the next
+   */
+  saveIndex() {
+    return writeFileAtomic(
+      path.join(this.mediaDir, INDEX_FILE),
+      JSON.stringify({ assets: Array.from(this.assets.values()) }, null, 2)
+    );
+  }
+
+  /**
+   * Is a MIME type allowed by the configured list ('image/' allows every image type)
+   */
+  isAllowedType(mimeType) {
+    return this.allowedTypes.some(type => type.endsWith('/') ? mimeType.startsWith(type) : mimeType === type);
+  }
+
+  /**
+   * Store an uploaded file
+   * @param {Object} file - { buffer, originalname, mimetype, size } as parsed by multer
+   * @param {Object} options - { alt, author }
+   * @returns {Promise<Object>} The new asset
+   */
+  async add(file, options = {}) {
+    const image = getImageInfo(file.buffer);
+
+    if (!image && file.mimetype.startsWith('image/')) {
+      throw new Error(`${file.originalname} is not a readable PNG, JPEG, GIF or WebP image`);
+    }
+
+    // Trust the bytes over the browser's guess
+    const mimeType = image ? image.mimeType : file.mimetype;
+
+    if (!this.isAllowedType(mimeType)) {
+      throw new Error(`File type ${mimeType} is not allowed`);
+    }
+    if (!EXTENSIONS[mimeType]) {
+      throw new Error(`File type ${mimeType} is not supported by the media library`);
+    }
+
+    const filename = await this.writeUnique(toSafeFilename(file.originalname, mimeType), file.buffer);
+
+    const asset = {
+      id: filename,
+      filename,
+      url: `${this.baseUrl}${this.urlPrefix}/${filename}`,
+      mimeType,
+      size: file.buffer.length,
+      width: image ? image.width : null,
+      height: image ? image.height : null,
+      alt: options.alt || '',
+      originalName: file.originalname,
+      uploadedAt: new Date().toISOString(),
+      uploadedBy: options.author || 'anonymous'
+    };
+
+    this.assets.set(asset.id, asset);
+    await this.saveIndex();
+
+    console.log(`[MediaLibrary] Uploaded: ${filename} (${mimeType}, ${asset.size} bytes)`);
+
+    return asset;
+  }
+
+  /**
+   * Write a file under a free name - hero.jpg, hero-1.jpg, hero-2.jpg...
+   */
+  async writeUnique(filename, buffer) {
+    const ext = path.extname(filename);
+    const base = filename.slice(0, filename.length - ext.length);
+
+    for (let n = 0; ; n++) {
+      const candidate = n === 0 ? filename : `${base}-${n}${ext}`;
+
+      if (this.assets.has(candidate)) {
+        continue;
+      }
+
+      try {
+        // 'wx' fails if the name is taken, also by a file that is not in the index
+        await fs.writeFile(path.join(this.mediaDir, candidate), buffer, { flag: 'wx' });
+        return candidate;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * List assets, newest first
+   * @param {Object} options - { q: search in filename and alt text, type: MIME type or prefix ('image/') }
+   */
+  list(options = {}) {
+    const q = (options.q || '').toLowerCase();
+
+    return Array.from(this.assets.values())
+      .filter(asset => !q ||
+        asset.filename.toLowerCase().includes(q) ||
+        asset.alt.toLowerCase().includes(q) ||
+        (asset.originalName || '').toLowerCase().includes(q))
+      .filter(asset => !options.type || (options.type.endsWith('/')
+        ? asset.mimeType.startsWith(options.type)
+        : asset.mimeType === options.type))
+      .sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt))
+      .map(asset => ({
+        ...asset,
+        usedBy: [...new Set(this.findReferences(asset).map(ref => ref.pageId))]
+      }));
+  }
+
+  /**
+   * Get an asset with the places it is used
+   */
+  get(id) {
+    const asset = this.assets.get(id);
+
+    if (!asset) {
+      throw new Error(`Asset ${id} not found`);
+    }
+
+    return { ...asset, references: this.findReferences(asset) };
+  }
+
+  /**
+   * Update the editable metadata of an asset (alt text)
+   */
+  async update(id, updates = {}) {
+    const asset = this.assets.get(id);
+
+    if (!asset) {
+      throw new Error(`Asset ${id} not found`);
+    }
+
+    const updated = { ...asset };
+    if (typeof updates.alt === 'string') {
+      updated.alt = updates.alt;
+    }
+
+    this.assets.set(id, updated);
+    await this.saveIndex();
+
+    return updated;
+  }
+
+  /**
+   * Add or replace the index entry of a file that is already in the media directory
+   * Used by content imports - bundles carry the index, the files themselves are copied separately
+   * @param {Object} asset - Asset as listed by another NodeLx
+   */
+  async importAsset(asset) {
+    const { id, filename } = asset || {};
+
+    if (typeof filename !== 'string' || path.basename(filename) !== filename || filename.startsWith('.') || id !== filename) {
+      throw new Error(`Invalid asset: ${id}`);
+    }
+
+    await fs.access(path.join(this.mediaDir, filename)).catch(() => {
+      throw new Error(`Asset ${id} not found in ${this.mediaDir} (copy the file there first)`);
+    });
+
+    const { references, usedBy, ...entry } = asset;
+
+    this.assets.set(id, entry);
+    await this.saveIndex();
+
+    return entry;
+  }
+
+  /**
+   * Delete an asset - refused while any page (draft, published or translation) still uses it
+   */
+  async remove(id) {
+    const asset = this.assets.get(id);
+
+    if (!asset) {
+      throw new Error(`Asset ${id} not found`);
+    }
+
+    const references = this.findReferences(asset);
+
+    if (references.length > 0) {
+      const pages = [...new Set(references.map(ref => ref.pageId))];
+      throw new MediaInUseError(`Asset ${id} is used by ${pages.join(', ')}`, references);
+    }
+
+    await fs.unlink(path.join(this.mediaDir, asset.filename)).catch(error => {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    });
+
+    this.assets.delete(id);
+    await this.saveIndex();
+
+    console.log(`[MediaLibrary] Deleted: ${id}`);
+
+    return asset;
+  }
+
+  /**
+   * Find every content field that points at an asset, by its full URL or its path on this server
+   * ("/media/<file>"), so content saved before a baseUrl was set still counts
+   * @returns {Array<{pageId: string, field: string}>} field is a dotted path inside the page, e.g. "draft.heroImage"
+   */
+  findReferences(asset) {
+    if (!this.contentStore) {
+      return [];
+    }
+
+    const references = [];
+    const urls = [asset.url, `${this.urlPrefix}/${asset.filename}`];
+
+    const walk = (pageId, value, field) => {
+      if (typeof value === 'string') {
+        if (urls.some(url => value.includes(url))) {
+          references.push({ pageId, field });
+        }
+      } else if (Array.isArray(value)) {
+        value.forEach((item, i) => walk(pageId, item, `${field}.${i}`));
+      } else if (isPlainObject(value)) {
+        Object.entries(value).forEach(([key, child]) => walk(pageId, child, `${field}.${key}`));
+      }
+    };
+
+    for (const [pageId, page] of Object.entries(this.contentStore.getAllContent())) {
+      for (const layer of ['content', 'draft', 'locales']) {
+        walk(pageId, page[layer], layer);
+      }
+    }
+
+    return references;
+  }
+}
+
+module.exports = MediaLibrary;
+module.exports.MediaInUseError = MediaInUseError;
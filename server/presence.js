@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+
+// Colours handed out to collaborators - readable as outlines on light and dark pages
+const COLORS = [
+  '#e11d48', '#2563eb', '#16a34a', '#d97706', '#9333ea',
+  '#0891b2', '#db2777', '#65a30d', '#ea580c', '#4f46e5'
+];
+
+// Fields a client reports about itself
+const FIELDS = ['name', 'pageId', 'filePath', 'elementId'];
+const MAX_LENGTH = 200;
+
+/**
+ * Presence
+ *
+ * Who is connected over the WebSocket, what they have open (a page or a source file) and which
+ * data-editable element they have selected. Each connection is one collaborator with a colour;
+ * a name keeps its colour while it is free. Collaborators leave when their socket closes,
+ * including sockets the heartbeat drops
+ */
+class Presence {
+  /**
+   * @param {WebSocketServer} wsServer - Server the presence events are broadcast on
+   */
+  constructor(wsServer) {
+    this.wsServer = wsServer;
+    this.users = new Map(); // ws -> user
+  }
+
+  /**
+   * Every connected collaborator, oldest first
+   */
+  list() {
+    return [...this.users.values()];
+  }
+
+  /**
+   * Handle a presence message: { name, pageId, filePath, elementId }
+   * Fields left out keep their value, null clears them. The first message joins: the client is
+   * answered with { type: 'presence-state', you, users } and the others get { type: 'presence', action: 'join', user };
+   * later ones are broadcast as action 'update'
+   */
+  update(ws, data) {
+    const invalid = FIELDS.find(field => data[field] !== undefined && data[field] !== null &&
+      (typeof data[field] !== 'string' || data[field].length > MAX_LENGTH));
+
+    if (invalid) {
+      this.wsServer.send(ws, { type: 'error', error: `Invalid presence ${invalid}: a string of at most ${MAX_LENGTH} characters` });
+      return;
+    }
+
+    const changes = Object.fromEntries(FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field] || null]));
+    const existing = this.users.get(ws);
+
+    if (existing) {
+      const user = { ...existing, ...changes, name: changes.name || existing.name, updatedAt: new Date().toISOString() };
+      this.users.set(ws, user);
+      this.wsServer.broadcast({ type: 'presence', action: 'update', user }, ws);
+      return;
+    }
+
+    const name = changes.name || 'anonymous';
+    const now = new Date().toISOString();
+    const user = {
+      id: crypto.randomUUID(),
+      name,
+      color: this.pickColor(name),
+      pageId: changes.pageId || null,
+      filePath: changes.filePath || null,
+      elementId: changes.elementId || null,
+      connectedAt: now,
+      updatedAt: now
+    };
+
+    this.users.set(ws, user);
+    ws.once('close', () => this.leave(ws));
+
+    this.wsServer.send(ws, { type: 'presence-state', you: user.id, users: this.list() });
+    this.wsServer.broadcast({ type: 'presence', action: 'join', user }, ws);
+  }
+
+  /**
+   * Forget a disconnected client and tell the others
+   */
+  leave(ws) {
+    const user = this.users.get(ws);
+    if (!user) {
+      return;
+    }
+
+    this.users.delete(ws);
+    this.wsServer.broadcast({ type: 'presence', action: 'leave', user });
+  }
+
+  /**
+   * The colour a name hashes to, or the next one nobody else is using
+   */
+  pickColor(name) {
+    const taken = new Set(this.list().filter(user => user.name !== name).map(user => user.color));
+    const start = crypto.createHash('md5').update(name).digest().readUInt32BE(0) % COLORS.length;
+
+    for (let i = 0; i < COLORS.length; i++) {
+      const color = COLORS[(start + i) % COLORS.length];
+      if (!taken.has(color)) {
+        return color;
+      }
+    }
+    return COLORS[start];
+  }
+}
+
+module.exports = Presence;
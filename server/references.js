@@ -0,0 +1,110 @@
+const { isPlainObject, parsePath, toPointer } = require('./jsonPatch');
+
+/**
+ * Content References
+ *
+ * A field can point at content stored elsewhere instead of holding a copy:
+ *   { "phoneNumber": { "$ref": "globals#/phoneNumber" } }
+ * "<pageId>#<path>" - the path is a JSON Pointer or dotted path into that page's content,
+ * "#/path" points into the same page and "<pageId>" alone means the page's whole content.
+ * ContentStore resolves references on read.
+ */
+
+/**
+ * Raised when references point at each other in a loop
+ * `cycle` lists the references followed, e.g. ['globals#/a', 'home#/b', 'globals#/a']
+ */
+class ReferenceCycleError extends Error {
+  constructor(cycle) {
+    super(`Circular content reference: ${cycle.join(' -> ')}`);
+    this.name = 'ReferenceCycleError';
+    this.cycle = cycle;
+  }
+}
+
+/**
+ * Raised when a change would leave references to a page dangling (renaming it)
+ * `usedBy` lists the references: [{ pageId, field, ref }]
+ */
+class PageReferencedError extends Error {
+  constructor(message, usedBy) {
+    super(message);
+    this.name = 'PageReferencedError';
+    this.usedBy = usedBy;
+  }
+}
+
+/**
+ * Is a value a reference ({ "$ref": "..." } and nothing else)
+ */
+function isRef(value) {
+  return isPlainObject(value) && typeof value.$ref === 'string' && Object.keys(value).length === 1;
+}
+
+/**
+ * Split a reference into the page and path it points at
+ * @param {string} ref - "globals#/phoneNumber"
+ * @param {string} fromPageId - Page holding the reference (for "#/path")
+ * @returns {{pageId: string, tokens: string[], key: string}} key is the canonical "pageId#/pointer"
+ */
+function parseRef(ref, fromPageId) {
+  const hash = ref.indexOf('#');
+  const pageId = (hash === -1 ? ref : ref.slice(0, hash)) || fromPageId;
+  const tokens = hash === -1 ? [] : parsePath(ref.slice(hash + 1));
+
+  return { pageId, tokens, key: `${pageId}#${toPointer(tokens)}` };
+}
+
+/**
+ * List the references in a value
+ * @param {string} prefix - Dotted path of the value, prepended to each field
+ * @returns {Array<{field: string, ref: string}>}
+ */
+function findRefs(value, prefix = '') {
+  if (isRef(value)) {
+    return [{ field: prefix, ref: value.$ref }];
+  }
+
+  if (!Array.isArray(value) && !isPlainObject(value)) {
+    return [];
+  }
+
+  return Object.entries(value).flatMap(([key, child]) => findRefs(child, prefix ? `${prefix}.${key}` : key));
+}
+
+/**
+ * List the references in every layer of a page (published, draft and translations)
+ * Fields are prefixed with their layer: "content.footer.phone", "locales.es.draft.phone".
+ * Draft references that are unchanged from the published layer are left out
+ */
+function findPageRefs(page) {
+  const refs = [];
+
+  const addLayers = (layer, prefix) => {
+    const published = findRefs(layer.content || {});
+    const live = new Set(published.map(({ field, ref }) => `${field}#${ref}`));
+    const drafts = findRefs(layer.draft || {}).filter(({ field, ref }) => !live.has(`${field}#${ref}`));
+
+    const inLayer = (name, field) => (field ? `${prefix}${name}.${field}` : `${prefix}${name}`);
+
+    refs.push(...published.map(({ field, ref }) => ({ field: inLayer('content', field), ref })));
+    refs.push(...drafts.map(({ field, ref }) => ({ field: inLayer('draft', field), ref })));
+  };
+
+  addLayers(page, '');
+
+  for (const [locale, layer] of Object.entries(page.locales || {})) {
+    addLayers(layer, `locales.${locale}.`);
+  }
+
+  return refs;
+}
+
+module.exports = {
+  ReferenceCycleError,
+  PageReferencedError,
+  isRef,
+  parseRef,
+  findRefs,
+  findPageRefs
+};
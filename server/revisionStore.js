@@ -0,0 +1,168 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { deepEqual, isPlainObject } = require('./jsonPatch');
+
+/**
+ * Immutable revision history for content pages
+ * Each page gets a folder of numbered snapshots: <revisionsDir>/<pageId>/<rev>.json
+ */
+class RevisionStore {
+  constructor(revisionsDir) {
+    this.revisionsDir = path.resolve(revisionsDir);
+    this.latest = new Map(); // pageId -> latest revision number
+  }
+
+  /**
+   * Directory holding the revisions of a page
+   */
+  pageDir(pageId) {
+    return path.join(this.revisionsDir, pageId);
+  }
+
+  /**
+   * Get the latest revision number of a page (0 if it has none)
+   */
+  async getLatestRevision(pageId) {
+    if (this.latest.has(pageId)) {
+      return this.latest.get(pageId);
+    }
+
+    let latest = 0;
+
+    try {
+      const files = await fs.readdir(this.pageDir(pageId));
+
+      for (const file of files) {
+        const rev = parseInt(file.replace('.json', ''), 10);
+        if (file.endsWith('.json') && rev > latest) {
+          latest = rev;
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    this.latest.set(pageId, latest);
+    return latest;
+  }
+
+  /**
+   * Record a new revision of a page
+   * @param {string} pageId - Page the revision belongs to
+   * @param {Object} data - Full page document after the write
+   * @param {Object} info - { author, changes, restoredFrom, reason, locale }
+   * @returns {Promise<Object>} The stored revision
+   */
+  async record(pageId, data, info = {}) {
+    const rev = (await this.getLatestRevision(pageId)) + 1;
+
+    const revision = {
+      rev,
+      pageId,
+      timestamp: new Date().toISOString(),
+      author: info.author || 'anonymous',
+      reason: info.reason || 'update',
+      changes: info.changes || [],
+      data
+    };
+
+    if (info.restoredFrom !== undefined) {
+      revision.restoredFrom = info.restoredFrom;
+    }
+
+    if (info.locale) {
+      revision.locale = info.locale;
+    }
+
+    await fs.mkdir(this.pageDir(pageId), { recursive: true });
+
+    // 'wx' fails if the revision already exists - revisions are never overwritten
+    const filePath = path.join(this.pageDir(pageId), `${rev}.json`);
+    await fs.writeFile(filePath, JSON.stringify(revision, null, 2), { flag: 'wx' });
+
+    this.latest.set(pageId, rev);
+
+    return revision;
+  }
+
+  /**
+   * Move the history of a page to a new page ID
+   */
+  async rename(pageId, newPageId) {
+    try {
+      await fs.rename(this.pageDir(pageId), this.pageDir(newPageId));
+    } catch (error) {
+      // A page that was never revised has no history to move
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    this.latest.delete(pageId);
+    this.latest.delete(newPageId);
+  }
+
+  /**
+   * List revisions of a page, newest first (without the page snapshots)
+   */
+  async list(pageId) {
+    const latest = await this.getLatestRevision(pageId);
+    const revisions = [];
+
+    for (let rev = latest; rev > 0; rev--) {
+      const revision = await this.get(pageId, rev);
+      if (revision) {
+        const { data, ...summary } = revision;
+        revisions.push(summary);
+      }
+    }
+
+    return revisions;
+  }
+
+  /**
+   * Get a single revision, or null if it does not exist
+   */
+  async get(pageId, rev) {
+    const filePath = path.join(this.pageDir(pageId), `${parseInt(rev, 10)}.json`);
+
+    try {
+      const content = await fs.readFile(filePath, 'utf-8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * List the content fields that differ between two content objects
+ * Nested objects are compared field by field and reported with dotted paths
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+function diffContent(before = {}, after = {}, prefix = '') {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  for (const field of fields) {
+    const beforeValue = before?.[field];
+    const afterValue = after?.[field];
+    const fieldPath = prefix ? `${prefix}.${field}` : field;
+
+    if (isPlainObject(beforeValue) && isPlainObject(afterValue)) {
+      changes.push(...diffContent(beforeValue, afterValue, fieldPath));
+    } else if (!deepEqual(beforeValue, afterValue)) {
+      changes.push({ field: fieldPath, before: beforeValue, after: afterValue });
+    }
+  }
+
+  return changes;
+}
+
+module.exports = RevisionStore;
+module.exports.diffContent = diffContent;
@@ -0,0 +1,297 @@
+/**
+ * Rich Text
+ *
+ * Rich-text fields are stored as Portable Text (https://portabletext.org), a list of JSON blocks:
+ * [{ "_type": "block", "style": "normal", "children": [{ "_type": "span", "text": "Hi", "marks": ["strong"] }], "markDefs": [] }]
+ * Blocks may be headings (style h1-h4), quotes (blockquote) or list items (listItem bullet|number, level 1+);
+ * spans may be strong, em, underline, code, strike-through or carry the _key of a link in markDefs.
+ * Everything is escaped when rendered and unknown styles, marks and link schemes are dropped,
+ * so the HTML is safe to insert whatever the stored JSON holds
+ */
+
+const FORMATS = ['json', 'html', 'markdown'];
+
+const BLOCK_TAGS = {
+  normal: 'p',
+  h1: 'h1',
+  h2: 'h2',
+  h3: 'h3',
+  h4: 'h4',
+  blockquote: 'blockquote'
+};
+
+const MARK_TAGS = {
+  strong: 'strong',
+  em: 'em',
+  underline: 'u',
+  code: 'code',
+  'strike-through': 's'
+};
+
+const MARK_MARKDOWN = {
+  strong: '**',
+  em: '_',
+  code: '`',
+  'strike-through': '~~'
+};
+
+const SAFE_HREF_PATTERN = /^(https?:|mailto:|tel:)/i;
+
+/**
+ * Is a value a rich-text document (a non-empty list of Portable Text blocks)
+ */
+function isRichText(value) {
+  return Array.isArray(value) && value.length > 0 &&
+    value.every(block => block !== null && typeof block === 'object' && block._type === 'block');
+}
+
+/**
+ * Link targets other than web, mail and phone links (javascript:, data:...) are dropped
+ * Relative links are kept
+ */
+function safeHref(href) {
+  if (typeof href !== 'string') {
+    return null;
+  }
+
+  // Browsers ignore control characters and whitespace inside a scheme ("java\tscript:")
+  const compact = href.replace(/[\u0000- \u007F]+/g, '');
+  const scheme = compact.match(/^[^/?#]*:/);
+
+  return !scheme || SAFE_HREF_PATTERN.test(compact) ? href.trim() : null;
+}
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_~[\]<>#|])/g, '\\$1');
+}
+
+/**
+ * Parentheses and spaces would end a Markdown link target early
+ */
+function encodeMarkdownHref(href) {
+  return href.replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/\s/g, '%20');
+}
+
+/**
+ * Group list items into nested lists
+ * @returns {Array} Nodes: { block } or { list: { tag: 'ul' | 'ol', level, items: [{ block, lists }] } }
+ */
+function nestLists(blocks) {
+  const nodes = [];
+  let stack = [];
+
+  for (const block of blocks) {
+    if (!block || block._type !== 'block') {
+      continue;
+    }
+
+    if (!block.listItem) {
+      stack = [];
+      nodes.push({ block });
+      continue;
+    }
+
+    const level = Math.max(1, Number(block.level) || 1);
+    const tag = block.listItem === 'number' ? 'ol' : 'ul';
+
+    while (stack.length > 0) {
+      const top = stack[stack.length - 1];
+      if (top.level > level || (top.level === level && top.tag !== tag)) {
+        stack.pop();
+      } else {
+        break;
+      }
+    }
+
+    let list = stack[stack.length - 1];
+
+    if (!list || list.level < level) {
+      const nested = { tag, level, items: [] };
+
+      if (list && list.items.length > 0) {
+        list.items[list.items.length - 1].lists.push(nested);
+      } else {
+        nodes.push({ list: nested });
+      }
+
+      stack.push(nested);
+      list = nested;
+    }
+
+    list.items.push({ block, lists: [] });
+  }
+
+  return nodes;
+}
+
+/**
+ * The marks of a span that can be rendered: known decorators and links with a safe target
+ */
+function getSpanMarks(span, block) {
+  const marks = [];
+
+  for (const mark of Array.isArray(span.marks) ? span.marks : []) {
+    if (MARK_TAGS[mark]) {
+      marks.push({ type: mark });
+      continue;
+    }
+
+    const def = (block.markDefs || []).find(item => item && item._key === mark);
+    const href = def && def._type === 'link' ? safeHref(def.href) : null;
+
+    if (href) {
+      marks.push({ type: 'link', href });
+    }
+  }
+
+  return marks;
+}
+
+function getSpans(block) {
+  return (Array.isArray(block.children) ? block.children : [])
+    .filter(span => span && typeof span.text === 'string');
+}
+
+function spansToHTML(block) {
+  return getSpans(block).map(span => {
+    let html = escapeHTML(span.text).replace(/\n/g, '<br>');
+
+    // The first mark is the outermost tag
+    for (const mark of getSpanMarks(span, block).reverse()) {
+      html = mark.type === 'link'
+        ? `<a href="${escapeHTML(mark.href)}">${html}</a>`
+        : `<${MARK_TAGS[mark.type]}>${html}</${MARK_TAGS[mark.type]}>`;
+    }
+
+    return html;
+  }).join('');
+}
+
+function listToHTML(list) {
+  const items = list.items.map(item => `<li>${spansToHTML(item.block)}${item.lists.map(listToHTML).join('')}</li>`);
+  return `<${list.tag}>${items.join('')}</${list.tag}>`;
+}
+
+/**
+ * Render a rich-text document as HTML
+ */
+function toHTML(blocks) {
+  return nestLists(blocks).map(node => {
+    if (node.list) {
+      return listToHTML(node.list);
+    }
+
+    const tag = BLOCK_TAGS[node.block.style] || 'p';
+    return `<${tag}>${spansToHTML(node.block)}</${tag}>`;
+  }).join('\n');
+}
+
+function spansToMarkdown(block) {
+  return getSpans(block).map(span => {
+    const marks = getSpanMarks(span, block);
+    const isCode = marks.some(mark => mark.type === 'code');
+    let text = isCode ? span.text : escapeMarkdown(span.text);
+
+    // "** bold**" is not bold - keep the spaces outside the markers
+    const [, leading, inner, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!inner) {
+      return text.replace(/\n/g, '  \n');
+    }
+    text = inner;
+
+    for (const mark of marks.reverse()) {
+      if (mark.type === 'link') {
+        text = `[${text}](${encodeMarkdownHref(mark.href)})`;
+      } else if (MARK_MARKDOWN[mark.type]) {
+        text = `${MARK_MARKDOWN[mark.type]}${text}${MARK_MARKDOWN[mark.type]}`;
+      }
+    }
+
+    return `${leading}${text}${trailing}`.replace(/\n/g, '  \n');
+  }).join('');
+}
+
+function listToMarkdown(list, indent = '') {
+  return list.items.map((item, index) => {
+    const marker = list.tag === 'ol' ? `${index + 1}.` : '-';
+    const line = `${indent}${marker} ${spansToMarkdown(item.block)}`;
+    const nested = item.lists.map(child => listToMarkdown(child, indent + ' '.repeat(marker.length + 1)));
+    return [line, ...nested].join('\n');
+  }).join('\n');
+}
+
+/**
+ * Render a rich-text document as Markdown
+ * Underlines have no Markdown syntax and are rendered as plain text
+ */
+function toMarkdown(blocks) {
+  return nestLists(blocks).map(node => {
+    if (node.list) {
+      return listToMarkdown(node.list);
+    }
+
+    const text = spansToMarkdown(node.block);
+    const { style } = node.block;
+
+    if (/^h[1-4]$/.test(style)) {
+      return `${'#'.repeat(Number(style[1]))} ${text}`;
+    }
+    if (style === 'blockquote') {
+      return text.split('\n').map(line => `> ${line}`).join('\n');
+    }
+    return text;
+  }).join('\n\n');
+}
+
+/**
+ * The text of a rich-text document, one line per block (for search)
+ */
+function toPlainText(blocks) {
+  return blocks
+    .filter(block => block && block._type === 'block')
+    .map(block => getSpans(block).map(span => span.text).join(''))
+    .join('\n');
+}
+
+/**
+ * Render every rich-text field in content (at any depth) in a format
+ * @param {*} content - Content, or a single value
+ * @param {string} format - 'json' (left as blocks), 'html' or 'markdown'
+ */
+function renderRichText(content, format = 'json') {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (use ${FORMATS.join(', ')})`);
+  }
+  if (format === 'json') {
+    return content;
+  }
+  if (isRichText(content)) {
+    return format === 'html' ? toHTML(content) : toMarkdown(content);
+  }
+  if (Array.isArray(content)) {
+    return content.map(item => renderRichText(item, format));
+  }
+  if (content !== null && typeof content === 'object') {
+    return Object.fromEntries(Object.entries(content).map(([key, value]) => [key, renderRichText(value, format)]));
+  }
+  return content;
+}
+
+module.exports = {
+  FORMATS,
+  isRichText,
+  safeHref,
+  toHTML,
+  toMarkdown,
+  toPlainText,
+  renderRichText
+};
@@ -0,0 +1,155 @@
+const { isPlainObject } = require('./jsonPatch');
+
+/**
+ * Content Schedules
+ *
+ * A page can carry a schedule next to its content:
+ *   "schedule": {
+ *     "publishAt": "2026-12-24T00:00:00Z",        the draft goes live
+ *     "expireAt": "2027-01-06T00:00:00Z",         the published content is taken down
+ *     "fields": {
+ *       "holidayBanner": { "publishAt": "...", "expireAt": "..." }   the same for one field
+ *     }
+ *   }
+ * Schedules are stored with the page, so pending actions survive restarts.
+ * ContentStore applies due actions; the Scheduler decides when.
+ */
+
+const TIMES = ['publishAt', 'expireAt'];
+
+/**
+ * Parse a schedule time, throwing on anything that is not a date
+ */
+function parseTime(value, name) {
+  const time = typeof value === 'number' ? value : Date.parse(value);
+
+  if ((typeof value !== 'string' && typeof value !== 'number') || Number.isNaN(time)) {
+    throw new Error(`Invalid ${name}: ${value} (use an ISO 8601 date)`);
+  }
+
+  return time;
+}
+
+/**
+ * Check one { publishAt, expireAt } pair and normalize its dates to ISO strings
+ */
+function normalizeTimes(entry, label) {
+  if (!isPlainObject(entry)) {
+    throw new Error(`Invalid schedule for ${label}`);
+  }
+
+  const result = {};
+
+  for (const [key, value] of Object.entries(entry)) {
+    if (!TIMES.includes(key)) {
+      throw new Error(`Unknown schedule option for ${label}: ${key} (use ${TIMES.join(' or ')})`);
+    }
+    if (value !== null && value !== undefined) {
+      result[key] = new Date(parseTime(value, `${key} for ${label}`)).toISOString();
+    }
+  }
+
+  if (result.publishAt && result.expireAt && Date.parse(result.expireAt) <= Date.parse(result.publishAt)) {
+    throw new Error(`expireAt must be after publishAt for ${label}`);
+  }
+
+  return result;
+}
+
+/**
+ * Validate a schedule sent by a client
+ * @param {Object|null} schedule - { publishAt, expireAt, fields: { path: { publishAt, expireAt } } }
+ * @returns {Object|null} The normalized schedule, or null if it schedules nothing
+ */
+function normalizeSchedule(schedule) {
+  if (schedule === null || schedule === undefined) {
+    return null;
+  }
+
+  if (!isPlainObject(schedule) || (schedule.fields !== undefined && !isPlainObject(schedule.fields))) {
+    throw new Error('A schedule is an object: { publishAt, expireAt, fields: { <field>: { publishAt, expireAt } } }');
+  }
+
+  const { fields = {}, ...page } = schedule;
+
+  const result = normalizeTimes(page, 'the page');
+  const normalizedFields = {};
+
+  for (const [field, entry] of Object.entries(fields)) {
+    const times = normalizeTimes(entry || {}, field);
+    if (Object.keys(times).length > 0) {
+      normalizedFields[field] = times;
+    }
+  }
+
+  if (Object.keys(normalizedFields).length > 0) {
+    result.fields = normalizedFields;
+  }
+
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * List the actions a page's schedule holds, earliest first
+ * @returns {Array<{action: 'publish' | 'expire', field?: string, at: string}>}
+ */
+function listScheduledActions(page) {
+  const schedule = page?.schedule || {};
+  const actions = [];
+
+  const add = (entry, field) => {
+    if (entry.publishAt) {
+      actions.push({ action: 'publish', ...(field ? { field } : {}), at: entry.publishAt });
+    }
+    if (entry.expireAt) {
+      actions.push({ action: 'expire', ...(field ? { field } : {}), at: entry.expireAt });
+    }
+  };
+
+  add(schedule);
+  for (const [field, entry] of Object.entries(schedule.fields || {})) {
+    add(entry, field);
+  }
+
+  return actions.sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+}
+
+/**
+ * Actions of a page that are due at a time
+ * @param {number} time - Milliseconds since the epoch
+ */
+function getDueActions(page, time) {
+  return listScheduledActions(page).filter(({ at }) => Date.parse(at) <= time);
+}
+
+/**
+ * A schedule without one of its actions (null once nothing is left)
+ */
+function withoutAction(schedule, { action, field }) {
+  const key = action === 'publish' ? 'publishAt' : 'expireAt';
+  const result = { ...schedule };
+
+  if (field) {
+    const { [key]: done, ...rest } = result.fields[field];
+    result.fields = { ...result.fields, [field]: rest };
+
+    if (Object.keys(rest).length === 0) {
+      delete result.fields[field];
+    }
+    if (Object.keys(result.fields).length === 0) {
+      delete result.fields;
+    }
+  } else {
+    delete result[key];
+  }
+
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+module.exports = {
+  normalizeSchedule,
+  listScheduledActions,
+  getDueActions,
+  withoutAction,
+  parseTime
+};
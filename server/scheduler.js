@@ -0,0 +1,151 @@
+const { listScheduledActions } = require('./schedule');
+
+// setTimeout can't wait longer than this - later jobs re-arm the timer when it fires
+const MAX_DELAY = 2 ** 31 - 1;
+
+/**
+ * Scheduler
+ * Runs the publishAt/expireAt actions stored in page schedules (see schedule.js) when they fall due.
+ * Jobs are recomputed from the pages on startup and after every change, so nothing is lost on a
+ * restart - actions that fell due while the server was down run as soon as it is back
+ */
+class Scheduler {
+  /**
+   * @param {ContentStore} contentStore - Store whose pages are scheduled
+   */
+  constructor(contentStore) {
+    this.contentStore = contentStore;
+    this.timer = null;
+    this.running = null; // promise of the run in progress
+    this.failed = new Map(); // job key -> { ...job, error } for actions that could not be applied
+    this.unsubscribe = null;
+    this.closed = false;
+  }
+
+  /**
+   * Catch up on overdue actions, then wait for the next one
+   */
+  async initialize() {
+    this.unsubscribe = this.contentStore.subscribe((event) => {
+      // A changed page may have new times - and may now be publishable if it failed before
+      for (const key of this.failed.keys()) {
+        if (this.failed.get(key).pageId === event.pageId && !event.via) {
+          this.failed.delete(key);
+        }
+      }
+      this.arm();
+    });
+
+    await this.runDue();
+
+    console.log(`[Scheduler] ${this.getJobs().length} scheduled actions pending`);
+
+    return this;
+  }
+
+  /**
+   * Key identifying a job
+   */
+  jobKey({ pageId, action, field, at }) {
+    return `${pageId}:${action}:${field || ''}:${at}`;
+  }
+
+  /**
+   * Pending actions across all pages, earliest first
+   * @returns {Array<{pageId, action, field?, at}>}
+   */
+  getJobs() {
+    const jobs = [];
+
+    for (const [pageId, page] of this.contentStore.store) {
+      for (const action of listScheduledActions(page)) {
+        jobs.push({ pageId, ...action });
+      }
+    }
+
+    return jobs.sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+  }
+
+  /**
+   * Pending jobs and the ones that failed, for the API
+   */
+  getStatus() {
+    return {
+      now: new Date().toISOString(),
+      jobs: this.getJobs().filter(job => !this.failed.has(this.jobKey(job))),
+      failed: Array.from(this.failed.values())
+    };
+  }
+
+  /**
+   * Set the timer for the next job that hasn't failed
+   */
+  arm() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.closed) {
+      return;
+    }
+
+    const next = this.getJobs().find(job => !this.failed.has(this.jobKey(job)));
+
+    if (!next) {
+      return;
+    }
+
+    const delay = Math.min(Math.max(Date.parse(next.at) - Date.now(), 0), MAX_DELAY);
+
+    this.timer = setTimeout(() => this.runDue(), delay);
+
+    // The HTTP server keeps the process alive - a pending job alone shouldn't
+    this.timer.unref();
+  }
+
+  /**
+   * Apply every action that is due, then wait for the next one
+   */
+  async runDue() {
+    if (this.running) {
+      return this.running;
+    }
+
+    this.running = (async () => {
+      const now = Date.now();
+      const due = this.getJobs().filter(job => Date.parse(job.at) <= now && !this.failed.has(this.jobKey(job)));
+
+      for (const pageId of new Set(due.map(job => job.pageId))) {
+        try {
+          await this.contentStore.runSchedule(pageId, now);
+        } catch (error) {
+          console.error(`[Scheduler] Could not apply the schedule of ${pageId}:`, error.message);
+
+          // Don't retry in a loop - the page has to change first
+          for (const job of due.filter(job => job.pageId === pageId)) {
+            this.failed.set(this.jobKey(job), { ...job, error: error.message });
+          }
+        }
+      }
+    })();
+
+    try {
+      await this.running;
+    } finally {
+      this.running = null;
+      this.arm();
+    }
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,146 @@
+/**
+ * Schema Validator
+ *
+ * Validates page content against a subset of JSON Schema:
+ * type, enum, required, properties, additionalProperties, items,
+ * minLength/maxLength, minimum/maximum, minItems/maxItems and pattern.
+ */
+
+/**
+ * Raised when content does not match its schema
+ * `errors` maps each field path to the list of problems found there
+ */
+class ValidationError extends Error {
+  constructor(errors) {
+    super('Content failed schema validation');
+    this.name = 'ValidationError';
+    this.errors = groupErrorsByField(errors);
+  }
+}
+
+/**
+ * Get the JSON Schema type name of a value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value against a single type name ('integer' is also a 'number')
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema (subset)
+ * @param {*} value - Value to validate
+ * @param {string} fieldPath - Path of the value, used in error messages
+ * @returns {Array<{field: string, message: string}>} Empty when valid
+ */
+function validate(schema, value, fieldPath = '') {
+  const errors = [];
+  const field = fieldPath || '(root)';
+
+  if (!schema || typeof schema !== 'object') {
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ field, message: `must be of type ${types.join(' or ')}, got ${typeOf(value)}` });
+      // Further checks assume the right type
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push({ field, message: `must be one of: ${schema.enum.map(o => JSON.stringify(o)).join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters (got ${value.length})` });
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: `must be at least ${schema.minLength} characters (got ${value.length})` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be at most ${schema.maximum}` });
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be at least ${schema.minimum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(schema.items, item, `${fieldPath}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const childPath = (key) => (fieldPath ? `${fieldPath}.${key}` : key);
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: childPath(key), message: 'is required' });
+      }
+    }
+
+    for (const [key, childValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validate(properties[key], childValue, childPath(key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: childPath(key), message: 'is not allowed by the schema' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, childValue, childPath(key)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Group a flat error list into { field: [messages] }
+ */
+function groupErrorsByField(errors) {
+  const grouped = {};
+
+  for (const { field, message } of errors) {
+    if (!grouped[field]) {
+      grouped[field] = [];
+    }
+    grouped[field].push(message);
+  }
+
+  return grouped;
+}
+
+module.exports = {
+  validate,
+  groupErrorsByField,
+  ValidationError
+};
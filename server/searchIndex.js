@@ -0,0 +1,254 @@
+const { isPlainObject, deepEqual, getPath } = require('./jsonPatch');
+const { isRichText, toPlainText } = require('./richText');
+
+const STAGES = ['draft', 'published'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SNIPPET_BEFORE = 40;
+const SNIPPET_AFTER = 80;
+
+/**
+ * Split text into lowercase words
+ */
+function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Collect the text leaves of a value as { field, text, stage }, fields named by dotted path
+ * @param {Function} getStage - (path tokens, value) => the stage a leaf is searched in ('draft' or 'published'),
+ *   null for both, false to leave it out
+ */
+function collectFields(value, prefix, fields, getStage = () => null, tokens = []) {
+  const add = (text) => {
+    const stage = getStage(tokens, value);
+    if (stage !== false) {
+      fields.push({ field: prefix, text, lower: text.toLowerCase(), stage });
+    }
+  };
+
+  // A rich-text field is searched as its text, not its block structure
+  if (isRichText(value)) {
+    add(toPlainText(value));
+  } else if (Array.isArray(value) || isPlainObject(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      collectFields(child, `${prefix}.${key}`, fields, getStage, [...tokens, key]);
+    }
+  } else if (typeof value === 'string' || typeof value === 'number') {
+    add(String(value));
+  }
+
+  return fields;
+}
+
+/**
+ * Collect a layer of a page (its content, or a locale's) with its draft
+ * The draft only adds the fields it changes; published text it changed or dropped is not in the draft stage
+ */
+function collectLayer(content, draft, prefix, draftPrefix, fields) {
+  if (!draft) {
+    return collectFields(content, prefix, fields);
+  }
+
+  collectFields(content, prefix, fields, (tokens, value) => deepEqual(getPath(draft, tokens), value) ? null : 'published');
+  return collectFields(draft, draftPrefix, fields, (tokens, value) => deepEqual(getPath(content, tokens), value) ? false : 'draft');
+}
+
+/**
+ * Text around the first match in a field, cut at word boundaries
+ */
+function makeSnippet(text, lower, terms, phrase) {
+  let start = lower.indexOf(phrase);
+  let length = phrase.length;
+
+  if (start === -1) {
+    const term = terms.find(t => lower.includes(t));
+    start = lower.indexOf(term);
+    length = term.length;
+  }
+
+  let from = Math.max(0, start - SNIPPET_BEFORE);
+  let to = Math.min(text.length, start + length + SNIPPET_AFTER);
+
+  if (from > 0) {
+    const space = text.indexOf(' ', from);
+    from = space !== -1 && space < start ? space + 1 : from;
+  }
+  if (to < text.length) {
+    const space = text.lastIndexOf(' ', to);
+    to = space > start + length ? space : to;
+  }
+
+  return `${from > 0 ? '…' : ''}${text.slice(from, to)}${to < text.length ? '…' : ''}`;
+}
+
+/**
+ * Full-text index over every page's content, drafts, translations and metadata
+ * Kept current from ContentStore change events, so searching never touches storage.
+ * Drafts are indexed too, but only searched when the draft stage is asked for
+ */
+class SearchIndex {
+  /**
+   * @param {ContentStore} contentStore - Store to index
+   */
+  constructor(contentStore) {
+    this.contentStore = contentStore;
+    this.fields = new Map(); // pageId -> [{ field, text, lower }]
+    this.tokens = new Map(); // word -> Set of pageIds using it
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Index every page and follow changes from then on
+   */
+  initialize() {
+    for (const [pageId, page] of this.contentStore.store) {
+      this.indexPage(pageId, page);
+    }
+
+    this.unsubscribe = this.contentStore.subscribe((event) => {
+      if (event.oldPageId) {
+        this.removePage(event.oldPageId);
+      }
+
+      if (event.type === 'delete') {
+        this.removePage(event.pageId);
+      } else if (event.data) {
+        this.indexPage(event.pageId, event.data);
+      }
+    });
+
+    console.log(`[SearchIndex] Indexed ${this.fields.size} pages (${this.tokens.size} words)`);
+
+    return this;
+  }
+
+  /**
+   * (Re)index one page
+   * Draft and translation drafts only add the fields that differ from what is published
+   */
+  indexPage(pageId, page) {
+    this.removePage(pageId);
+
+    const fields = collectLayer(page.content || {}, page.draft, 'content', 'draft', []);
+
+    for (const [locale, layer] of Object.entries(page.locales || {})) {
+      collectLayer(layer.content || {}, layer.draft, `locales.${locale}.content`, `locales.${locale}.draft`, fields);
+    }
+
+    collectFields(page.metadata || {}, 'metadata', fields);
+
+    this.fields.set(pageId, fields);
+
+    for (const { lower } of fields) {
+      for (const token of tokenize(lower)) {
+        if (!this.tokens.has(token)) {
+          this.tokens.set(token, new Set());
+        }
+        this.tokens.get(token).add(pageId);
+      }
+    }
+  }
+
+  /**
+   * Drop a page from the index
+   */
+  removePage(pageId) {
+    if (!this.fields.delete(pageId)) {
+      return;
+    }
+
+    for (const [token, pageIds] of this.tokens) {
+      pageIds.delete(pageId);
+      if (pageIds.size === 0) {
+        this.tokens.delete(token);
+      }
+    }
+  }
+
+  /**
+   * Pages using a word or a word starting with it (so "glo" finds "glove")
+   */
+  pagesMatching(term) {
+    const pageIds = new Set();
+
+    for (const [token, ids] of this.tokens) {
+      if (token.startsWith(term)) {
+        ids.forEach(id => pageIds.add(id));
+      }
+    }
+
+    return pageIds;
+  }
+
+  /**
+   * Find the pages containing every word of a query
+   * @param {string} query - Search text, e.g. "white-glove"
+   * @param {Object} options - { limit, stage: 'published' (default) or 'draft' to search the drafts instead }
+   * @returns {{query, total, results: Array<{pageId, score, hits: Array<{field, snippet}>}>}}
+   */
+  search(query, options = {}) {
+    const terms = [...new Set(tokenize(query || ''))];
+    const limit = Math.min(options.limit === undefined ? DEFAULT_LIMIT : parseInt(options.limit, 10), MAX_LIMIT);
+    const stage = options.stage || 'published';
+
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new Error(`Invalid limit: ${options.limit}`);
+    }
+    if (!STAGES.includes(stage)) {
+      throw new Error(`Unknown stage: ${stage}`);
+    }
+
+    if (terms.length === 0) {
+      return { query, total: 0, results: [] };
+    }
+
+    // Candidates use every term somewhere in the page, in either stage
+    let candidates = this.pagesMatching(terms[0]);
+    for (const term of terms.slice(1)) {
+      const matching = this.pagesMatching(term);
+      candidates = new Set([...candidates].filter(id => matching.has(id)));
+    }
+
+    const phrase = query.trim().toLowerCase();
+    const results = [];
+
+    for (const pageId of candidates) {
+      const hits = [];
+      const found = new Set();
+      let score = 0;
+
+      for (const { field, text, lower, stage: fieldStage } of this.fields.get(pageId)) {
+        const matched = fieldStage === null || fieldStage === stage
+          ? terms.filter(term => lower.includes(term))
+          : [];
+
+        if (matched.length === 0) {
+          continue;
+        }
+
+        // Fields with the whole query in them rank highest, then fields with more of its words
+        matched.forEach(term => found.add(term));
+        score += matched.length + (lower.includes(phrase) ? terms.length : 0);
+        hits.push({ field, snippet: makeSnippet(text, lower, terms, phrase) });
+      }
+
+      if (found.size === terms.length) {
+        results.push({ pageId, score, hits });
+      }
+    }
+
+    results.sort((a, b) => b.score - a.score || a.pageId.localeCompare(b.pageId));
+
+    return { query, total: results.length, results: results.slice(0, limit) };
+  }
+
+  close() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+}
+
+module.exports = SearchIndex;
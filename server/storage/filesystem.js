@@ -0,0 +1,217 @@
+const fs = require('fs').promises;
+const path = require('path');
+const chokidar = require('chokidar');
+const { computeETag } = require('../etag');
+const { writeFileAtomic, unlinkQueued } = require('../atomicWrite');
+
+const SCHEMA_SUFFIX = '.schema.json';
+const THEME_FILENAME = 'theme.json'; // kept next to the pages by themeManager.js
+
+/**
+ * Is a file in the content directory a page (schemas are loaded by the ContentStore itself).
+ * Dotfiles are NodeLx's own data kept next to the pages (e.g. .webhooks.json) - page IDs can't start with a dot
+ */
+function isPageFile(filename) {
+  return filename.endsWith('.json') && !filename.startsWith('.') &&
+    !filename.endsWith(SCHEMA_SUFFIX) && filename !== THEME_FILENAME;
+}
+
+/**
+ * Filesystem storage (default)
+ * One JSON file per page in the content directory, watched with chokidar.
+ * A file may hold a page with a different ID (sample-page.json -> "home"), so the adapter
+ * remembers which file each page came from and writes it back there.
+ * Files are replaced atomically, and the watcher skips changes NodeLx made itself
+ */
+class FilesystemAdapter {
+  constructor(contentDir = './content') {
+    this.name = 'filesystem';
+    this.contentDir = path.resolve(contentDir);
+    this.files = new Map(); // pageId -> filename
+    this.written = new Map(); // filename -> hashes of our writes the watcher hasn't moved past, oldest first
+    this.deleted = new Set(); // filenames we removed ourselves
+    this.watcher = null;
+  }
+
+  async initialize() {
+    await fs.mkdir(this.contentDir, { recursive: true });
+    return this;
+  }
+
+  /**
+   * Where a page is stored, for logs and diagnostics
+   */
+  sourceOf(pageId) {
+    return this.files.get(pageId) || `${pageId}.json`;
+  }
+
+  /**
+   * Find the page stored in a file
+   */
+  getPageIdForFile(filename) {
+    for (const [pageId, file] of this.files) {
+      if (file === filename) {
+        return pageId;
+      }
+    }
+    return filename.replace('.json', '');
+  }
+
+  /**
+   * Read and parse one page file
+   */
+  async readFile(filename) {
+    const content = await fs.readFile(path.join(this.contentDir, filename), 'utf-8');
+    return this.parseFile(filename, content);
+  }
+
+  parseFile(filename, content) {
+    const data = JSON.parse(content);
+    const pageId = data.pageId || filename.replace('.json', '');
+
+    this.files.set(pageId, filename);
+
+    return { pageId, data, source: filename };
+  }
+
+  /**
+   * Load every page
+   * @returns {Promise<{pages: Array<{pageId, data, source}>, errors: Array<{source, message}>}>}
+   */
+  async loadAll() {
+    const pages = [];
+    const errors = [];
+    const files = await fs.readdir(this.contentDir);
+
+    for (const filename of files.filter(isPageFile)) {
+      try {
+        pages.push(await this.readFile(filename));
+      } catch (error) {
+        errors.push({ source: filename, message: error.message });
+      }
+    }
+
+    return { pages, errors };
+  }
+
+  /**
+   * Get a single page, or null if it does not exist
+   */
+  async get(pageId) {
+    try {
+      return (await this.readFile(this.sourceOf(pageId))).data;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write a page
+   * @param {Object} options - { source } file to write to (e.g. restoring a page to its original file)
+   */
+  async put(pageId, data, options = {}) {
+    // Only honour sources that are plain page files in this directory
+    const filename = options.source && isPageFile(options.source) && path.basename(options.source) === options.source
+      ? options.source
+      : this.sourceOf(pageId);
+
+    const content = JSON.stringify(data, null, 2);
+
+    // Recorded before writing - the watcher may see the new file before the write resolves
+    if (this.watcher) {
+      this.written.set(filename, [...(this.written.get(filename) || []), computeETag(content)]);
+      this.deleted.delete(filename);
+    }
+    this.files.set(pageId, filename);
+
+    await writeFileAtomic(path.join(this.contentDir, filename), content);
+  }
+
+  /**
+   * Remove a page
+   */
+  async delete(pageId) {
+    const filename = this.sourceOf(pageId);
+
+    if (this.watcher) {
+      this.written.delete(filename);
+      this.deleted.add(filename);
+    }
+    this.files.delete(pageId);
+
+    await unlinkQueued(path.join(this.contentDir, filename));
+  }
+
+  /**
+   * Watch for changes made outside NodeLx (editors, git pulls...)
+   * @param {Function} onChange - Receives { type: 'put', pageId, data, source },
+   *   { type: 'delete', pageId, source } or { type: 'error', source, message }
+   */
+  watch(onChange) {
+    // chokidar 4 has no glob support - watch the directory and filter to top-level page files
+    this.watcher = chokidar.watch(this.contentDir, {
+      persistent: true,
+      ignoreInitial: true,
+      depth: 0,
+      ignored: (filePath) => filePath !== this.contentDir && !isPageFile(path.basename(filePath))
+    });
+
+    const reload = async (filePath) => {
+      const filename = path.basename(filePath);
+
+      try {
+        const content = await fs.readFile(filePath, 'utf-8');
+
+        // One of our own writes - possibly an older one whose event arrived late.
+        // Writes before it are superseded; it stays to absorb duplicate events
+        const ours = this.written.get(filename) || [];
+        const index = ours.indexOf(computeETag(content));
+
+        if (index !== -1) {
+          this.written.set(filename, ours.slice(index));
+          return;
+        }
+        this.written.delete(filename);
+
+        const { pageId, data } = this.parseFile(filename, content);
+        onChange({ type: 'put', pageId, data, source: filename });
+      } catch (error) {
+        onChange({ type: 'error', source: filename, message: error.message });
+      }
+    };
+
+    this.watcher
+      .on('add', reload)
+      .on('change', reload)
+      .on('unlink', async (filePath) => {
+        const filename = path.basename(filePath);
+
+        // We deleted it (or moved the page elsewhere) ourselves
+        if (this.deleted.delete(filename)) {
+          return;
+        }
+
+        // Already written again since (e.g. a page restored right after being deleted)
+        if (await fs.access(filePath).then(() => true, () => false)) {
+          return;
+        }
+
+        const pageId = this.getPageIdForFile(filename);
+
+        this.files.delete(pageId);
+        onChange({ type: 'delete', pageId, source: filename });
+      });
+  }
+
+  async close() {
+    if (this.watcher) {
+      await this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = FilesystemAdapter;
@@ -0,0 +1,54 @@
+/**
+ * Storage Adapters
+ *
+ * Where ContentStore keeps pages. Every adapter implements:
+ *
+ *   initialize()                 -> Promise<adapter>
+ *   loadAll()                    -> Promise<{ pages: [{ pageId, data, source }], errors: [{ source, message }] }>
+ *   get(pageId)                  -> Promise<page | null>
+ *   put(pageId, data, options)   -> Promise  (options.source: where to store it, if the adapter cares)
+ *   delete(pageId)               -> Promise
+ *   watch(onChange)              -> reports changes made by someone else:
+ *                                   { type: 'put', pageId, data, source }
+ *                                   { type: 'delete', pageId, source }
+ *                                   { type: 'error', source, message }
+ *   sourceOf(pageId)             -> where a page lives, for logs and diagnostics
+ *   close()                      -> Promise
+ *
+ * Usage:
+ *   const { createStorageAdapter } = require('./storage');
+ *   const storage = createStorageAdapter({ adapter: 'sqlite', sqlite: { file: './content/nodelx.db' } });
+ */
+
+const FilesystemAdapter = require('./filesystem');
+const SqliteAdapter = require('./sqlite');
+const SupabaseAdapter = require('./supabase');
+
+const ADAPTERS = {
+  filesystem: (options, contentDir) => new FilesystemAdapter(options.dir || contentDir),
+  sqlite: (options) => new SqliteAdapter(options),
+  supabase: (options) => new SupabaseAdapter(options)
+};
+
+/**
+ * Create the adapter named in the storage config
+ * @param {Object} config - { adapter: 'filesystem' | 'sqlite' | 'supabase', <adapter>: { options } }
+ * @param {string} contentDir - Content directory (the filesystem adapter's default)
+ */
+function createStorageAdapter(config = {}, contentDir = './content') {
+  const name = config.adapter || 'filesystem';
+  const create = ADAPTERS[name];
+
+  if (!create) {
+    throw new Error(`Unknown storage adapter: ${name} (use ${Object.keys(ADAPTERS).join(', ')})`);
+  }
+
+  return create(config[name] || {}, contentDir);
+}
+
+module.exports = {
+  createStorageAdapter,
+  FilesystemAdapter,
+  SqliteAdapter,
+  SupabaseAdapter
+};
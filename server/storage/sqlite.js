@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SQLite storage
+ * Pages are rows of a single table: (page_id, data JSON, updated_at).
+ * Several NodeLx servers can share one database file; changes made by other
+ * connections are picked up by polling SQLite's data_version
+ */
+class SqliteAdapter {
+  /**
+   * @param {Object} options - { file: database path, table, pollInterval: ms between change checks }
+   */
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.file = path.resolve(options.file || './content/nodelx.db');
+    this.table = options.table || 'nodelx_pages';
+    this.pollInterval = options.pollInterval || 1000;
+    this.db = null;
+    this.versions = new Map(); // pageId -> updated_at of the copy we last saw
+    this.timer = null;
+
+    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(this.table)) {
+      throw new Error(`Invalid table name: ${this.table}`);
+    }
+  }
+
+  async initialize() {
+    let Database;
+
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('The sqlite storage adapter needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    this.db = new Database(this.file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ${this.table} (
+        page_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    this.statements = {
+      all: this.db.prepare(`SELECT page_id, data, updated_at FROM ${this.table}`),
+      versions: this.db.prepare(`SELECT page_id, updated_at FROM ${this.table}`),
+      get: this.db.prepare(`SELECT data, updated_at FROM ${this.table} WHERE page_id = ?`),
+      put: this.db.prepare(`
+        INSERT INTO ${this.table} (page_id, data, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(page_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+      `),
+      delete: this.db.prepare(`DELETE FROM ${this.table} WHERE page_id = ?`)
+    };
+
+    console.log(`[Storage] SQLite database: ${this.file}`);
+
+    return this;
+  }
+
+  sourceOf(pageId) {
+    return `${path.basename(this.file)}:${this.table}/${pageId}`;
+  }
+
+  /**
+   * Parse a row - a row with broken JSON is reported instead of failing the whole load
+   */
+  parseRow(row) {
+    this.versions.set(row.page_id, row.updated_at);
+    return { pageId: row.page_id, data: JSON.parse(row.data), source: this.sourceOf(row.page_id) };
+  }
+
+  async loadAll() {
+    const pages = [];
+    const errors = [];
+
+    for (const row of this.statements.all.all()) {
+      try {
+        pages.push(this.parseRow(row));
+      } catch (error) {
+        errors.push({ source: this.sourceOf(row.page_id), message: error.message });
+      }
+    }
+
+    return { pages, errors };
+  }
+
+  async get(pageId) {
+    const row = this.statements.get.get(pageId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async put(pageId, data) {
+    const updatedAt = new Date().toISOString();
+    this.statements.put.run(pageId, JSON.stringify(data), updatedAt);
+    this.versions.set(pageId, updatedAt);
+  }
+
+  async delete(pageId) {
+    this.statements.delete.run(pageId);
+    this.versions.delete(pageId);
+  }
+
+  /**
+   * Poll for writes from other connections
+   * data_version only changes when another connection commits, so our own writes are not echoed
+   */
+  watch(onChange) {
+    let dataVersion = this.db.pragma('data_version', { simple: true });
+
+    this.timer = setInterval(() => {
+      const current = this.db.pragma('data_version', { simple: true });
+
+      if (current === dataVersion) {
+        return;
+      }
+      dataVersion = current;
+
+      const seen = new Set();
+
+      for (const { page_id: pageId, updated_at: updatedAt } of this.statements.versions.all()) {
+        seen.add(pageId);
+
+        if (this.versions.get(pageId) === updatedAt) {
+          continue;
+        }
+
+        const row = this.statements.get.get(pageId);
+        if (!row) {
+          continue; // Deleted since the version scan - the next poll reports it
+        }
+
+        try {
+          const { data } = this.parseRow({ page_id: pageId, ...row });
+          onChange({ type: 'put', pageId, data, source: this.sourceOf(pageId) });
+        } catch (error) {
+          onChange({ type: 'error', source: this.sourceOf(pageId), message: error.message });
+        }
+      }
+
+      for (const pageId of this.versions.keys()) {
+        if (!seen.has(pageId)) {
+          this.versions.delete(pageId);
+          onChange({ type: 'delete', pageId, source: this.sourceOf(pageId) });
+        }
+      }
+    }, this.pollInterval);
+
+    // Polling alone should not keep the process alive
+    this.timer.unref();
+  }
+
+  async close() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteAdapter;
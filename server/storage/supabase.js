@@ -0,0 +1,166 @@
+/**
+ * Postgres storage over the Supabase REST API (PostgREST)
+ * Works with a Supabase project or any PostgREST server in front of this table:
+ *
+ *   create table nodelx_pages (
+ *     page_id text primary key,
+ *     data jsonb not null,
+ *     updated_at timestamptz not null default now()
+ *   );
+ *
+ * Changes made by other NodeLx servers are picked up by polling updated_at
+ */
+class SupabaseAdapter {
+  /**
+   * @param {Object} options - { url, key, table, pollInterval: ms between change checks }
+   *   url/key default to SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY
+   */
+  constructor(options = {}) {
+    this.name = 'supabase';
+    this.url = options.url || process.env.SUPABASE_URL;
+    this.key = options.key || process.env.SUPABASE_SERVICE_ROLE_KEY;
+    this.table = options.table || 'nodelx_pages';
+    this.pollInterval = options.pollInterval || 5000;
+    this.client = null;
+    this.versions = new Map(); // pageId -> updated_at of the copy we last saw
+    this.timer = null;
+    this.polling = false;
+  }
+
+  async initialize() {
+    if (!this.url || !this.key) {
+      throw new Error('The supabase storage adapter needs a url and key (or SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY)');
+    }
+
+    const { createClient } = require('@supabase/supabase-js');
+
+    this.client = createClient(this.url, this.key, {
+      auth: { persistSession: false, autoRefreshToken: false },
+      // Node < 22 has no global WebSocket for supabase-js to pick up
+      realtime: { transport: require('ws') }
+    });
+
+    // Fail early on a wrong URL, key or missing table
+    await this.query(this.client.from(this.table).select('page_id').limit(1));
+
+    console.log(`[Storage] Supabase table: ${this.url} ${this.table}`);
+
+    return this;
+  }
+
+  /**
+   * Run a query and unwrap its result
+   */
+  async query(request) {
+    const { data, error } = await request;
+
+    if (error) {
+      throw new Error(`Supabase ${this.table}: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  sourceOf(pageId) {
+    return `${this.table}/${pageId}`;
+  }
+
+  async loadAll() {
+    const rows = await this.query(this.client.from(this.table).select('page_id, data, updated_at'));
+    const pages = [];
+    const errors = [];
+
+    for (const row of rows) {
+      if (!row.data || typeof row.data !== 'object') {
+        errors.push({ source: this.sourceOf(row.page_id), message: 'data is not a JSON object' });
+        continue;
+      }
+
+      this.versions.set(row.page_id, row.updated_at);
+      pages.push({ pageId: row.page_id, data: row.data, source: this.sourceOf(row.page_id) });
+    }
+
+    return { pages, errors };
+  }
+
+  async get(pageId) {
+    const row = await this.query(
+      this.client.from(this.table).select('data').eq('page_id', pageId).maybeSingle()
+    );
+    return row ? row.data : null;
+  }
+
+  async put(pageId, data) {
+    const updatedAt = new Date().toISOString();
+
+    await this.query(
+      this.client.from(this.table).upsert({ page_id: pageId, data, updated_at: updatedAt }, { onConflict: 'page_id' })
+    );
+
+    this.versions.set(pageId, updatedAt);
+  }
+
+  async delete(pageId) {
+    await this.query(this.client.from(this.table).delete().eq('page_id', pageId));
+    this.versions.delete(pageId);
+  }
+
+  /**
+   * Compare updated_at of every row with the copies we have and report the differences
+   */
+  async poll(onChange) {
+    const rows = await this.query(this.client.from(this.table).select('page_id, updated_at'));
+    const seen = new Set(rows.map(row => row.page_id));
+
+    // Timestamps come back in Postgres format - compare them as dates
+    const changed = rows
+      .filter(row => Date.parse(this.versions.get(row.page_id)) !== Date.parse(row.updated_at))
+      .map(row => row.page_id);
+
+    if (changed.length > 0) {
+      const updated = await this.query(
+        this.client.from(this.table).select('page_id, data, updated_at').in('page_id', changed)
+      );
+
+      for (const row of updated) {
+        this.versions.set(row.page_id, row.updated_at);
+        onChange({ type: 'put', pageId: row.page_id, data: row.data, source: this.sourceOf(row.page_id) });
+      }
+    }
+
+    for (const pageId of this.versions.keys()) {
+      if (!seen.has(pageId)) {
+        this.versions.delete(pageId);
+        onChange({ type: 'delete', pageId, source: this.sourceOf(pageId) });
+      }
+    }
+  }
+
+  watch(onChange) {
+    this.timer = setInterval(async () => {
+      // Skip a tick rather than overlap a slow request
+      if (this.polling) {
+        return;
+      }
+
+      this.polling = true;
+      try {
+        await this.poll(onChange);
+      } catch (error) {
+        console.error('[Storage] Error polling Supabase:', error.message);
+      } finally {
+        this.polling = false;
+      }
+    }, this.pollInterval);
+
+    // Polling alone should not keep the process alive
+    this.timer.unref();
+  }
+
+  async close() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = SupabaseAdapter;
@@ -7,9 +7,14 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const WriteQueue = require('./writeQueue');
+const { writeFileAtomic } = require('./atomicWrite');
 
 const THEME_FILE = path.join(__dirname, '../content/theme.json');
 
+// Theme changes are read-modify-write - queue them so concurrent ones don't overwrite each other
+const themeQueue = new WriteQueue();
+
 // Default theme settings
 const DEFAULT_THEME = {
   typography: {
@@ -147,10 +152,17 @@ async function loadTheme() {
  * Save the theme to file
  */
 async function saveTheme(theme) {
-  await fs.writeFile(THEME_FILE, JSON.stringify(theme, null, 2));
+  await writeFileAtomic(THEME_FILE, JSON.stringify(theme, null, 2));
   return theme;
 }
 
+/**
+ * Load the theme, let `change` modify it, and save it - one change at a time
+ */
+function changeTheme(change) {
+  return themeQueue.run(THEME_FILE, async () => change(await loadTheme()));
+}
+
 /**
  * Get the full theme
  */
@@ -164,7 +176,7 @@ async function getTheme() {
 async function updateTheme(newTheme) {
   // Merge with defaults to ensure all properties exist
   const merged = deepMerge(DEFAULT_THEME, newTheme);
-  return await saveTheme(merged);
+  return await changeTheme(() => saveTheme(merged));
 }
 
 /**
@@ -179,22 +191,22 @@ async function getTypography() {
  * Update typography for a specific element
  */
 async function updateTypography(element, settings) {
-  const theme = await loadTheme();
-  
-  if (element === 'headingFont' || element === 'bodyFont') {
-    // Update font family
-    theme.typography[element] = settings;
-  } else if (theme.typography[element]) {
-    // Update element-specific settings
-    theme.typography[element] = {
-      ...theme.typography[element],
-      ...settings
-    };
-  } else {
-    throw new Error(`Unknown typography element: ${element}`);
-  }
-  
-  return await saveTheme(theme);
+  return await changeTheme(async (theme) => {
+    if (element === 'headingFont' || element === 'bodyFont') {
+      // Update font family
+      theme.typography[element] = settings;
+    } else if (theme.typography[element]) {
+      // Update element-specific settings
+      theme.typography[element] = {
+        ...theme.typography[element],
+        ...settings
+      };
+    } else {
+      throw new Error(`Unknown typography element: ${element}`);
+    }
+
+    return await saveTheme(theme);
+  });
 }
 
 /**
@@ -209,9 +221,10 @@ async function getColors() {
  * Update colors
  */
 async function updateColors(colors) {
-  const theme = await loadTheme();
-  theme.colors = { ...theme.colors, ...colors };
-  return await saveTheme(theme);
+  return await changeTheme(async (theme) => {
+    theme.colors = { ...theme.colors, ...colors };
+    return await saveTheme(theme);
+  });
 }
 
 /**
@@ -226,21 +239,23 @@ async function getSpacing() {
  * Add a Google Font to load
  */
 async function addGoogleFont(fontName) {
-  const theme = await loadTheme();
-  if (!theme.googleFonts.includes(fontName)) {
-    theme.googleFonts.push(fontName);
-    await saveTheme(theme);
-  }
-  return theme;
+  return await changeTheme(async (theme) => {
+    if (!theme.googleFonts.includes(fontName)) {
+      theme.googleFonts.push(fontName);
+      await saveTheme(theme);
+    }
+    return theme;
+  });
 }
 
 /**
  * Remove a Google Font
  */
 async function removeGoogleFont(fontName) {
-  const theme = await loadTheme();
-  theme.googleFonts = theme.googleFonts.filter(f => f !== fontName);
-  return await saveTheme(theme);
+  return await changeTheme(async (theme) => {
+    theme.googleFonts = theme.googleFonts.filter(f => f !== fontName);
+    return await saveTheme(theme);
+  });
 }
 
 /**
@@ -391,7 +406,7 @@ async function generateGoogleFontsLink() {
  * Reset theme to defaults
  */
 async function resetTheme() {
-  return await saveTheme(DEFAULT_THEME);
+  return await changeTheme(() => saveTheme(DEFAULT_THEME));
 }
 
 /**
@@ -452,6 +467,7 @@ module.exports = {
   generateCSS,
   generateGoogleFontsLink,
   resetTheme,
+  THEME_FILE,
   DEFAULT_THEME,
   POPULAR_FONTS
 };
@@ -0,0 +1,438 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./atomicWrite');
+
+// WebSocket broadcasts that are also sent to webhooks (others, like cursor positions, stay in the editor)
+const BROADCAST_EVENTS = {
+  'theme-changed': 'theme.changed',
+  'ast-modified': 'ast.modified',
+  'file-changed': 'file.changed',
+  'file-created': 'file.created',
+  'file-deleted': 'file.deleted',
+  'file-renamed': 'file.renamed',
+  'media-update': 'media.update'
+};
+
+// Non-2xx answers worth another try - anything else means the receiver rejected the request
+const RETRY_STATUSES = [408, 429];
+const RESPONSE_SNIPPET = 1000;
+
+/**
+ * Webhook event name of a ContentStore event
+ * Changes to the live content are 'content.published'; draft edits 'content.update';
+ * the rest 'content.create', 'content.delete', 'content.rename'
+ */
+function contentEventName(event) {
+  if (event.type === 'update' && event.stage === 'published') {
+    return 'content.published';
+  }
+  return `content.${event.type}`;
+}
+
+/**
+ * Does a subscription's event list include an event ('*' and 'content.*' match several)
+ */
+function subscribesTo(events, name) {
+  return events.some(pattern => pattern === '*' || pattern === name ||
+    (pattern.endsWith('.*') && name.startsWith(pattern.slice(0, -1))));
+}
+
+/**
+ * Signature of a request body, sent in X-NodeLx-Signature
+ * Receivers recompute it with their copy of the secret and compare
+ */
+function sign(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Check the url and events of a subscription
+ */
+function validateSubscription({ url, events }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid webhook URL: ${url}`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`Webhook URLs must be http or https: ${url}`);
+  }
+  if (!Array.isArray(events) || events.length === 0 || !events.every(event => typeof event === 'string')) {
+    throw new Error('events must be a list of event names, e.g. ["content.published", "theme.*"]');
+  }
+}
+
+/**
+ * Outgoing webhooks
+ * Subscriptions come from the `webhooks` section of nodelx.config.json (read-only) or from /api/webhooks
+ * (stored in content/.webhooks.json). Every delivery is a signed JSON POST, retried with exponential
+ * backoff, and kept in a log of recent deliveries that can be inspected and replayed
+ */
+class WebhookManager {
+  /**
+   * @param {string} file - Where subscriptions made through the API are stored
+   * @param {Object} options - { subscriptions, attempts, baseDelay, timeout, logSize } (see config.js)
+   */
+  constructor(file = './content/.webhooks.json', options = {}) {
+    this.file = path.resolve(file);
+    this.options = options;
+    this.configured = []; // from the config file
+    this.webhooks = new Map(); // id -> subscription made through the API
+    this.deliveries = new Map(); // id -> delivery, oldest first, at most options.logSize
+    this.retries = new Map(); // delivery id -> timer of its next attempt
+  }
+
+  /**
+   * Load the configured and stored subscriptions
+   */
+  async initialize() {
+    this.configured = (this.options.subscriptions || []).flatMap((subscription, i) => {
+      const secret = subscription.secret || process.env[subscription.secretEnv];
+      const id = subscription.id || `config-${i + 1}`;
+
+      try {
+        validateSubscription({ events: ['*'], ...subscription });
+        if (!secret) {
+          throw new Error('a secret (or secretEnv naming an environment variable) is required');
+        }
+      } catch (error) {
+        console.error(`[Webhooks] Skipping configured webhook ${id}: ${error.message}`);
+        return [];
+      }
+
+      return [{
+        id,
+        url: subscription.url,
+        events: subscription.events || ['*'],
+        description: subscription.description || '',
+        active: subscription.active !== false,
+        secret,
+        source: 'config'
+      }];
+    });
+
+    try {
+      const stored = JSON.parse(await fs.readFile(this.file, 'utf-8'));
+      for (const webhook of stored.webhooks || []) {
+        this.webhooks.set(webhook.id, webhook);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[Webhooks] Error loading webhooks:', error);
+      }
+    }
+
+    console.log(`[Webhooks] ${this.configured.length + this.webhooks.size} webhooks`);
+
+    return this;
+  }
+
+  /**
+   * Persist the subscriptions made through the API
+   */
+  save() {
+    return writeFileAtomic(this.file, JSON.stringify({ webhooks: Array.from(this.webhooks.values()) }, null, 2));
+  }
+
+  /**
+   * A subscription as shown by the API - the secret is only returned when a webhook is created
+   */
+  describe(webhook) {
+    const { secret, ...rest } = webhook;
+    return { source: 'api', ...rest };
+  }
+
+  /**
+   * Every subscription, configured ones first
+   */
+  list() {
+    return [...this.configured, ...this.webhooks.values()].map(webhook => this.describe(webhook));
+  }
+
+  /**
+   * Find a subscription (with its secret)
+   */
+  find(id) {
+    const webhook = this.webhooks.get(id) || this.configured.find(configured => configured.id === id);
+
+    if (!webhook) {
+      throw new Error(`Webhook ${id} not found`);
+    }
+
+    return webhook;
+  }
+
+  get(id) {
+    return this.describe(this.find(id));
+  }
+
+  /**
+   * Add a subscription
+   * @param {Object} data - { url, events, description, active, secret } - a secret is generated if none is given
+   * @returns {Promise<Object>} The webhook, with its secret (the only time it is shown)
+   */
+  async create(data = {}) {
+    const webhook = {
+      id: crypto.randomUUID(),
+      url: data.url,
+      events: data.events || ['*'],
+      description: data.description || '',
+      active: data.active !== false,
+      secret: data.secret || crypto.randomBytes(32).toString('hex'),
+      createdAt: new Date().toISOString()
+    };
+
+    validateSubscription(webhook);
+
+    this.webhooks.set(webhook.id, webhook);
+    await this.save();
+
+    console.log(`[Webhooks] Added ${webhook.id}: ${webhook.url} (${webhook.events.join(', ')})`);
+
+    return { ...this.describe(webhook), secret: webhook.secret };
+  }
+
+  /**
+   * Change a subscription's url, events, description, active flag or secret
+   */
+  async update(id, updates = {}) {
+    const webhook = this.find(id);
+
+    if (webhook.source === 'config') {
+      throw new Error(`Webhook ${id} is set in nodelx.config.json - change it there`);
+    }
+
+    const updated = { ...webhook };
+    for (const key of ['url', 'events', 'description', 'active', 'secret']) {
+      if (updates[key] !== undefined) {
+        updated[key] = updates[key];
+      }
+    }
+
+    validateSubscription(updated);
+
+    this.webhooks.set(id, updated);
+    await this.save();
+
+    return this.describe(updated);
+  }
+
+  /**
+   * Remove a subscription (its log entries stay)
+   */
+  async remove(id) {
+    const webhook = this.find(id);
+
+    if (webhook.source === 'config') {
+      throw new Error(`Webhook ${id} is set in nodelx.config.json - remove it there`);
+    }
+
+    this.webhooks.delete(id);
+    await this.save();
+
+    console.log(`[Webhooks] Removed ${id}`);
+
+    return this.describe(webhook);
+  }
+
+  /**
+   * Send a ContentStore event to the webhooks subscribed to it
+   */
+  handleContentEvent(event) {
+    const { data, ...details } = event;
+    this.dispatch(contentEventName(event), details);
+  }
+
+  /**
+   * Send a WebSocket broadcast to the webhooks subscribed to it (only server-side changes are sent)
+   */
+  handleBroadcast(message) {
+    const name = BROADCAST_EVENTS[message.type];
+
+    if (name) {
+      const { type, ...details } = message;
+      this.dispatch(name, details);
+    }
+  }
+
+  /**
+   * Deliver an event to every active subscription that includes it
+   * @returns {Array<Object>} The deliveries started
+   */
+  dispatch(event, data) {
+    return [...this.configured, ...this.webhooks.values()]
+      .filter(webhook => webhook.active && subscribesTo(webhook.events, event))
+      .map(webhook => this.send(webhook, event, data));
+  }
+
+  /**
+   * Send a 'ping' event to one webhook, whatever it subscribes to
+   */
+  ping(id) {
+    return this.send(this.find(id), 'ping', { message: 'NodeLx webhook test' });
+  }
+
+  /**
+   * Start a delivery and log it
+   */
+  send(webhook, event, data, replayOf) {
+    const id = crypto.randomUUID();
+    const delivery = {
+      id,
+      webhookId: webhook.id,
+      event,
+      url: webhook.url,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      payload: { id, event, timestamp: new Date().toISOString(), data },
+      attempts: []
+    };
+
+    if (replayOf) {
+      delivery.replayOf = replayOf;
+    }
+
+    this.deliveries.set(id, delivery);
+
+    // Forget the oldest deliveries
+    const logSize = this.options.logSize || 200;
+    for (const oldId of this.deliveries.keys()) {
+      if (this.deliveries.size <= logSize) {
+        break;
+      }
+      clearTimeout(this.retries.get(oldId));
+      this.retries.delete(oldId);
+      this.deliveries.delete(oldId);
+    }
+
+    this.attempt(delivery);
+
+    return delivery;
+  }
+
+  /**
+   * Make one attempt at a delivery and schedule the next one if it fails
+   * The webhook is looked up again each time, so a changed secret or URL applies to retries
+   */
+  async attempt(delivery) {
+    this.retries.delete(delivery.id);
+
+    let webhook;
+    try {
+      webhook = this.find(delivery.webhookId);
+    } catch (error) {
+      delivery.status = 'failed';
+      delivery.attempts.push({ at: new Date().toISOString(), error: error.message });
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const started = Date.now();
+    const result = { at: new Date(started).toISOString() };
+    let retry = true;
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'NodeLx-Webhooks',
+          'X-NodeLx-Event': delivery.event,
+          'X-NodeLx-Delivery': delivery.id,
+          'X-NodeLx-Signature': sign(webhook.secret, body)
+        },
+        body,
+        signal: AbortSignal.timeout(this.options.timeout || 10000)
+      });
+
+      result.status = response.status;
+      result.response = (await response.text()).slice(0, RESPONSE_SNIPPET);
+      retry = !response.ok && (response.status >= 500 || RETRY_STATUSES.includes(response.status));
+
+      if (response.ok) {
+        delivery.status = 'success';
+      }
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    result.duration = Date.now() - started;
+    delivery.url = webhook.url;
+    delivery.attempts.push(result);
+
+    if (delivery.status === 'success') {
+      return;
+    }
+
+    const attempts = this.options.attempts || 5;
+
+    if (!retry || delivery.attempts.length >= attempts || !this.deliveries.has(delivery.id)) {
+      delivery.status = 'failed';
+      delete delivery.nextAttemptAt;
+      console.error(`[Webhooks] Delivery ${delivery.id} of ${delivery.event} to ${webhook.url} failed: ${result.error || `HTTP ${result.status}`}`);
+      return;
+    }
+
+    // 1x, 2x, 4x... the base delay
+    const delay = (this.options.baseDelay || 1000) * 2 ** (delivery.attempts.length - 1);
+    delivery.status = 'retrying';
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+
+    const timer = setTimeout(() => this.attempt(delivery), delay);
+    timer.unref();
+    this.retries.set(delivery.id, timer);
+  }
+
+  /**
+   * Recent deliveries, newest first, without their payloads
+   * @param {Object} options - { webhookId, event, status, limit }
+   */
+  getDeliveries(options = {}) {
+    const limit = options.limit === undefined ? 50 : parseInt(options.limit, 10);
+
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new Error(`Invalid limit: ${options.limit}`);
+    }
+
+    return Array.from(this.deliveries.values())
+      .reverse()
+      .filter(delivery => !options.webhookId || delivery.webhookId === options.webhookId)
+      .filter(delivery => !options.event || delivery.event === options.event)
+      .filter(delivery => !options.status || delivery.status === options.status)
+      .slice(0, limit)
+      .map(({ payload, attempts, ...delivery }) => ({ ...delivery, attempts: attempts.length }));
+  }
+
+  /**
+   * A delivery with its payload and every attempt
+   */
+  getDelivery(id) {
+    const delivery = this.deliveries.get(id);
+
+    if (!delivery) {
+      throw new Error(`Delivery ${id} not found`);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Send a delivery's event again, as a new delivery (signed with the webhook's current secret)
+   */
+  replay(id) {
+    const delivery = this.getDelivery(id);
+    return this.send(this.find(delivery.webhookId), delivery.event, delivery.payload.data, delivery.id);
+  }
+
+  /**
+   * Stop pending retries
+   */
+  close() {
+    this.retries.forEach(timer => clearTimeout(timer));
+    this.retries.clear();
+  }
+}
+
+module.exports = WebhookManager;
@@ -1,22 +1,92 @@
+const crypto = require('crypto');
 const WebSocket = require('ws');
 
+// Topics clients can subscribe to - a trailing * matches a prefix ('page:*', 'file:client/*')
+const TOPIC_PATTERN = /^(page|file|ast|lock):.+$|^(theme|media|presence)$/;
+
+/**
+ * Topics a server event is about
+ * Events with topics only go to the clients subscribed to one of them; the rest go to everyone
+ */
+function getTopics(message) {
+  switch (message.type) {
+    case 'content-changed':
+      return [`page:${message.pageId}`];
+    case 'content-store-update':
+      return [message.event.pageId, message.event.oldPageId].filter(Boolean).map(pageId => `page:${pageId}`);
+    case 'theme-changed':
+    case 'theme-reset':
+      return ['theme'];
+    case 'media-update':
+      return ['media'];
+    case 'file-changed':
+    case 'file-created':
+    case 'file-deleted':
+      return [`file:${message.path}`];
+    case 'file-renamed':
+      return [`file:${message.oldPath}`, `file:${message.newPath}`];
+    case 'ast-modified':
+      return [`ast:${message.filePath}`];
+    case 'presence':
+      return ['presence'];
+    case 'lock':
+      return [`lock:${message.lock.filePath}`];
+    default:
+      return [];
+  }
+}
+
+// Live signals that are stale a moment later - not numbered or replayed
+const UNSEQUENCED_TYPES = ['highlight-element', 'presence'];
+
+/**
+ * Topics of a subscribe/unsubscribe message: { topics: [...] } or { topic }
+ */
+function readTopics(data) {
+  const topics = Array.isArray(data.topics) ? data.topics : [data.topics ?? data.topic];
+  return topics.filter(topic => topic !== undefined && topic !== null).map(String);
+}
+
 /**
  * WebSocket server for real-time communication
  * Handles live preview updates, content changes, and cursor tracking
+ *
+ * Events are numbered (seq) and the latest are kept, so a client that reconnects can
+ * resume where it left off; heartbeats tell clients the current seq and drop dead sockets
  */
 class WebSocketServer {
-  constructor(server) {
+  /**
+   * @param {http.Server} server - HTTP server to attach to
+   * @param {Object} options - { replayBufferSize, heartbeatInterval } (see config.js)
+   */
+  constructor(server, options = {}) {
     this.wss = new WebSocket.Server({ server });
     this.clients = new Set();
+    this.listeners = new Set(); // server-side listeners to broadcasts (webhooks)
+    this.messageHandlers = new Map(); // message type -> handler added by other modules (GraphQL)
+    this.serverId = crypto.randomUUID(); // seqs restart with the server - resuming across restarts needs a resync
+    this.seq = 0;
+    this.history = []; // latest events: { envelope, topics, acceptsLocale }
+    this.replayBufferSize = options.replayBufferSize ?? 1000;
+    this.heartbeatInterval = options.heartbeatInterval ?? 30000;
+    this.heartbeat = null;
     this.setupHandlers();
+    this.startHeartbeat();
   }
 
   setupHandlers() {
     this.wss.on('connection', (ws) => {
       console.log('[WebSocket] Client connected');
+      ws.topics = null; // everything until the client subscribes to something
+      ws.isAlive = true;
       this.clients.add(ws);
 
+      ws.on('pong', () => {
+        ws.isAlive = true;
+      });
+
       ws.on('message', (message) => {
+        ws.isAlive = true;
         try {
           const data = JSON.parse(message);
           this.handleMessage(ws, data);
@@ -34,8 +104,39 @@ class WebSocketServer {
         console.error('[WebSocket] Error:', error);
       });
 
-      // Send initial connection success
-      this.send(ws, { type: 'connected' });
+      // Send initial connection success, with where the event numbering is
+      this.send(ws, { type: 'connected', seq: this.seq, serverId: this.serverId });
+    });
+  }
+
+  /**
+   * Ping clients every heartbeatInterval (0 turns heartbeats off)
+   */
+  startHeartbeat() {
+    if (!this.heartbeatInterval) {
+      return;
+    }
+    this.heartbeat = setInterval(() => this.checkClients(), this.heartbeatInterval);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Drop the clients that did not answer the last ping, ping the rest
+   * The heartbeat message also carries the current seq: a client subscribed to a few topics
+   * sees few events, but has still seen everything for its topics up to this seq
+   */
+  checkClients() {
+    this.clients.forEach(ws => {
+      if (!ws.isAlive) {
+        console.log('[WebSocket] Dropping unresponsive client');
+        this.clients.delete(ws);
+        ws.terminate();
+        return;
+      }
+
+      ws.isAlive = false;
+      ws.ping();
+      this.send(ws, { type: 'heartbeat', seq: this.seq });
     });
   }
 
@@ -62,15 +163,141 @@ class WebSocketServer {
         });
         break;
 
+      case 'subscribe':
+      case 'unsubscribe':
+        this.updateTopics(ws, data.type, readTopics(data));
+        break;
+
+      case 'resume':
+        this.resume(ws, data);
+        break;
+
+      case 'set-locale':
+        // Content updates for other locales are not sent to this client
+        ws.locale = data.locale || null;
+        break;
+
       case 'ping':
         this.send(ws, { type: 'pong' });
         break;
 
       default:
+        if (this.messageHandlers.has(data.type)) {
+          this.messageHandlers.get(data.type)(ws, data);
+          break;
+        }
         console.log('[WebSocket] Unknown message type:', data.type);
     }
   }
 
+  /**
+   * Add or remove a client's topics and answer with the full list
+   * { type: 'subscriptions', topics } - or { type: 'error', error } naming unknown topics
+   */
+  updateTopics(ws, action, topics) {
+    const invalid = topics.filter(topic => !TOPIC_PATTERN.test(topic));
+
+    if (topics.length === 0 || invalid.length > 0) {
+      this.send(ws, {
+        type: 'error',
+        error: topics.length === 0
+          ? `${action} needs topics`
+          : `Unknown topic: ${invalid.join(', ')} (use page:<pageId>, file:<path>, ast:<filePath>, lock:<filePath>, theme, media or presence)`
+      });
+      return;
+    }
+
+    ws.topics = ws.topics || new Set();
+    topics.forEach(topic => (action === 'subscribe' ? ws.topics.add(topic) : ws.topics.delete(topic)));
+
+    this.send(ws, { type: 'subscriptions', topics: [...ws.topics] });
+  }
+
+  /**
+   * Does a client get events about any of these topics
+   * Clients that never subscribed get every event, as before topics existed
+   */
+  isSubscribed(ws, topics) {
+    if (topics.length === 0 || ws.topics === null) {
+      return true;
+    }
+    return topics.some(topic => ws.topics.has(topic) ||
+      [...ws.topics].some(pattern => pattern.endsWith('*') && topic.startsWith(pattern.slice(0, -1))));
+  }
+
+  /**
+   * Envelope of an event: the event plus its seq and, for events with topics, its main topic and a timestamp
+   */
+  toEnvelope(data, topics) {
+    const envelope = UNSEQUENCED_TYPES.includes(data.type) ? { ...data } : { ...data, seq: ++this.seq };
+
+    if (topics.length > 0) {
+      envelope.topic = topics[0];
+      envelope.timestamp = data.timestamp || new Date().toISOString();
+    }
+    return envelope;
+  }
+
+  /**
+   * Does a client get an event: subscribed to its topics and, for translations, reading its locale
+   */
+  accepts(ws, { topics, acceptsLocale }) {
+    return this.isSubscribed(ws, topics) && (!acceptsLocale || acceptsLocale(ws.locale));
+  }
+
+  /**
+   * Number an event, keep it for replay and send it to the clients that get it
+   * @param {Object} data - Event
+   * @param {Object} options - { excludeClient, acceptsLocale: (clientLocale) => boolean }
+   */
+  deliver(data, options = {}) {
+    const topics = getTopics(data);
+    const entry = { envelope: this.toEnvelope(data, topics), topics, acceptsLocale: options.acceptsLocale };
+
+    if (entry.envelope.seq && this.replayBufferSize > 0) {
+      this.history.push(entry);
+      if (this.history.length > this.replayBufferSize) {
+        this.history.splice(0, this.history.length - this.replayBufferSize);
+      }
+    }
+
+    const message = JSON.stringify(entry.envelope);
+
+    this.clients.forEach(client => {
+      if (client !== options.excludeClient && client.readyState === WebSocket.OPEN && this.accepts(client, entry)) {
+        client.send(message);
+      }
+    });
+  }
+
+  /**
+   * Handle resume: { lastSeq, serverId } - resend the events a reconnecting client missed
+   * Answers with the missed events (for its current topics and locale) and { type: 'resumed', seq, replayed },
+   * or { type: 'resync-required', seq, serverId } if they are no longer kept or the server restarted -
+   * the client should then reload what it shows
+   */
+  resume(ws, data) {
+    const lastSeq = Number(data.lastSeq);
+
+    if (!Number.isInteger(lastSeq) || lastSeq < 0) {
+      this.send(ws, { type: 'error', error: `Invalid lastSeq: ${data.lastSeq}` });
+      return;
+    }
+
+    const oldest = this.history.length > 0 ? this.history[0].envelope.seq : this.seq + 1;
+    const restarted = data.serverId && data.serverId !== this.serverId;
+
+    if (restarted || lastSeq > this.seq || lastSeq < oldest - 1) {
+      this.send(ws, { type: 'resync-required', seq: this.seq, serverId: this.serverId });
+      return;
+    }
+
+    const missed = this.history.filter(entry => entry.envelope.seq > lastSeq && this.accepts(ws, entry));
+    missed.forEach(entry => this.send(ws, entry.envelope));
+
+    this.send(ws, { type: 'resumed', seq: this.seq, replayed: missed.length });
+  }
+
   /**
    * Send message to specific client
    */
@@ -82,15 +309,38 @@ class WebSocketServer {
 
   /**
    * Broadcast to all clients except sender
+   * Events about a topic (see getTopics) only reach the clients subscribed to it
    */
   broadcast(data, excludeClient = null) {
-    this.clients.forEach(client => {
-      if (client !== excludeClient && client.readyState === WebSocket.OPEN) {
-        client.send(JSON.stringify(data));
+    this.deliver(data, { excludeClient });
+
+    this.listeners.forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error('[WebSocket] Error notifying listener:', error);
       }
     });
   }
 
+  /**
+   * Listen to broadcasts on the server
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Handle a type of client message elsewhere on the server
+   * @param {string} type - Message type
+   * @param {Function} handler - (ws, data) => void
+   */
+  onMessage(type, handler) {
+    this.messageHandlers.set(type, handler);
+  }
+
   /**
    * Broadcast to all clients including sender
    */
@@ -99,13 +349,12 @@ class WebSocketServer {
   }
 
   /**
-   * Notify all clients of content change
+   * Notify clients of content change
+   * @param {Object} event - Content store event
+   * @param {Function} acceptsLocale - Optional (clientLocale) => boolean, limits the change to some locales
    */
-  notifyContentChange(event) {
-    this.broadcastToAll({
-      type: 'content-store-update',
-      event
-    });
+  notifyContentChange(event, acceptsLocale = null) {
+    this.deliver({ type: 'content-store-update', pageId: event.pageId, event }, { acceptsLocale });
   }
 
   /**
@@ -114,6 +363,16 @@ class WebSocketServer {
   notifyReload() {
     this.broadcastToAll({ type: 'reload' });
   }
+
+  /**
+   * Stop the heartbeat and disconnect every client
+   */
+  close() {
+    clearInterval(this.heartbeat);
+    this.clients.forEach(ws => ws.terminate());
+    this.clients.clear();
+    this.wss.close();
+  }
 }
 
 module.exports = WebSocketServer;
@@ -0,0 +1,35 @@
+/**
+ * Per-key task queue
+ * Tasks queued under the same key (a page ID, a file path) run one at a time, in order;
+ * tasks under different keys run concurrently
+ */
+class WriteQueue {
+  constructor() {
+    this.tails = new Map(); // key -> promise settled when the last queued task is done
+  }
+
+  /**
+   * Run a task once every task queued before it under the same key has finished
+   * @param {string} key - What the task writes to
+   * @param {Function} task - Async function to run
+   * @returns {Promise} The task's result (a failure only rejects this task, not the ones after it)
+   */
+  run(key, task) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    const result = previous.then(() => task());
+    const tail = result.catch(() => {});
+
+    this.tails.set(key, tail);
+
+    // Forget idle keys so the map doesn't grow with every file ever written
+    tail.then(() => {
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    });
+
+    return result;
+  }
+}
+
+module.exports = WriteQueue;